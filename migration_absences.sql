@@ -0,0 +1,52 @@
+-- Absence Detection Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_holidays.sql)
+-- The daily attendance view lists every active employee, including those who never
+-- scanned, so absences without leave can be found. get_daily_roster returns what each
+-- employee was expected to do on a date (working day, holiday, leave); the website
+-- combines it with the day's scans.
+
+-- Step 1: Mark the employees who have left
+-- They keep their attendance history but aren't expected at work any more
+ALTER TABLE employees
+ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Step 2: Create function to list the active employees the caller manages for a date
+-- Only one active leave request can cover a date (leave_requests_no_overlap)
+CREATE OR REPLACE FUNCTION get_daily_roster(p_date DATE)
+RETURNS TABLE (
+    employee_id UUID,
+    employee_name TEXT,
+    department TEXT,
+    employee_role TEXT,
+    site_id UUID,
+    shift_name TEXT,
+    is_working_day BOOLEAN,
+    holiday_name TEXT,
+    leave_type TEXT,
+    leave_status TEXT
+) AS $$
+    SELECT e.id,
+           TRIM(u.first_name || ' ' || u.last_name),
+           e.department,
+           e.role,
+           es.site_id,
+           COALESCE(s.name, 'General'),
+           is_employee_working_day(e.id, p_date),
+           h.name,
+           leave_type_on(l.leave_date, l.end_date, l.leave_type, l.end_leave_type, p_date),
+           l.status
+    FROM employees e
+    JOIN users u ON u.id = e.id
+    LEFT JOIN employee_sites es ON es.employee_id = e.id
+    LEFT JOIN LATERAL get_employee_shift(e.id, e.department, p_date) s ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT gh.name FROM get_employee_holidays(e.id, p_date, p_date) gh LIMIT 1
+    ) h ON TRUE
+    LEFT JOIN leave_requests l ON l.employee_id = e.id
+        AND p_date BETWEEN l.leave_date AND l.end_date
+        AND l.status NOT IN ('rejected', 'cancelled')
+    WHERE e.is_active
+      AND can_manage_employee(e.id)
+    -- Ordered by name and ID so the rows can be paged
+    ORDER BY 2, 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
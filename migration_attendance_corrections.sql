@@ -0,0 +1,272 @@
+-- Attendance Corrections Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_missed_punches.sql)
+-- Generalizes attendance_corrections so an employee can request adding a forgotten scan
+-- or changing a wrong one, with a reason. A manager approves or rejects the request;
+-- approved corrections create or update records flagged as manual (source = 'correction',
+-- signature_verified = FALSE) and linked back to the correction, which keeps the original values.
+
+-- Step 1: Allow adding and changing any scan, not just a missing check-out
+ALTER TABLE attendance_corrections
+DROP CONSTRAINT IF EXISTS attendance_corrections_correction_type_check;
+
+ALTER TABLE attendance_corrections
+ADD CONSTRAINT attendance_corrections_correction_type_check
+CHECK (correction_type IN ('missing_check_out', 'add_scan', 'change_scan'));
+
+-- Scan type to add, or the new scan type of a changed scan
+ALTER TABLE attendance_corrections
+ADD COLUMN IF NOT EXISTS scan_type TEXT
+CHECK (scan_type IN ('check_in', 'lunch_out', 'lunch_in', 'check_out'));
+
+-- Record to change (change_scan only)
+ALTER TABLE attendance_corrections
+ADD COLUMN IF NOT EXISTS target_record_id UUID REFERENCES attendance_records(id) ON DELETE CASCADE;
+
+-- Values of the changed record before the correction was applied (audit trail)
+ALTER TABLE attendance_corrections
+ADD COLUMN IF NOT EXISTS original_scan_type TEXT;
+
+ALTER TABLE attendance_corrections
+ADD COLUMN IF NOT EXISTS original_time TIMESTAMPTZ;
+
+-- Step 2: Link manual records to the correction that created or last changed them
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL;
+
+-- Step 3: Create functions to recompute the late/early flags of a corrected scan
+-- Approved leave type of an employee on a date (NULL: not on approved leave)
+CREATE OR REPLACE FUNCTION approved_leave_type_on(p_employee_id UUID, p_date DATE)
+RETURNS TEXT AS $$
+    SELECT leave_type
+    FROM leave_requests
+    WHERE employee_id = p_employee_id
+      AND leave_date = p_date
+      AND status = 'approved'
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Same rules as the mark-attendance Edge Function (shiftRules.js): only the first check-in
+-- of a session can be late, and a check-out before the shift ends is an early departure.
+-- Half-day leave moves the shift start (morning off) or end (afternoon off) to the break.
+CREATE OR REPLACE FUNCTION get_scan_flags(
+    p_employee_id UUID,
+    p_session_date DATE,
+    p_scan_type TEXT,
+    p_scanned_at TIMESTAMPTZ,
+    p_record_id UUID DEFAULT NULL
+)
+RETURNS TABLE (is_late BOOLEAN, is_early_departure BOOLEAN) AS $$
+DECLARE
+    v_shift shifts;
+    v_leave_type TEXT;
+    v_start INTEGER := 9 * 60;
+    v_end INTEGER := 18 * 60;
+    v_grace INTEGER := 15;
+    v_break_start INTEGER := 12 * 60;
+    v_break_end INTEGER := 14 * 60;
+    v_minutes INTEGER;
+BEGIN
+    SELECT s.* INTO v_shift
+    FROM employees e
+    CROSS JOIN LATERAL get_employee_shift(e.id, e.department, p_session_date) s
+    WHERE e.id = p_employee_id;
+
+    -- Without a shift the default 9:00-18:00 schedule applies
+    IF v_shift.id IS NOT NULL THEN
+        v_start := EXTRACT(EPOCH FROM v_shift.start_time)::INTEGER / 60;
+        v_end := EXTRACT(EPOCH FROM v_shift.end_time)::INTEGER / 60;
+        v_grace := v_shift.grace_minutes;
+        v_break_start := EXTRACT(EPOCH FROM v_shift.break_start)::INTEGER / 60;
+        v_break_end := EXTRACT(EPOCH FROM v_shift.break_end)::INTEGER / 60;
+    END IF;
+
+    -- Overnight shifts: times earlier than the start belong to the following day
+    IF v_end <= v_start THEN
+        v_end := v_end + 24 * 60;
+    END IF;
+    IF v_break_start < v_start THEN
+        v_break_start := v_break_start + 24 * 60;
+    END IF;
+    IF v_break_end < v_start THEN
+        v_break_end := v_break_end + 24 * 60;
+    END IF;
+
+    v_leave_type := approved_leave_type_on(p_employee_id, p_session_date);
+    IF v_leave_type = 'half_day_morning' THEN
+        v_start := COALESCE(v_break_end, ROUND((v_start + v_end) / 2.0)::INTEGER);
+    ELSIF v_leave_type = 'half_day_afternoon' THEN
+        v_end := COALESCE(v_break_start, ROUND((v_start + v_end) / 2.0)::INTEGER);
+    END IF;
+
+    -- Minutes from midnight of the session date in the organization's timezone
+    v_minutes := FLOOR(EXTRACT(EPOCH FROM
+        (p_scanned_at AT TIME ZONE get_organization_timezone()) - p_session_date::TIMESTAMP
+    ) / 60)::INTEGER;
+
+    is_late := p_scan_type = 'check_in'
+        AND v_minutes > v_start + v_grace
+        AND NOT EXISTS (
+            SELECT 1 FROM attendance_records
+            WHERE employee_id = p_employee_id
+              AND session_date = p_session_date
+              AND scan_type = 'check_in'
+              AND scanned_at < p_scanned_at
+              AND id IS DISTINCT FROM p_record_id
+        );
+    is_early_departure := p_scan_type = 'check_out' AND v_minutes < v_end;
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 4: Recreate the review function for every correction type
+-- Approved scans get late/early flags recomputed against the employee's shift
+CREATE OR REPLACE FUNCTION review_attendance_correction(
+    p_correction_id UUID,
+    p_status TEXT
+)
+RETURNS attendance_corrections AS $$
+DECLARE
+    v_correction attendance_corrections;
+    v_exception attendance_exceptions;
+    v_target attendance_records;
+    v_last_scan attendance_records;
+    v_scan_type TEXT;
+    v_record_id UUID;
+    v_is_late BOOLEAN;
+    v_is_early BOOLEAN;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM employees
+        WHERE id = auth.uid()
+        AND role IN ('manager', 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Only managers and admins can review corrections';
+    END IF;
+
+    IF p_status NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Invalid status: %', p_status;
+    END IF;
+
+    SELECT * INTO v_correction
+    FROM attendance_corrections
+    WHERE id = p_correction_id
+    FOR UPDATE;
+
+    IF v_correction.id IS NULL THEN
+        RAISE EXCEPTION 'Correction request not found';
+    END IF;
+
+    IF v_correction.status <> 'pending' THEN
+        RAISE EXCEPTION 'Correction request has already been reviewed';
+    END IF;
+
+    IF p_status = 'approved' THEN
+        -- A missed check-out that was closed automatically is a change to that record
+        IF v_correction.correction_type = 'missing_check_out' THEN
+            SELECT * INTO v_exception
+            FROM attendance_exceptions
+            WHERE id = v_correction.exception_id;
+
+            IF v_exception.attendance_record_id IS NOT NULL THEN
+                v_correction.target_record_id := v_exception.attendance_record_id;
+            END IF;
+        END IF;
+
+        IF v_correction.correction_type = 'change_scan' OR v_correction.target_record_id IS NOT NULL THEN
+            SELECT * INTO v_target
+            FROM attendance_records
+            WHERE id = v_correction.target_record_id
+            FOR UPDATE;
+
+            IF v_target.id IS NULL OR v_target.employee_id <> v_correction.employee_id THEN
+                RAISE EXCEPTION 'Attendance record to correct not found';
+            END IF;
+
+            v_scan_type := COALESCE(v_correction.scan_type, v_target.scan_type);
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time, v_target.id) f;
+
+            UPDATE attendance_records
+            SET scan_type = v_scan_type,
+                scanned_at = v_correction.requested_time,
+                check_in_time = v_correction.requested_time,
+                source = 'correction',
+                signature_verified = FALSE,
+                correction_id = v_correction.id,
+                is_late = v_is_late,
+                is_early_departure = v_is_early
+            WHERE id = v_target.id
+            RETURNING id INTO v_record_id;
+
+            UPDATE attendance_corrections
+            SET original_scan_type = v_target.scan_type,
+                original_time = v_target.scanned_at
+            WHERE id = v_correction.id;
+        ELSE
+            v_scan_type := COALESCE(v_correction.scan_type, 'check_out');
+
+            -- Copy the employee details from the session's last scan
+            SELECT * INTO v_last_scan
+            FROM attendance_records
+            WHERE employee_id = v_correction.employee_id
+              AND session_date = v_correction.session_date
+            ORDER BY scanned_at DESC
+            LIMIT 1;
+
+            -- A session without any scans (e.g. a forgotten check-in) uses the most recent scan
+            IF v_last_scan.id IS NULL THEN
+                SELECT * INTO v_last_scan
+                FROM attendance_records
+                WHERE employee_id = v_correction.employee_id
+                ORDER BY scanned_at DESC
+                LIMIT 1;
+            END IF;
+
+            IF v_last_scan.id IS NULL THEN
+                RAISE EXCEPTION 'No scans found for this employee';
+            END IF;
+
+            IF v_correction.correction_type = 'missing_check_out'
+               AND v_correction.requested_time <= v_last_scan.scanned_at THEN
+                RAISE EXCEPTION 'Check-out time must be after the last scan';
+            END IF;
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time) f;
+
+            INSERT INTO attendance_records (
+                employee_id, employee_name, employee_role, department,
+                check_in_time, scanned_at, session_date, scan_type,
+                is_late, is_early_departure,
+                signature_verified, source, correction_id, notes
+            ) VALUES (
+                v_correction.employee_id, v_last_scan.employee_name, v_last_scan.employee_role, v_last_scan.department,
+                v_correction.requested_time, v_correction.requested_time, v_correction.session_date, v_scan_type,
+                v_is_late, v_is_early,
+                FALSE, 'correction', v_correction.id, v_correction.reason
+            )
+            RETURNING id INTO v_record_id;
+        END IF;
+
+        IF v_correction.exception_id IS NOT NULL THEN
+            UPDATE attendance_exceptions
+            SET status = 'resolved',
+                resolved_at = NOW()
+            WHERE id = v_correction.exception_id;
+        END IF;
+    END IF;
+
+    UPDATE attendance_corrections
+    SET status = p_status,
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        attendance_record_id = v_record_id
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    RETURN v_correction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,249 @@
+-- Attendance Summaries Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_absences.sql)
+-- Weekly and monthly summaries are computed in the database for a whole date range at
+-- once (get_attendance_days), instead of two or three queries per employee and day, so a
+-- month for the whole company loads in one request.
+
+-- Step 1: Sum the worked intervals of every session in a date range
+-- Same rules as calculate_daily_working_hours, grouped by employee and session. Runs with
+-- the caller's permissions, so RLS limits it to the sessions they can see.
+CREATE OR REPLACE FUNCTION calculate_working_hours_range(
+    p_start_date DATE,
+    p_end_date DATE,
+    p_employee_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    employee_id UUID,
+    session_date DATE,
+    first_check_in TIMESTAMPTZ,
+    last_check_out TIMESTAMPTZ,
+    total_hours DECIMAL,
+    break_minutes INTEGER,
+    interval_count INTEGER,
+    break_count INTEGER,
+    is_complete BOOLEAN,
+    is_half_day BOOLEAN,
+    is_late BOOLEAN,
+    is_early_departure BOOLEAN
+) AS $$
+    WITH ordered_scans AS (
+        -- Pair every scan with the one that follows it in the session
+        SELECT a.employee_id AS emp_id,
+               a.session_date AS day,
+               a.scan_type,
+               a.scanned_at,
+               a.is_late AS scan_is_late,
+               a.is_early_departure AS scan_is_early,
+               LEAD(a.scan_type) OVER w AS next_type,
+               LEAD(a.scanned_at) OVER w AS next_at,
+               LAST_VALUE(a.scan_type) OVER (w ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS last_type
+        FROM attendance_records a
+        WHERE a.session_date BETWEEN p_start_date AND p_end_date
+          AND (p_employee_id IS NULL OR a.employee_id = p_employee_id)
+        WINDOW w AS (PARTITION BY a.employee_id, a.session_date ORDER BY a.scanned_at)
+    ),
+    periods AS (
+        SELECT o.*,
+               -- A worked interval starts with check_in/lunch_in and ends with lunch_out/check_out
+               (o.scan_type IN ('check_in', 'lunch_in') AND o.next_type IN ('lunch_out', 'check_out')) AS is_work,
+               (o.scan_type = 'lunch_out' AND o.next_type = 'lunch_in') AS is_break,
+               EXTRACT(EPOCH FROM (o.next_at - o.scanned_at)) AS seconds
+        FROM ordered_scans o
+    ),
+    totals AS (
+        SELECT p.emp_id,
+               p.day,
+               MIN(p.scanned_at) FILTER (WHERE p.scan_type = 'check_in') AS v_first_check_in,
+               MAX(p.scanned_at) FILTER (WHERE p.scan_type = 'check_out') AS v_last_check_out,
+               COALESCE(SUM(p.seconds) FILTER (WHERE p.is_work), 0) AS v_work_seconds,
+               COALESCE(SUM(p.seconds) FILTER (WHERE p.is_break), 0) AS v_break_seconds,
+               COUNT(*) FILTER (WHERE p.is_work) AS v_intervals,
+               COUNT(*) FILTER (WHERE p.is_break) AS v_breaks,
+               -- Complete once the session's last scan is a check-out
+               BOOL_OR(p.scan_type = 'check_in') AND MAX(p.last_type) = 'check_out' AS v_complete,
+               -- Flags of the first check-in and the last check-out
+               (ARRAY_AGG(p.scan_is_late ORDER BY p.scanned_at) FILTER (WHERE p.scan_type = 'check_in'))[1] AS v_late,
+               (ARRAY_AGG(p.scan_is_early ORDER BY p.scanned_at DESC) FILTER (WHERE p.scan_type = 'check_out'))[1] AS v_early
+        FROM periods p
+        GROUP BY p.emp_id, p.day
+    )
+    SELECT t.emp_id,
+           t.day,
+           t.v_first_check_in,
+           CASE WHEN t.v_complete THEN t.v_last_check_out END,
+           CASE WHEN t.v_complete THEN ROUND((t.v_work_seconds / 3600)::DECIMAL, 2) END,
+           ROUND(t.v_break_seconds / 60)::INTEGER,
+           t.v_intervals::INTEGER,
+           t.v_breaks::INTEGER,
+           t.v_complete,
+           -- Only check-in, no check-out (half day or incomplete)
+           t.v_first_check_in IS NOT NULL AND NOT t.v_complete,
+           COALESCE(t.v_late, FALSE),
+           t.v_complete AND COALESCE(t.v_early, FALSE)
+    FROM totals t;
+$$ LANGUAGE sql STABLE;
+
+-- Step 2: Calculate one session's working hours with the same query
+CREATE OR REPLACE FUNCTION calculate_daily_working_hours(
+    p_employee_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    first_check_in TIMESTAMPTZ,
+    last_check_out TIMESTAMPTZ,
+    total_hours DECIMAL,
+    break_minutes INTEGER,
+    interval_count INTEGER,
+    break_count INTEGER,
+    is_complete BOOLEAN,
+    is_half_day BOOLEAN
+) AS $$
+    -- A day without scans still returns one row
+    SELECT r.first_check_in,
+           r.last_check_out,
+           r.total_hours,
+           COALESCE(r.break_minutes, 0),
+           COALESCE(r.interval_count, 0),
+           COALESCE(r.break_count, 0),
+           COALESCE(r.is_complete, FALSE),
+           COALESCE(r.is_half_day, FALSE)
+    FROM (SELECT 1) AS one
+    LEFT JOIN calculate_working_hours_range(p_date, p_date, p_employee_id) r ON TRUE;
+$$ LANGUAGE sql STABLE;
+
+-- Step 3: Create function to list every day of a range for one employee, or for every
+-- active employee the caller can see
+-- Each day has what the employee was expected to do (shift, holiday, approved leave)
+-- and the session they worked.
+CREATE OR REPLACE FUNCTION get_attendance_days(
+    p_start_date DATE,
+    p_end_date DATE,
+    p_employee_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    employee_id UUID,
+    employee_name TEXT,
+    department TEXT,
+    day DATE,
+    shift_name TEXT,
+    is_working_day BOOLEAN,
+    holiday_name TEXT,
+    leave_type TEXT,
+    leave_days NUMERIC,
+    first_check_in TIMESTAMPTZ,
+    last_check_out TIMESTAMPTZ,
+    total_hours DECIMAL,
+    break_minutes INTEGER,
+    break_count INTEGER,
+    is_complete BOOLEAN,
+    is_late BOOLEAN,
+    is_early_departure BOOLEAN,
+    missed_check_out BOOLEAN
+) AS $$
+    WITH roster AS (
+        SELECT e.id AS emp_id,
+               TRIM(u.first_name || ' ' || u.last_name) AS name,
+               e.department
+        FROM employees e
+        JOIN users u ON u.id = e.id
+        WHERE (e.id = p_employee_id OR (p_employee_id IS NULL AND e.is_active))
+          AND (e.id = auth.uid() OR can_manage_employee(e.id))
+    ),
+    employee_holidays AS (
+        SELECT r.emp_id, gh.holiday_date, gh.name
+        FROM roster r
+        CROSS JOIN LATERAL get_employee_holidays(r.emp_id, p_start_date, p_end_date) gh
+    ),
+    expected AS (
+        SELECT r.emp_id,
+               r.name,
+               r.department,
+               d.day,
+               COALESCE(s.name, 'General') AS shift_name,
+               h.name AS holiday_name,
+               leave_type_on(l.leave_date, l.end_date, l.leave_type, l.end_leave_type, d.day) AS day_leave_type,
+               -- The shift's working days (Monday-Friday by default), minus holidays
+               EXTRACT(DOW FROM d.day)::SMALLINT = ANY(COALESCE(s.working_days, '{1,2,3,4,5}'::SMALLINT[]))
+                   AND h.name IS NULL AS working
+        FROM roster r
+        CROSS JOIN LATERAL (
+            SELECT g::DATE AS day FROM generate_series(p_start_date, p_end_date, INTERVAL '1 day') g
+        ) d
+        LEFT JOIN LATERAL get_employee_shift(r.emp_id, r.department, d.day) s ON TRUE
+        LEFT JOIN LATERAL (
+            SELECT eh.name FROM employee_holidays eh
+            WHERE eh.emp_id = r.emp_id AND eh.holiday_date = d.day
+            LIMIT 1
+        ) h ON TRUE
+        -- Approved requests can't overlap, so at most one covers a day
+        LEFT JOIN leave_requests l ON l.employee_id = r.emp_id
+            AND d.day BETWEEN l.leave_date AND l.end_date
+            AND l.status = 'approved'
+    )
+    SELECT x.emp_id,
+           x.name,
+           x.department,
+           x.day,
+           x.shift_name,
+           x.working,
+           x.holiday_name,
+           x.day_leave_type,
+           -- Weekly offs and holidays aren't leave days, even inside a leave range
+           CASE
+               WHEN NOT x.working OR x.day_leave_type IS NULL THEN 0
+               WHEN x.day_leave_type = 'full_day' THEN 1
+               ELSE 0.5
+           END::NUMERIC,
+           w.first_check_in,
+           w.last_check_out,
+           w.total_hours,
+           w.break_minutes,
+           w.break_count,
+           COALESCE(w.is_complete, FALSE),
+           COALESCE(w.is_late, FALSE),
+           COALESCE(w.is_early_departure, FALSE),
+           EXISTS (
+               SELECT 1 FROM attendance_exceptions ae
+               WHERE ae.employee_id = x.emp_id
+                 AND ae.session_date = x.day
+                 AND ae.exception_type = 'missed_check_out'
+                 AND ae.status = 'open'
+           )
+    FROM expected x
+    LEFT JOIN calculate_working_hours_range(p_start_date, p_end_date, p_employee_id) w
+        ON w.employee_id = x.emp_id AND w.session_date = x.day
+    ORDER BY x.name, x.emp_id, x.day;
+$$ LANGUAGE sql STABLE;
+
+-- Step 4: Create function to total the days of a range per employee
+-- One row per employee, so a month for the whole company stays well within the API's row limit
+CREATE OR REPLACE FUNCTION get_attendance_summaries(p_start_date DATE, p_end_date DATE)
+RETURNS TABLE (
+    employee_id UUID,
+    employee_name TEXT,
+    department TEXT,
+    scheduled_days INTEGER,
+    working_days NUMERIC,
+    leave_days NUMERIC,
+    holidays INTEGER,
+    total_hours DECIMAL,
+    late_arrivals INTEGER,
+    early_departures INTEGER,
+    missing_punches INTEGER
+) AS $$
+    SELECT d.employee_id,
+           d.employee_name,
+           d.department,
+           (COUNT(*) FILTER (WHERE d.is_working_day))::INTEGER,
+           -- A worked half next to half-day leave counts as half a working day
+           COALESCE(SUM(1 - d.leave_days) FILTER (WHERE d.total_hours > 0), 0),
+           SUM(d.leave_days),
+           COUNT(d.holiday_name)::INTEGER,
+           COALESCE(SUM(d.total_hours) FILTER (WHERE d.total_hours > 0), 0),
+           (COUNT(*) FILTER (WHERE d.is_late))::INTEGER,
+           (COUNT(*) FILTER (WHERE d.is_early_departure))::INTEGER,
+           (COUNT(*) FILTER (WHERE d.missed_check_out))::INTEGER
+    FROM get_attendance_days(p_start_date, p_end_date) d
+    GROUP BY d.employee_id, d.employee_name, d.department
+    ORDER BY d.employee_name, d.employee_id;
+$$ LANGUAGE sql STABLE;
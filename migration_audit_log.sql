@@ -0,0 +1,126 @@
+-- Audit Log Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_attendance_corrections.sql)
+-- Every insert, update and delete on attendance_records, leave_requests and
+-- attendance_corrections is written to audit_log by a trigger, with the acting user
+-- and the row before and after the change. The log is append-only: nobody (not even
+-- the service role) can update, delete or truncate it.
+
+-- Step 1: Create audit_log table
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    table_name TEXT NOT NULL,
+    record_id UUID NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    -- Employee the changed row belongs to
+    employee_id UUID,
+    -- Signed-in user who made the change (NULL for the Edge Functions and SQL editor)
+    actor_id UUID,
+    -- Database role of the request: authenticated, service_role, postgres, ...
+    actor_role TEXT,
+    old_data JSONB,
+    new_data JSONB,
+    changed_fields TEXT[],
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_employee ON audit_log(employee_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+
+-- Step 2: Enable RLS (entries are only written by the audit trigger)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers and admins can view the audit log" ON audit_log;
+
+CREATE POLICY "Managers and admins can view the audit log" ON audit_log
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM employees
+            WHERE id = auth.uid()
+            AND role IN ('manager', 'admin')
+        )
+    );
+
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON audit_log FROM anon, authenticated, service_role;
+
+-- Step 3: Reject any change to existing entries
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Step 4: Create the audit trigger function
+-- SECURITY DEFINER so it can write to audit_log whoever made the change
+CREATE OR REPLACE FUNCTION log_audit_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_old JSONB;
+    v_new JSONB;
+    v_changed TEXT[];
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        v_old := to_jsonb(OLD);
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        v_new := to_jsonb(NEW);
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        SELECT ARRAY_AGG(key ORDER BY key) INTO v_changed
+        FROM jsonb_each(v_new)
+        WHERE key <> 'updated_at'
+          AND v_new -> key IS DISTINCT FROM v_old -> key;
+
+        -- Nothing but updated_at changed
+        IF v_changed IS NULL THEN
+            RETURN NULL;
+        END IF;
+    END IF;
+
+    INSERT INTO audit_log (
+        table_name, record_id, action, employee_id,
+        actor_id, actor_role, old_data, new_data, changed_fields
+    ) VALUES (
+        TG_TABLE_NAME,
+        (COALESCE(v_new, v_old) ->> 'id')::UUID,
+        TG_OP,
+        (COALESCE(v_new, v_old) ->> 'employee_id')::UUID,
+        auth.uid(),
+        COALESCE(auth.role(), current_user),
+        v_old,
+        v_new,
+        v_changed
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 5: Audit attendance, leave and correction changes
+DROP TRIGGER IF EXISTS audit_attendance_records ON attendance_records;
+CREATE TRIGGER audit_attendance_records
+    AFTER INSERT OR UPDATE OR DELETE ON attendance_records
+    FOR EACH ROW EXECUTE FUNCTION log_audit_event();
+
+DROP TRIGGER IF EXISTS audit_leave_requests ON leave_requests;
+CREATE TRIGGER audit_leave_requests
+    AFTER INSERT OR UPDATE OR DELETE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION log_audit_event();
+
+DROP TRIGGER IF EXISTS audit_attendance_corrections ON attendance_corrections;
+CREATE TRIGGER audit_attendance_corrections
+    AFTER INSERT OR UPDATE OR DELETE ON attendance_corrections
+    FOR EACH ROW EXECUTE FUNCTION log_audit_event();
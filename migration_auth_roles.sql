@@ -0,0 +1,296 @@
+-- Authentication and Roles Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_audit_log.sql)
+-- The scanner website now signs in with Supabase Auth. Every account gets one role in
+-- user_roles, and the RLS policies below are rewritten around those roles:
+--   employee: sees and requests changes to their own attendance, leave and corrections
+--   manager:  sees everyone's attendance, approves leave and corrections, manages shifts
+--   hr_admin: everything a manager can do, plus settings, the audit log and security events
+--   kiosk:    a scanner device account; can only submit scans (through mark-attendance)
+
+-- Step 1: Create user_roles table
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'employee' CHECK (role IN ('employee', 'manager', 'hr_admin', 'kiosk')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+-- Step 2: Give existing employees a role (admin becomes hr_admin)
+INSERT INTO user_roles (user_id, role)
+SELECT e.id,
+       CASE e.role
+           WHEN 'admin' THEN 'hr_admin'
+           WHEN 'manager' THEN 'manager'
+           ELSE 'employee'
+       END
+FROM employees e
+JOIN auth.users u ON u.id = e.id
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Step 3: Create role helpers
+-- SECURITY DEFINER so policies can check the role without a policy on user_roles recursing
+CREATE OR REPLACE FUNCTION current_app_role()
+RETURNS TEXT AS $$
+    SELECT role FROM user_roles WHERE user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION has_app_role(VARIADIC p_roles TEXT[])
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(current_app_role() = ANY(p_roles), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 4: Enable RLS on user_roles
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own role" ON user_roles;
+DROP POLICY IF EXISTS "HR admins can manage roles" ON user_roles;
+
+CREATE POLICY "Users can view their own role" ON user_roles
+    FOR SELECT USING (auth.uid() = user_id OR has_app_role('hr_admin'));
+
+CREATE POLICY "HR admins can manage roles" ON user_roles
+    FOR ALL USING (has_app_role('hr_admin'));
+
+-- Step 5: Attendance records (inserted only by the Edge Functions)
+DROP POLICY IF EXISTS "Attendance records are viewable by all" ON attendance_records;
+DROP POLICY IF EXISTS "Employees can view their own attendance" ON attendance_records;
+DROP POLICY IF EXISTS "Managers and admins can update attendance" ON attendance_records;
+
+CREATE POLICY "Employees can view their own attendance" ON attendance_records
+    FOR SELECT USING (auth.uid() = employee_id OR has_app_role('manager', 'hr_admin'));
+
+CREATE POLICY "Managers and admins can update attendance" ON attendance_records
+    FOR UPDATE USING (has_app_role('manager', 'hr_admin'));
+
+-- Step 6: Leave requests
+DROP POLICY IF EXISTS "Leave requests are viewable by authenticated users" ON leave_requests;
+DROP POLICY IF EXISTS "Employees can view their own leave requests" ON leave_requests;
+DROP POLICY IF EXISTS "Managers and admins can update leave requests" ON leave_requests;
+
+CREATE POLICY "Employees can view their own leave requests" ON leave_requests
+    FOR SELECT USING (auth.uid() = employee_id OR has_app_role('manager', 'hr_admin'));
+
+-- Approving or rejecting a request must record the signed-in reviewer as approved_by
+CREATE POLICY "Managers and admins can update leave requests" ON leave_requests
+    FOR UPDATE USING (has_app_role('manager', 'hr_admin'))
+    WITH CHECK (
+        approved_by = auth.uid()
+        OR (approved_by IS NULL AND status NOT IN ('approved', 'rejected'))
+    );
+
+-- Step 7: Missed check-outs, corrections and notifications
+DROP POLICY IF EXISTS "Attendance exceptions are viewable by authenticated users" ON attendance_exceptions;
+DROP POLICY IF EXISTS "Employees can view their own attendance exceptions" ON attendance_exceptions;
+DROP POLICY IF EXISTS "Attendance corrections are viewable by authenticated users" ON attendance_corrections;
+DROP POLICY IF EXISTS "Employees can view their own corrections" ON attendance_corrections;
+DROP POLICY IF EXISTS "Employees and managers can request corrections" ON attendance_corrections;
+
+CREATE POLICY "Employees can view their own attendance exceptions" ON attendance_exceptions
+    FOR SELECT USING (auth.uid() = employee_id OR has_app_role('manager', 'hr_admin'));
+
+CREATE POLICY "Employees can view their own corrections" ON attendance_corrections
+    FOR SELECT USING (auth.uid() = employee_id OR has_app_role('manager', 'hr_admin'));
+
+CREATE POLICY "Employees and managers can request corrections" ON attendance_corrections
+    FOR INSERT WITH CHECK (
+        status = 'pending'
+        AND requested_by = auth.uid()
+        AND (employee_id = auth.uid() OR has_app_role('manager', 'hr_admin'))
+    );
+
+-- Step 8: Shifts and settings
+DROP POLICY IF EXISTS "Shifts are viewable by all" ON shifts;
+DROP POLICY IF EXISTS "Shifts are viewable by authenticated users" ON shifts;
+DROP POLICY IF EXISTS "Managers and admins can manage shifts" ON shifts;
+DROP POLICY IF EXISTS "Shift assignments are viewable by all" ON shift_assignments;
+DROP POLICY IF EXISTS "Shift assignments are viewable by authenticated users" ON shift_assignments;
+DROP POLICY IF EXISTS "Managers and admins can manage shift assignments" ON shift_assignments;
+DROP POLICY IF EXISTS "Admins can manage app settings" ON app_settings;
+
+CREATE POLICY "Shifts are viewable by authenticated users" ON shifts
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Managers and admins can manage shifts" ON shifts
+    FOR ALL USING (has_app_role('manager', 'hr_admin'));
+
+CREATE POLICY "Shift assignments are viewable by authenticated users" ON shift_assignments
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Managers and admins can manage shift assignments" ON shift_assignments
+    FOR ALL USING (has_app_role('manager', 'hr_admin'));
+
+-- The timezone stays publicly readable (app_settings SELECT policy is unchanged)
+CREATE POLICY "Admins can manage app settings" ON app_settings
+    FOR ALL USING (has_app_role('hr_admin'));
+
+-- Step 9: Security events and the audit log are for HR admins only
+DROP POLICY IF EXISTS "Managers and admins can view security events" ON security_events;
+DROP POLICY IF EXISTS "HR admins can view security events" ON security_events;
+DROP POLICY IF EXISTS "Managers and admins can view the audit log" ON audit_log;
+DROP POLICY IF EXISTS "HR admins can view the audit log" ON audit_log;
+
+CREATE POLICY "HR admins can view security events" ON security_events
+    FOR SELECT USING (has_app_role('hr_admin'));
+
+CREATE POLICY "HR admins can view the audit log" ON audit_log
+    FOR SELECT USING (has_app_role('hr_admin'));
+
+-- Step 10: Check reviewers against user_roles when approving corrections
+CREATE OR REPLACE FUNCTION review_attendance_correction(
+    p_correction_id UUID,
+    p_status TEXT
+)
+RETURNS attendance_corrections AS $$
+DECLARE
+    v_correction attendance_corrections;
+    v_exception attendance_exceptions;
+    v_target attendance_records;
+    v_last_scan attendance_records;
+    v_scan_type TEXT;
+    v_record_id UUID;
+    v_is_late BOOLEAN;
+    v_is_early BOOLEAN;
+BEGIN
+    IF NOT has_app_role('manager', 'hr_admin') THEN
+        RAISE EXCEPTION 'Only managers and admins can review corrections';
+    END IF;
+
+    IF p_status NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Invalid status: %', p_status;
+    END IF;
+
+    SELECT * INTO v_correction
+    FROM attendance_corrections
+    WHERE id = p_correction_id
+    FOR UPDATE;
+
+    IF v_correction.id IS NULL THEN
+        RAISE EXCEPTION 'Correction request not found';
+    END IF;
+
+    IF v_correction.status <> 'pending' THEN
+        RAISE EXCEPTION 'Correction request has already been reviewed';
+    END IF;
+
+    IF p_status = 'approved' THEN
+        -- A missed check-out that was closed automatically is a change to that record
+        IF v_correction.correction_type = 'missing_check_out' THEN
+            SELECT * INTO v_exception
+            FROM attendance_exceptions
+            WHERE id = v_correction.exception_id;
+
+            IF v_exception.attendance_record_id IS NOT NULL THEN
+                v_correction.target_record_id := v_exception.attendance_record_id;
+            END IF;
+        END IF;
+
+        IF v_correction.correction_type = 'change_scan' OR v_correction.target_record_id IS NOT NULL THEN
+            SELECT * INTO v_target
+            FROM attendance_records
+            WHERE id = v_correction.target_record_id
+            FOR UPDATE;
+
+            IF v_target.id IS NULL OR v_target.employee_id <> v_correction.employee_id THEN
+                RAISE EXCEPTION 'Attendance record to correct not found';
+            END IF;
+
+            v_scan_type := COALESCE(v_correction.scan_type, v_target.scan_type);
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time, v_target.id) f;
+
+            UPDATE attendance_records
+            SET scan_type = v_scan_type,
+                scanned_at = v_correction.requested_time,
+                check_in_time = v_correction.requested_time,
+                source = 'correction',
+                signature_verified = FALSE,
+                correction_id = v_correction.id,
+                is_late = v_is_late,
+                is_early_departure = v_is_early
+            WHERE id = v_target.id
+            RETURNING id INTO v_record_id;
+
+            UPDATE attendance_corrections
+            SET original_scan_type = v_target.scan_type,
+                original_time = v_target.scanned_at
+            WHERE id = v_correction.id;
+        ELSE
+            v_scan_type := COALESCE(v_correction.scan_type, 'check_out');
+
+            -- Copy the employee details from the session's last scan
+            SELECT * INTO v_last_scan
+            FROM attendance_records
+            WHERE employee_id = v_correction.employee_id
+              AND session_date = v_correction.session_date
+            ORDER BY scanned_at DESC
+            LIMIT 1;
+
+            -- A session without any scans (e.g. a forgotten check-in) uses the most recent scan
+            IF v_last_scan.id IS NULL THEN
+                SELECT * INTO v_last_scan
+                FROM attendance_records
+                WHERE employee_id = v_correction.employee_id
+                ORDER BY scanned_at DESC
+                LIMIT 1;
+            END IF;
+
+            IF v_last_scan.id IS NULL THEN
+                RAISE EXCEPTION 'No scans found for this employee';
+            END IF;
+
+            IF v_correction.correction_type = 'missing_check_out'
+               AND v_correction.requested_time <= v_last_scan.scanned_at THEN
+                RAISE EXCEPTION 'Check-out time must be after the last scan';
+            END IF;
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time) f;
+
+            INSERT INTO attendance_records (
+                employee_id, employee_name, employee_role, department,
+                check_in_time, scanned_at, session_date, scan_type,
+                is_late, is_early_departure,
+                signature_verified, source, correction_id, notes
+            ) VALUES (
+                v_correction.employee_id, v_last_scan.employee_name, v_last_scan.employee_role, v_last_scan.department,
+                v_correction.requested_time, v_correction.requested_time, v_correction.session_date, v_scan_type,
+                v_is_late, v_is_early,
+                FALSE, 'correction', v_correction.id, v_correction.reason
+            )
+            RETURNING id INTO v_record_id;
+        END IF;
+
+        IF v_correction.exception_id IS NOT NULL THEN
+            UPDATE attendance_exceptions
+            SET status = 'resolved',
+                resolved_at = NOW()
+            WHERE id = v_correction.exception_id;
+        END IF;
+    END IF;
+
+    UPDATE attendance_corrections
+    SET status = p_status,
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        attendance_record_id = v_record_id
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    RETURN v_correction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 11: Create updated_at trigger for user_roles (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_user_roles_updated_at ON user_roles;
+        CREATE TRIGGER update_user_roles_updated_at BEFORE UPDATE ON user_roles
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
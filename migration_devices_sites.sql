@@ -0,0 +1,109 @@
+-- Scanner Devices and Sites Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_reporting_lines.sql)
+-- Scanners are registered devices that belong to a site (office or entrance). An HR
+-- admin creates a device and gets a one-time pairing code; entering the code on the
+-- scanner (pair-device Edge Function) gives the browser a device token. mark-attendance
+-- resolves the token on every scan and stores the device and site on the record.
+-- Only a SHA-256 hash of the token is stored. Revoked devices can no longer record scans.
+
+-- Step 1: Create sites table
+CREATE TABLE IF NOT EXISTS sites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL UNIQUE,
+    address TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Create scanner_devices table
+CREATE TABLE IF NOT EXISTS scanner_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    site_id UUID NOT NULL REFERENCES sites(id) ON DELETE RESTRICT,
+    -- One-time code shown to the admin until the device is paired
+    pairing_code TEXT UNIQUE,
+    pairing_expires_at TIMESTAMPTZ,
+    -- SHA-256 (hex) of the token held by the paired browser
+    token_hash TEXT UNIQUE,
+    paired_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_by UUID DEFAULT auth.uid(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scanner_devices_site ON scanner_devices(site_id);
+
+-- Step 3: Record the device and site on each scan
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES scanner_devices(id) ON DELETE SET NULL;
+
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS site_id UUID REFERENCES sites(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_site_date ON attendance_records(site_id, session_date);
+
+-- Step 4: Enable RLS
+ALTER TABLE sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scanner_devices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Sites are viewable by authenticated users" ON sites;
+DROP POLICY IF EXISTS "HR admins can manage sites" ON sites;
+DROP POLICY IF EXISTS "Managers and admins can view scanner devices" ON scanner_devices;
+DROP POLICY IF EXISTS "HR admins can manage scanner devices" ON scanner_devices;
+
+CREATE POLICY "Sites are viewable by authenticated users" ON sites
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "HR admins can manage sites" ON sites
+    FOR ALL USING (has_app_role('hr_admin'));
+
+CREATE POLICY "Managers and admins can view scanner devices" ON scanner_devices
+    FOR SELECT USING (has_app_role('manager', 'hr_admin'));
+
+-- Pairing codes come from issue_device_pairing_code; token hashes are set by the pair-device Edge Function
+CREATE POLICY "HR admins can manage scanner devices" ON scanner_devices
+    FOR ALL USING (has_app_role('hr_admin'));
+
+-- Step 5: Create function to issue a pairing code (HR admins only)
+-- Issuing a new code unpairs the device; the old browser's token stops working
+CREATE OR REPLACE FUNCTION issue_device_pairing_code(p_device_id UUID)
+RETURNS scanner_devices AS $$
+DECLARE
+    v_device scanner_devices;
+BEGIN
+    IF NOT has_app_role('hr_admin') THEN
+        RAISE EXCEPTION 'Only HR admins can pair scanner devices';
+    END IF;
+
+    UPDATE scanner_devices
+    SET pairing_code = UPPER(SUBSTR(REPLACE(uuid_generate_v4()::TEXT, '-', ''), 1, 8)),
+        pairing_expires_at = NOW() + INTERVAL '15 minutes',
+        token_hash = NULL,
+        paired_at = NULL
+    WHERE id = p_device_id
+      AND revoked_at IS NULL
+    RETURNING * INTO v_device;
+
+    IF v_device.id IS NULL THEN
+        RAISE EXCEPTION 'Scanner device not found or revoked';
+    END IF;
+
+    RETURN v_device;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 6: Create updated_at triggers (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_sites_updated_at ON sites;
+        CREATE TRIGGER update_sites_updated_at BEFORE UPDATE ON sites
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_scanner_devices_updated_at ON scanner_devices;
+        CREATE TRIGGER update_scanner_devices_updated_at BEFORE UPDATE ON scanner_devices
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
@@ -0,0 +1,65 @@
+-- Geofencing Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_devices_sites.sql)
+-- Sites can have a geofence (centre and radius). When the geofence policy is enabled,
+-- paired scanners send their location with each scan; mark-attendance stores the
+-- coordinates and whether they were inside the site's geofence. The policy decides
+-- whether scans outside the geofence are rejected or recorded and flagged for review.
+
+-- Step 1: Add geofences to sites
+ALTER TABLE sites
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+
+ALTER TABLE sites
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+ALTER TABLE sites
+ADD COLUMN IF NOT EXISTS geofence_radius_meters INTEGER NOT NULL DEFAULT 200;
+
+ALTER TABLE sites
+DROP CONSTRAINT IF EXISTS check_site_geofence;
+
+-- A site either has both coordinates or none (no geofence)
+ALTER TABLE sites
+ADD CONSTRAINT check_site_geofence
+CHECK (
+    ((latitude IS NULL AND longitude IS NULL)
+     OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180))
+    AND geofence_radius_meters > 0
+);
+
+-- Step 2: Record where each scan happened
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS scan_latitude DOUBLE PRECISION;
+
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS scan_longitude DOUBLE PRECISION;
+
+-- Accuracy reported by the scanner's browser, in meters
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS scan_location_accuracy DOUBLE PRECISION;
+
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS geofence_distance_meters INTEGER;
+
+-- NULL when the scan wasn't checked (policy off, or the site has no geofence)
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS within_geofence BOOLEAN;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_outside_geofence
+ON attendance_records(session_date) WHERE within_geofence = FALSE;
+
+-- Step 3: Geofence policy
+-- off:    scanners don't send their location
+-- flag:   scans outside the geofence (or without a location) are recorded and flagged for review
+-- reject: scans outside the geofence (or without a location) are rejected
+INSERT INTO app_settings (key, value)
+VALUES ('geofence_policy', 'off')
+ON CONFLICT (key) DO NOTHING;
+
+-- Step 4: Flagged scans are listed with the other security events
+ALTER TABLE security_events
+DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+
+ALTER TABLE security_events
+ADD CONSTRAINT security_events_event_type_check
+CHECK (event_type IN ('qr_replay', 'outside_geofence'));
@@ -0,0 +1,162 @@
+-- Holiday Calendar Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_leave_ranges.sql)
+-- Company holidays are days off: national holidays for everyone, regional holidays for
+-- the employees of one site, and optional holidays for the employees who choose them
+-- (up to optional_holidays_per_year). Holidays aren't expected working days, so they
+-- don't count against attendance and aren't taken from leave balances.
+
+-- Step 1: Create holidays table
+CREATE TABLE IF NOT EXISTS holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    holiday_date DATE NOT NULL,
+    name TEXT NOT NULL,
+    holiday_type TEXT NOT NULL DEFAULT 'national' CHECK (holiday_type IN ('national', 'regional', 'optional')),
+    -- Only regional holidays belong to a site
+    site_id UUID REFERENCES sites(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT check_holiday_site CHECK ((holiday_type = 'regional') = (site_id IS NOT NULL))
+);
+
+-- One holiday per date for everyone, and one per date for each site
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holidays_date_site
+ON holidays(holiday_date, COALESCE(site_id, '00000000-0000-0000-0000-000000000000'::UUID));
+
+-- Step 2: Create employee_sites table (the site whose regional holidays apply to an employee)
+CREATE TABLE IF NOT EXISTS employee_sites (
+    employee_id UUID PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+    site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 3: Create optional_holiday_selections table
+CREATE TABLE IF NOT EXISTS optional_holiday_selections (
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    holiday_id UUID NOT NULL REFERENCES holidays(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (employee_id, holiday_id)
+);
+
+INSERT INTO app_settings (key, value)
+VALUES ('optional_holidays_per_year', '2')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION check_optional_holiday_selection()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_holiday holidays;
+    v_limit INTEGER;
+    v_selected INTEGER;
+BEGIN
+    SELECT * INTO v_holiday FROM holidays WHERE id = NEW.holiday_id;
+
+    IF v_holiday.holiday_type <> 'optional' THEN
+        RAISE EXCEPTION '% is not an optional holiday', v_holiday.name;
+    END IF;
+
+    SELECT COALESCE((SELECT value::INTEGER FROM app_settings WHERE key = 'optional_holidays_per_year'), 0)
+    INTO v_limit;
+
+    SELECT COUNT(*) INTO v_selected
+    FROM optional_holiday_selections s
+    JOIN holidays h ON h.id = s.holiday_id
+    WHERE s.employee_id = NEW.employee_id
+      AND EXTRACT(YEAR FROM h.holiday_date) = EXTRACT(YEAR FROM v_holiday.holiday_date);
+
+    IF v_selected >= v_limit THEN
+        RAISE EXCEPTION 'You can choose up to % optional holiday(s) a year', v_limit;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS check_optional_holiday_selection ON optional_holiday_selections;
+CREATE TRIGGER check_optional_holiday_selection
+    BEFORE INSERT ON optional_holiday_selections
+    FOR EACH ROW EXECUTE FUNCTION check_optional_holiday_selection();
+
+-- Step 4: Create function to list the holidays an employee has off
+CREATE OR REPLACE FUNCTION get_employee_holidays(p_employee_id UUID, p_start_date DATE, p_end_date DATE)
+RETURNS TABLE (holiday_id UUID, holiday_date DATE, name TEXT, holiday_type TEXT) AS $$
+    SELECT h.id, h.holiday_date, h.name, h.holiday_type
+    FROM holidays h
+    WHERE h.holiday_date BETWEEN p_start_date AND p_end_date
+      AND (
+          h.holiday_type = 'national'
+          OR (h.holiday_type = 'regional' AND h.site_id = (
+              SELECT es.site_id FROM employee_sites es WHERE es.employee_id = p_employee_id
+          ))
+          OR (h.holiday_type = 'optional' AND EXISTS (
+              SELECT 1 FROM optional_holiday_selections s
+              WHERE s.holiday_id = h.id AND s.employee_id = p_employee_id
+          ))
+      )
+    ORDER BY h.holiday_date;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 5: Holidays aren't working days (leave ranges skip them)
+CREATE OR REPLACE FUNCTION is_employee_working_day(p_employee_id UUID, p_date DATE)
+RETURNS BOOLEAN AS $$
+    SELECT EXTRACT(DOW FROM p_date)::SMALLINT = ANY(
+        COALESCE(
+            (SELECT s.working_days
+             FROM get_employee_shift(
+                 p_employee_id,
+                 (SELECT e.department FROM employees e WHERE e.id = p_employee_id),
+                 p_date
+             ) s),
+            '{1,2,3,4,5}'::SMALLINT[]
+        )
+    )
+    AND NOT EXISTS (SELECT 1 FROM get_employee_holidays(p_employee_id, p_date, p_date));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 6: Enable RLS
+ALTER TABLE holidays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE employee_sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE optional_holiday_selections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Holidays are viewable by authenticated users" ON holidays;
+DROP POLICY IF EXISTS "HR admins can manage holidays" ON holidays;
+DROP POLICY IF EXISTS "Employee sites are viewable by authenticated users" ON employee_sites;
+DROP POLICY IF EXISTS "HR admins can manage employee sites" ON employee_sites;
+DROP POLICY IF EXISTS "Employees can view their own optional holidays" ON optional_holiday_selections;
+DROP POLICY IF EXISTS "Employees can choose optional holidays" ON optional_holiday_selections;
+DROP POLICY IF EXISTS "Employees can remove optional holidays" ON optional_holiday_selections;
+
+CREATE POLICY "Holidays are viewable by authenticated users" ON holidays
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "HR admins can manage holidays" ON holidays
+    FOR ALL USING (has_app_role('hr_admin'));
+
+CREATE POLICY "Employee sites are viewable by authenticated users" ON employee_sites
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "HR admins can manage employee sites" ON employee_sites
+    FOR ALL USING (has_app_role('hr_admin'));
+
+CREATE POLICY "Employees can view their own optional holidays" ON optional_holiday_selections
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+CREATE POLICY "Employees can choose optional holidays" ON optional_holiday_selections
+    FOR INSERT WITH CHECK (auth.uid() = employee_id);
+
+CREATE POLICY "Employees can remove optional holidays" ON optional_holiday_selections
+    FOR DELETE USING (auth.uid() = employee_id);
+
+-- Step 7: Create updated_at triggers (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_holidays_updated_at ON holidays;
+        CREATE TRIGGER update_holidays_updated_at BEFORE UPDATE ON holidays
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_employee_sites_updated_at ON employee_sites;
+        CREATE TRIGGER update_employee_sites_updated_at BEFORE UPDATE ON employee_sites
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
@@ -0,0 +1,498 @@
+-- Leave Categories and Balances Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_geofencing.sql)
+-- Leave requests get a category (casual, sick, earned, unpaid). Each category has an
+-- annual allowance, an accrual rule and a carry-forward limit, and employees have a
+-- balance per category and year. New requests are checked against the available
+-- balance. Requests are approved through review_leave_request: by the manager, then by
+-- HR for categories that need a second step. The balance is deducted on final approval
+-- and restored by cancel_leave_request.
+
+-- Step 1: Create leave_categories table
+CREATE TABLE IF NOT EXISTS leave_categories (
+    category TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    annual_allowance NUMERIC(5,1) NOT NULL DEFAULT 0 CHECK (annual_allowance >= 0),
+    -- annual: the whole allowance is available from January; monthly: 1/12 accrues each month
+    accrual TEXT NOT NULL DEFAULT 'annual' CHECK (accrual IN ('annual', 'monthly')),
+    -- Unused days carried into the next year, up to this limit
+    max_carry_forward NUMERIC(5,1) NOT NULL DEFAULT 0 CHECK (max_carry_forward >= 0),
+    -- Unpaid leave isn't limited by a balance
+    requires_balance BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Approved by the manager first, then by an HR admin
+    requires_hr_approval BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO leave_categories (category, name, annual_allowance, accrual, max_carry_forward, requires_balance, requires_hr_approval)
+VALUES
+    ('casual', 'Casual Leave', 12, 'monthly', 0, TRUE, FALSE),
+    ('sick', 'Sick Leave', 10, 'annual', 0, TRUE, FALSE),
+    ('earned', 'Earned Leave', 15, 'monthly', 30, TRUE, TRUE),
+    ('unpaid', 'Unpaid Leave', 0, 'annual', 0, FALSE, TRUE)
+ON CONFLICT (category) DO NOTHING;
+
+-- Carry-forward starts from the year balances were introduced
+INSERT INTO app_settings (key, value)
+VALUES ('leave_balances_start_year', EXTRACT(YEAR FROM NOW() AT TIME ZONE get_organization_timezone())::TEXT)
+ON CONFLICT (key) DO NOTHING;
+
+-- Step 2: Add categories and the approval workflow to leave_requests
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS leave_category TEXT NOT NULL DEFAULT 'casual' REFERENCES leave_categories(category);
+
+-- Days deducted from the balance (set by the prepare_leave_request trigger)
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS days NUMERIC(4,1);
+
+UPDATE leave_requests
+SET days = CASE WHEN leave_type = 'full_day' THEN 1 ELSE 0.5 END
+WHERE days IS NULL;
+
+ALTER TABLE leave_requests
+ALTER COLUMN days SET NOT NULL;
+
+-- Copied from the category when the request is created
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS requires_hr_approval BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS manager_approved_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS manager_approved_at TIMESTAMPTZ;
+
+-- An HR admin gave the final approval without waiting for the manager step
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS hr_override BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+-- pending: awaiting the manager, pending_hr: approved by the manager and awaiting HR
+ALTER TABLE leave_requests
+DROP CONSTRAINT IF EXISTS leave_requests_status_check;
+
+ALTER TABLE leave_requests
+ADD CONSTRAINT leave_requests_status_check
+CHECK (status IN ('pending', 'pending_hr', 'approved', 'rejected', 'cancelled'));
+
+-- Rejected and cancelled requests don't block a new request for the same day
+ALTER TABLE leave_requests
+DROP CONSTRAINT IF EXISTS leave_requests_employee_id_leave_date_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_requests_active_date
+ON leave_requests(employee_id, leave_date) WHERE status NOT IN ('rejected', 'cancelled');
+
+-- Step 3: Create leave_balances table (one row per employee, year and category)
+CREATE TABLE IF NOT EXISTS leave_balances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    leave_category TEXT NOT NULL REFERENCES leave_categories(category) ON DELETE CASCADE,
+    -- The category's allowance when the year was opened; HR admins can adjust it per employee
+    entitled NUMERIC(5,1) NOT NULL CHECK (entitled >= 0),
+    -- Days of approved leave
+    used NUMERIC(5,1) NOT NULL DEFAULT 0 CHECK (used >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(employee_id, year, leave_category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_balances_employee ON leave_balances(employee_id, year);
+
+-- Step 4: Create balance functions
+-- Days accrued by a date: the whole allowance, or 1/12 per month started (rounded down to half days)
+CREATE OR REPLACE FUNCTION accrued_leave_days(p_entitled NUMERIC, p_accrual TEXT, p_date DATE)
+RETURNS NUMERIC AS $$
+    SELECT CASE
+        WHEN p_accrual = 'monthly' THEN FLOOR(p_entitled * EXTRACT(MONTH FROM p_date) / 12 * 2) / 2
+        ELSE p_entitled
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Get an employee's balance row for a year, opening it with the category's allowance if needed
+CREATE OR REPLACE FUNCTION ensure_leave_balance(p_employee_id UUID, p_year INTEGER, p_category TEXT)
+RETURNS leave_balances AS $$
+DECLARE
+    v_balance leave_balances;
+BEGIN
+    INSERT INTO leave_balances (employee_id, year, leave_category, entitled)
+    SELECT p_employee_id, p_year, c.category, c.annual_allowance
+    FROM leave_categories c
+    WHERE c.category = p_category
+    ON CONFLICT (employee_id, year, leave_category) DO NOTHING;
+
+    SELECT * INTO v_balance
+    FROM leave_balances b
+    WHERE b.employee_id = p_employee_id
+      AND b.year = p_year
+      AND b.leave_category = p_category;
+
+    IF v_balance.id IS NULL THEN
+        RAISE EXCEPTION 'Unknown leave category: %', p_category;
+    END IF;
+
+    RETURN v_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Days carried into a year: what was left of the previous year, up to the category's limit.
+-- Computed from the previous year's balance, so later changes to it are always reflected.
+CREATE OR REPLACE FUNCTION carried_forward_leave_days(p_employee_id UUID, p_year INTEGER, p_category TEXT)
+RETURNS NUMERIC AS $$
+DECLARE
+    v_max_carry NUMERIC;
+    v_start_year INTEGER;
+    v_previous leave_balances;
+BEGIN
+    SELECT c.max_carry_forward INTO v_max_carry FROM leave_categories c WHERE c.category = p_category;
+    SELECT s.value::INTEGER INTO v_start_year FROM app_settings s WHERE s.key = 'leave_balances_start_year';
+
+    IF COALESCE(v_max_carry, 0) = 0 OR v_start_year IS NULL OR p_year <= v_start_year THEN
+        RETURN 0;
+    END IF;
+
+    v_previous := ensure_leave_balance(p_employee_id, p_year - 1, p_category);
+
+    RETURN LEAST(
+        GREATEST(
+            v_previous.entitled
+                + carried_forward_leave_days(p_employee_id, p_year - 1, p_category)
+                - v_previous.used,
+            0
+        ),
+        v_max_carry
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Balance of a category in the year of a date, with the days accrued by that date.
+-- Pending requests are held back from the available days (except the one being reviewed).
+CREATE OR REPLACE FUNCTION leave_balance_summary(
+    p_employee_id UUID,
+    p_category TEXT,
+    p_date DATE,
+    p_exclude_request_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    entitled NUMERIC,
+    accrued NUMERIC,
+    carried_forward NUMERIC,
+    used NUMERIC,
+    pending NUMERIC,
+    available NUMERIC
+) AS $$
+DECLARE
+    v_year INTEGER := EXTRACT(YEAR FROM p_date)::INTEGER;
+    v_balance leave_balances;
+    v_accrual TEXT;
+BEGIN
+    v_balance := ensure_leave_balance(p_employee_id, v_year, p_category);
+    SELECT c.accrual INTO v_accrual FROM leave_categories c WHERE c.category = p_category;
+
+    entitled := v_balance.entitled;
+    accrued := accrued_leave_days(v_balance.entitled, v_accrual, p_date);
+    carried_forward := carried_forward_leave_days(p_employee_id, v_year, p_category);
+    used := v_balance.used;
+
+    SELECT COALESCE(SUM(l.days), 0) INTO pending
+    FROM leave_requests l
+    WHERE l.employee_id = p_employee_id
+      AND l.leave_category = p_category
+      AND l.status IN ('pending', 'pending_hr')
+      AND EXTRACT(YEAR FROM l.leave_date) = v_year
+      AND l.id IS DISTINCT FROM p_exclude_request_id;
+
+    available := accrued + carried_forward - used - pending;
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Internal helpers: callers go through get_leave_balances and the review functions below
+REVOKE EXECUTE ON FUNCTION ensure_leave_balance(UUID, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION carried_forward_leave_days(UUID, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION leave_balance_summary(UUID, TEXT, DATE, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Every category's balance for an employee as of a date (the employee, their managers or HR)
+CREATE OR REPLACE FUNCTION get_leave_balances(p_employee_id UUID, p_date DATE)
+RETURNS TABLE (
+    leave_category TEXT,
+    name TEXT,
+    requires_balance BOOLEAN,
+    requires_hr_approval BOOLEAN,
+    entitled NUMERIC,
+    accrued NUMERIC,
+    carried_forward NUMERIC,
+    used NUMERIC,
+    pending NUMERIC,
+    available NUMERIC
+) AS $$
+BEGIN
+    IF p_employee_id <> auth.uid() AND NOT can_manage_employee(p_employee_id) THEN
+        RAISE EXCEPTION 'You can only view your own or your team''s leave balances';
+    END IF;
+
+    RETURN QUERY
+    SELECT c.category, c.name, c.requires_balance, c.requires_hr_approval,
+           s.entitled, s.accrued, s.carried_forward, s.used, s.pending, s.available
+    FROM leave_categories c
+    CROSS JOIN LATERAL leave_balance_summary(p_employee_id, c.category, p_date) s
+    ORDER BY c.name;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 5: Check the balance when a leave request is created
+CREATE OR REPLACE FUNCTION prepare_leave_request()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_category leave_categories;
+    v_available NUMERIC;
+BEGIN
+    SELECT * INTO v_category FROM leave_categories WHERE category = NEW.leave_category;
+    IF v_category.category IS NULL THEN
+        RAISE EXCEPTION 'Unknown leave category: %', NEW.leave_category;
+    END IF;
+
+    NEW.days := CASE WHEN NEW.leave_type = 'full_day' THEN 1 ELSE 0.5 END;
+    NEW.requires_hr_approval := v_category.requires_hr_approval;
+    NEW.manager_approved_by := NULL;
+    NEW.manager_approved_at := NULL;
+    NEW.hr_override := FALSE;
+    NEW.approved_by := NULL;
+    NEW.approved_at := NULL;
+
+    IF v_category.requires_balance THEN
+        SELECT s.available INTO v_available
+        FROM leave_balance_summary(NEW.employee_id, NEW.leave_category, NEW.leave_date) s;
+
+        IF NEW.days > v_available THEN
+            RAISE EXCEPTION 'Not enough % balance: % day(s) available', v_category.name, GREATEST(v_available, 0);
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS prepare_leave_request ON leave_requests;
+CREATE TRIGGER prepare_leave_request
+    BEFORE INSERT ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION prepare_leave_request();
+
+-- Step 6: Create function to approve or reject a leave request
+-- Managers approve their team's requests; two-step categories then wait for an HR admin.
+-- HR admins give the final approval, which deducts the days from the balance. An HR admin
+-- approving a two-step request before the manager has is recorded as an HR override.
+CREATE OR REPLACE FUNCTION review_leave_request(
+    p_leave_id UUID,
+    p_status TEXT
+)
+RETURNS leave_requests AS $$
+DECLARE
+    v_leave leave_requests;
+    v_category leave_categories;
+    v_is_hr BOOLEAN := has_app_role('hr_admin');
+    v_year INTEGER;
+    v_available NUMERIC;
+    v_override BOOLEAN;
+BEGIN
+    IF p_status NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Invalid status: %', p_status;
+    END IF;
+
+    SELECT * INTO v_leave
+    FROM leave_requests
+    WHERE id = p_leave_id
+    FOR UPDATE;
+
+    IF v_leave.id IS NULL THEN
+        RAISE EXCEPTION 'Leave request not found';
+    END IF;
+
+    IF v_leave.employee_id = auth.uid() OR NOT can_manage_employee(v_leave.employee_id) THEN
+        RAISE EXCEPTION 'You can only review leave requests for your own team';
+    END IF;
+
+    IF v_leave.status = 'pending_hr' AND NOT v_is_hr THEN
+        RAISE EXCEPTION 'This leave request is waiting for HR approval';
+    END IF;
+
+    IF v_leave.status = 'pending' AND NOT is_approver_for(v_leave.employee_id, v_leave.leave_date) THEN
+        RAISE EXCEPTION 'This leave request is waiting for another approver';
+    END IF;
+
+    IF v_leave.status NOT IN ('pending', 'pending_hr') THEN
+        RAISE EXCEPTION 'Leave request has already been %', v_leave.status;
+    END IF;
+
+    IF p_status = 'rejected' THEN
+        UPDATE leave_requests
+        SET status = 'rejected',
+            approved_by = auth.uid(),
+            approved_at = NOW()
+        WHERE id = p_leave_id
+        RETURNING * INTO v_leave;
+
+        RETURN v_leave;
+    END IF;
+
+    -- First step of a two-step approval
+    IF v_leave.status = 'pending' AND v_leave.requires_hr_approval AND NOT v_is_hr THEN
+        UPDATE leave_requests
+        SET status = 'pending_hr',
+            manager_approved_by = auth.uid(),
+            manager_approved_at = NOW()
+        WHERE id = p_leave_id
+        RETURNING * INTO v_leave;
+
+        RETURN v_leave;
+    END IF;
+
+    -- Final approval: lock the balance, check it again and deduct the days
+    SELECT * INTO v_category FROM leave_categories WHERE category = v_leave.leave_category;
+    v_year := EXTRACT(YEAR FROM v_leave.leave_date)::INTEGER;
+    PERFORM ensure_leave_balance(v_leave.employee_id, v_year, v_leave.leave_category);
+    PERFORM 1
+    FROM leave_balances
+    WHERE employee_id = v_leave.employee_id
+      AND year = v_year
+      AND leave_category = v_leave.leave_category
+    FOR UPDATE;
+
+    IF v_category.requires_balance THEN
+        SELECT s.available INTO v_available
+        FROM leave_balance_summary(v_leave.employee_id, v_leave.leave_category, v_leave.leave_date, v_leave.id) s;
+
+        IF v_leave.days > v_available THEN
+            RAISE EXCEPTION 'Not enough % balance: % day(s) available', v_category.name, GREATEST(v_available, 0);
+        END IF;
+    END IF;
+
+    UPDATE leave_balances
+    SET used = used + v_leave.days
+    WHERE employee_id = v_leave.employee_id
+      AND year = v_year
+      AND leave_category = v_leave.leave_category;
+
+    -- HR skipped the manager step, unless HR is also the approver for it (nobody in the chain is available)
+    v_override := v_leave.status = 'pending'
+        AND v_leave.requires_hr_approval
+        AND COALESCE(get_approver(v_leave.employee_id, v_leave.leave_date), auth.uid()) <> auth.uid();
+
+    UPDATE leave_requests
+    SET status = 'approved',
+        approved_by = auth.uid(),
+        approved_at = NOW(),
+        manager_approved_by = CASE WHEN v_override THEN NULL ELSE COALESCE(manager_approved_by, auth.uid()) END,
+        manager_approved_at = CASE WHEN v_override THEN NULL ELSE COALESCE(manager_approved_at, NOW()) END,
+        hr_override = v_override
+    WHERE id = p_leave_id
+    RETURNING * INTO v_leave;
+
+    RETURN v_leave;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 7: Create function to cancel a leave request
+-- Approved days go back to the balance. Employees can cancel their own requests until the
+-- leave has started; managers and HR admins can cancel their team's at any time.
+CREATE OR REPLACE FUNCTION cancel_leave_request(p_leave_id UUID)
+RETURNS leave_requests AS $$
+DECLARE
+    v_leave leave_requests;
+BEGIN
+    SELECT * INTO v_leave
+    FROM leave_requests
+    WHERE id = p_leave_id
+    FOR UPDATE;
+
+    IF v_leave.id IS NULL THEN
+        RAISE EXCEPTION 'Leave request not found';
+    END IF;
+
+    IF v_leave.employee_id <> auth.uid() AND NOT can_manage_employee(v_leave.employee_id) THEN
+        RAISE EXCEPTION 'You can only cancel your own or your team''s leave requests';
+    END IF;
+
+    IF v_leave.status NOT IN ('pending', 'pending_hr', 'approved') THEN
+        RAISE EXCEPTION 'Leave request has already been %', v_leave.status;
+    END IF;
+
+    IF v_leave.status = 'approved'
+       AND v_leave.employee_id = auth.uid()
+       AND NOT can_manage_employee(v_leave.employee_id)
+       AND v_leave.leave_date <= (NOW() AT TIME ZONE get_organization_timezone())::DATE THEN
+        RAISE EXCEPTION 'Leave that has already started can only be cancelled by a manager';
+    END IF;
+
+    IF v_leave.status = 'approved' THEN
+        UPDATE leave_balances
+        SET used = GREATEST(used - v_leave.days, 0)
+        WHERE employee_id = v_leave.employee_id
+          AND year = EXTRACT(YEAR FROM v_leave.leave_date)::INTEGER
+          AND leave_category = v_leave.leave_category;
+    END IF;
+
+    UPDATE leave_requests
+    SET status = 'cancelled',
+        cancelled_at = NOW()
+    WHERE id = p_leave_id
+    RETURNING * INTO v_leave;
+
+    RETURN v_leave;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 8: Record leave approved before this migration against the balances
+INSERT INTO leave_balances (employee_id, year, leave_category, entitled, used)
+SELECT l.employee_id, EXTRACT(YEAR FROM l.leave_date)::INTEGER, l.leave_category, c.annual_allowance, SUM(l.days)
+FROM leave_requests l
+JOIN leave_categories c ON c.category = l.leave_category
+WHERE l.status = 'approved'
+  AND EXTRACT(YEAR FROM l.leave_date) >= (SELECT value::INTEGER FROM app_settings WHERE key = 'leave_balances_start_year')
+GROUP BY l.employee_id, EXTRACT(YEAR FROM l.leave_date), l.leave_category, c.annual_allowance
+ON CONFLICT (employee_id, year, leave_category) DO NOTHING;
+
+-- Step 9: Enable RLS
+ALTER TABLE leave_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leave_balances ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Leave categories are viewable by authenticated users" ON leave_categories;
+DROP POLICY IF EXISTS "HR admins can manage leave categories" ON leave_categories;
+DROP POLICY IF EXISTS "Employees can view their own leave balances" ON leave_balances;
+DROP POLICY IF EXISTS "HR admins can manage leave balances" ON leave_balances;
+
+CREATE POLICY "Leave categories are viewable by authenticated users" ON leave_categories
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "HR admins can manage leave categories" ON leave_categories
+    FOR ALL USING (has_app_role('hr_admin'));
+
+CREATE POLICY "Employees can view their own leave balances" ON leave_balances
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+-- Used days are only changed by review_leave_request and cancel_leave_request
+CREATE POLICY "HR admins can manage leave balances" ON leave_balances
+    FOR ALL USING (has_app_role('hr_admin'));
+
+-- Leave requests are created as pending and only change status through the functions above
+DROP POLICY IF EXISTS "Employees can create their own leave requests" ON leave_requests;
+DROP POLICY IF EXISTS "Managers and admins can update leave requests" ON leave_requests;
+
+CREATE POLICY "Employees can create their own leave requests" ON leave_requests
+    FOR INSERT WITH CHECK (auth.uid() = employee_id AND status = 'pending');
+
+-- Step 10: Create updated_at triggers (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_leave_categories_updated_at ON leave_categories;
+        CREATE TRIGGER update_leave_categories_updated_at BEFORE UPDATE ON leave_categories
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_leave_balances_updated_at ON leave_balances;
+        CREATE TRIGGER update_leave_balances_updated_at BEFORE UPDATE ON leave_balances
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
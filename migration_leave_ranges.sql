@@ -0,0 +1,184 @@
+-- Date-range Leave Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_leave_balances.sql)
+-- A leave request covers leave_date (the first day) to end_date and is approved as one
+-- unit. The first day can start in the afternoon (leave_type = 'half_day_afternoon') and
+-- the last day can end at midday (end_leave_type = 'half_day_morning'). Only the
+-- employee's working days count towards the request's days.
+
+-- Step 1: Add the end of the range to leave_requests
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS end_date DATE;
+
+-- Leave type of the last day (same as leave_type for a single day)
+ALTER TABLE leave_requests
+ADD COLUMN IF NOT EXISTS end_leave_type TEXT
+CHECK (end_leave_type IN ('full_day', 'half_day_morning', 'half_day_afternoon'));
+
+UPDATE leave_requests
+SET end_date = leave_date,
+    end_leave_type = leave_type
+WHERE end_date IS NULL;
+
+ALTER TABLE leave_requests
+ALTER COLUMN end_date SET NOT NULL;
+
+ALTER TABLE leave_requests
+ALTER COLUMN end_leave_type SET NOT NULL;
+
+ALTER TABLE leave_requests
+DROP CONSTRAINT IF EXISTS check_leave_range;
+
+ALTER TABLE leave_requests
+ADD CONSTRAINT check_leave_range CHECK (end_date >= leave_date);
+
+-- Step 2: Active requests can't overlap (replaces the one-request-per-day index)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DROP INDEX IF EXISTS idx_leave_requests_active_date;
+
+ALTER TABLE leave_requests
+DROP CONSTRAINT IF EXISTS leave_requests_no_overlap;
+
+ALTER TABLE leave_requests
+ADD CONSTRAINT leave_requests_no_overlap
+EXCLUDE USING gist (employee_id WITH =, daterange(leave_date, end_date, '[]') WITH &&)
+WHERE (status NOT IN ('rejected', 'cancelled'));
+
+-- Step 3: Create functions to expand a range into days
+-- Leave type on one day of a range (NULL outside it)
+CREATE OR REPLACE FUNCTION leave_type_on(
+    p_start_date DATE,
+    p_end_date DATE,
+    p_leave_type TEXT,
+    p_end_leave_type TEXT,
+    p_date DATE
+)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN p_date < p_start_date OR p_date > p_end_date THEN NULL
+        WHEN p_date = p_start_date THEN p_leave_type
+        WHEN p_date = p_end_date THEN p_end_leave_type
+        ELSE 'full_day'
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether a date is one of the employee's working days (from their shift, Monday-Friday by default)
+CREATE OR REPLACE FUNCTION is_employee_working_day(p_employee_id UUID, p_date DATE)
+RETURNS BOOLEAN AS $$
+    SELECT EXTRACT(DOW FROM p_date)::SMALLINT = ANY(
+        COALESCE(
+            (SELECT s.working_days
+             FROM get_employee_shift(
+                 p_employee_id,
+                 (SELECT e.department FROM employees e WHERE e.id = p_employee_id),
+                 p_date
+             ) s),
+            '{1,2,3,4,5}'::SMALLINT[]
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Days of leave a range takes: 1 per working day, 0.5 for a half day at either end
+CREATE OR REPLACE FUNCTION count_leave_days(
+    p_employee_id UUID,
+    p_start_date DATE,
+    p_end_date DATE,
+    p_leave_type TEXT,
+    p_end_leave_type TEXT
+)
+RETURNS NUMERIC AS $$
+    SELECT COALESCE(SUM(
+        CASE WHEN leave_type_on(p_start_date, p_end_date, p_leave_type, p_end_leave_type, d.day) = 'full_day'
+             THEN 1 ELSE 0.5 END
+    ), 0)
+    FROM generate_series(0, p_end_date - p_start_date) AS i
+    CROSS JOIN LATERAL (SELECT p_start_date + i AS day) d
+    WHERE is_employee_working_day(p_employee_id, d.day);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 4: Validate ranges and count their days when a request is created
+CREATE OR REPLACE FUNCTION prepare_leave_request()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_category leave_categories;
+    v_available NUMERIC;
+BEGIN
+    SELECT * INTO v_category FROM leave_categories WHERE category = NEW.leave_category;
+    IF v_category.category IS NULL THEN
+        RAISE EXCEPTION 'Unknown leave category: %', NEW.leave_category;
+    END IF;
+
+    -- Clients that only send leave_date request a single day
+    NEW.end_date := COALESCE(NEW.end_date, NEW.leave_date);
+
+    IF NEW.end_date < NEW.leave_date THEN
+        RAISE EXCEPTION 'Leave can''t end before it starts';
+    END IF;
+
+    -- Balances are per year, so each year's leave is requested separately
+    IF EXTRACT(YEAR FROM NEW.end_date) <> EXTRACT(YEAR FROM NEW.leave_date) THEN
+        RAISE EXCEPTION 'Leave across the new year must be requested separately for each year';
+    END IF;
+
+    IF NEW.end_date = NEW.leave_date THEN
+        NEW.end_leave_type := NEW.leave_type;
+    ELSE
+        NEW.end_leave_type := COALESCE(NEW.end_leave_type, 'full_day');
+        IF NEW.leave_type NOT IN ('full_day', 'half_day_afternoon')
+           OR NEW.end_leave_type NOT IN ('full_day', 'half_day_morning') THEN
+            RAISE EXCEPTION 'Leave over several days can only start in the afternoon or end at midday';
+        END IF;
+    END IF;
+
+    NEW.days := count_leave_days(NEW.employee_id, NEW.leave_date, NEW.end_date, NEW.leave_type, NEW.end_leave_type);
+    IF NEW.days = 0 THEN
+        RAISE EXCEPTION 'The selected dates don''t include any working days';
+    END IF;
+
+    NEW.requires_hr_approval := v_category.requires_hr_approval;
+    NEW.manager_approved_by := NULL;
+    NEW.manager_approved_at := NULL;
+    NEW.hr_override := FALSE;
+    NEW.approved_by := NULL;
+    NEW.approved_at := NULL;
+
+    IF v_category.requires_balance THEN
+        SELECT s.available INTO v_available
+        FROM leave_balance_summary(NEW.employee_id, NEW.leave_category, NEW.leave_date) s;
+
+        IF NEW.days > v_available THEN
+            RAISE EXCEPTION 'Not enough % balance: % day(s) available', v_category.name, GREATEST(v_available, 0);
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 5: Managers on full-day leave anywhere in a range don't approve requests that day
+CREATE OR REPLACE FUNCTION get_approver(p_employee_id UUID, p_date DATE)
+RETURNS UUID AS $$
+    SELECT c.manager_id
+    FROM get_management_chain(p_employee_id) c
+    JOIN user_roles ur ON ur.user_id = c.manager_id AND ur.role IN ('manager', 'hr_admin')
+    WHERE NOT EXISTS (
+        SELECT 1 FROM leave_requests l
+        WHERE l.employee_id = c.manager_id
+          AND p_date BETWEEN l.leave_date AND l.end_date
+          AND leave_type_on(l.leave_date, l.end_date, l.leave_type, l.end_leave_type, p_date) = 'full_day'
+          AND l.status = 'approved'
+    )
+    ORDER BY c.depth
+    LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 6: Corrected scans use the leave type of their day anywhere in a range
+CREATE OR REPLACE FUNCTION approved_leave_type_on(p_employee_id UUID, p_date DATE)
+RETURNS TEXT AS $$
+    SELECT leave_type_on(leave_date, end_date, leave_type, end_leave_type, p_date)
+    FROM leave_requests
+    WHERE employee_id = p_employee_id
+      AND p_date BETWEEN leave_date AND end_date
+      AND status = 'approved'
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,240 @@
+-- Missed Check-outs Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_multiple_breaks.sql)
+-- Adds the tables used by the process-missed-checkouts Edge Function, which flags
+-- sessions left open after the shift ended, applies the configured policy and
+-- notifies the employee, plus correction requests that a manager approves.
+
+-- Step 1: Record where each attendance record came from
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'qr';
+
+ALTER TABLE attendance_records
+DROP CONSTRAINT IF EXISTS check_attendance_source;
+
+-- qr: scanned QR code, auto_close: closed by the missed check-out job, correction: approved correction
+ALTER TABLE attendance_records
+ADD CONSTRAINT check_attendance_source
+CHECK (source IN ('qr', 'auto_close', 'correction'));
+
+-- Step 2: Policy for sessions without a check-out
+-- auto_close:    add a check-out at the shift end (or the last scan, if later)
+-- missing_punch: leave the session open and mark it as a missing punch
+-- leave_open:    only notify the employee
+INSERT INTO app_settings (key, value)
+VALUES ('missed_checkout_policy', 'missing_punch')
+ON CONFLICT (key) DO NOTHING;
+
+-- Minutes after the shift end before a session counts as missing its check-out
+INSERT INTO app_settings (key, value)
+VALUES ('missed_checkout_grace_minutes', '120')
+ON CONFLICT (key) DO NOTHING;
+
+-- Step 3: Create attendance_exceptions table (one row per flagged session)
+CREATE TABLE IF NOT EXISTS attendance_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    session_date DATE NOT NULL,
+    exception_type TEXT NOT NULL DEFAULT 'missed_check_out' CHECK (exception_type IN ('missed_check_out')),
+    policy_applied TEXT NOT NULL CHECK (policy_applied IN ('auto_close', 'missing_punch', 'leave_open')),
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    -- Check-out added by the auto_close policy
+    attendance_record_id UUID REFERENCES attendance_records(id) ON DELETE SET NULL,
+    expected_check_out TIMESTAMPTZ,
+    notified_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- The job can run repeatedly without flagging a session twice
+    UNIQUE(employee_id, session_date, exception_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_exceptions_status ON attendance_exceptions(status);
+CREATE INDEX IF NOT EXISTS idx_attendance_exceptions_employee ON attendance_exceptions(employee_id, session_date);
+
+-- Step 4: Create attendance_corrections table
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    session_date DATE NOT NULL,
+    exception_id UUID REFERENCES attendance_exceptions(id) ON DELETE SET NULL,
+    correction_type TEXT NOT NULL DEFAULT 'missing_check_out' CHECK (correction_type IN ('missing_check_out')),
+    requested_time TIMESTAMPTZ NOT NULL,
+    reason TEXT NOT NULL,
+    requested_by UUID DEFAULT auth.uid(),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    reviewed_by UUID REFERENCES employees(id),
+    reviewed_at TIMESTAMPTZ,
+    attendance_record_id UUID REFERENCES attendance_records(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_status ON attendance_corrections(status);
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_employee ON attendance_corrections(employee_id, session_date);
+
+-- Step 5: Create notifications table (read by the mobile app)
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    notification_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_employee ON notifications(employee_id, created_at DESC);
+
+-- Step 6: Enable RLS
+ALTER TABLE attendance_exceptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_corrections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+-- Step 7: Drop existing policies if they exist, then create new ones
+DROP POLICY IF EXISTS "Attendance exceptions are viewable by authenticated users" ON attendance_exceptions;
+DROP POLICY IF EXISTS "Attendance corrections are viewable by authenticated users" ON attendance_corrections;
+DROP POLICY IF EXISTS "Employees and managers can request corrections" ON attendance_corrections;
+DROP POLICY IF EXISTS "Employees can view their own notifications" ON notifications;
+DROP POLICY IF EXISTS "Employees can mark their own notifications as read" ON notifications;
+
+-- Exceptions are only written by the Edge Function (service role)
+CREATE POLICY "Attendance exceptions are viewable by authenticated users" ON attendance_exceptions
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Attendance corrections are viewable by authenticated users" ON attendance_corrections
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Corrections are approved through review_attendance_correction, never updated directly
+CREATE POLICY "Employees and managers can request corrections" ON attendance_corrections
+    FOR INSERT WITH CHECK (
+        status = 'pending'
+        AND requested_by = auth.uid()
+        AND (
+            employee_id = auth.uid()
+            OR EXISTS (
+                SELECT 1 FROM employees
+                WHERE id = auth.uid()
+                AND role IN ('manager', 'admin')
+            )
+        )
+    );
+
+CREATE POLICY "Employees can view their own notifications" ON notifications
+    FOR SELECT USING (auth.uid() = employee_id);
+
+CREATE POLICY "Employees can mark their own notifications as read" ON notifications
+    FOR UPDATE USING (auth.uid() = employee_id);
+
+-- Step 8: Create function to approve or reject a correction (managers and admins)
+-- Approving adds the corrected check-out (or moves the auto-closed one) and resolves the exception
+CREATE OR REPLACE FUNCTION review_attendance_correction(
+    p_correction_id UUID,
+    p_status TEXT
+)
+RETURNS attendance_corrections AS $$
+DECLARE
+    v_correction attendance_corrections;
+    v_exception attendance_exceptions;
+    v_last_scan attendance_records;
+    v_record_id UUID;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM employees
+        WHERE id = auth.uid()
+        AND role IN ('manager', 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Only managers and admins can review corrections';
+    END IF;
+
+    IF p_status NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Invalid status: %', p_status;
+    END IF;
+
+    SELECT * INTO v_correction
+    FROM attendance_corrections
+    WHERE id = p_correction_id
+    FOR UPDATE;
+
+    IF v_correction.id IS NULL THEN
+        RAISE EXCEPTION 'Correction request not found';
+    END IF;
+
+    IF v_correction.status <> 'pending' THEN
+        RAISE EXCEPTION 'Correction request has already been reviewed';
+    END IF;
+
+    IF p_status = 'approved' THEN
+        SELECT * INTO v_exception
+        FROM attendance_exceptions
+        WHERE id = v_correction.exception_id;
+
+        IF v_exception.attendance_record_id IS NOT NULL THEN
+            -- Move the auto-closed check-out to the corrected time
+            UPDATE attendance_records
+            SET scanned_at = v_correction.requested_time,
+                check_in_time = v_correction.requested_time,
+                source = 'correction',
+                is_early_departure = FALSE
+            WHERE id = v_exception.attendance_record_id
+            RETURNING id INTO v_record_id;
+        ELSE
+            -- Copy the employee details from the session's last scan
+            SELECT * INTO v_last_scan
+            FROM attendance_records
+            WHERE employee_id = v_correction.employee_id
+              AND session_date = v_correction.session_date
+            ORDER BY scanned_at DESC
+            LIMIT 1;
+
+            IF v_last_scan.id IS NULL THEN
+                RAISE EXCEPTION 'No scans found for this session';
+            END IF;
+
+            IF v_correction.requested_time <= v_last_scan.scanned_at THEN
+                RAISE EXCEPTION 'Check-out time must be after the last scan';
+            END IF;
+
+            INSERT INTO attendance_records (
+                employee_id, employee_name, employee_role, department,
+                check_in_time, scanned_at, session_date, scan_type,
+                signature_verified, source, notes
+            ) VALUES (
+                v_correction.employee_id, v_last_scan.employee_name, v_last_scan.employee_role, v_last_scan.department,
+                v_correction.requested_time, v_correction.requested_time, v_correction.session_date, 'check_out',
+                FALSE, 'correction', v_correction.reason
+            )
+            RETURNING id INTO v_record_id;
+        END IF;
+
+        UPDATE attendance_exceptions
+        SET status = 'resolved',
+            resolved_at = NOW()
+        WHERE id = v_correction.exception_id;
+    END IF;
+
+    UPDATE attendance_corrections
+    SET status = p_status,
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        attendance_record_id = v_record_id
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    RETURN v_correction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 9: Create updated_at triggers (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_attendance_exceptions_updated_at ON attendance_exceptions;
+        CREATE TRIGGER update_attendance_exceptions_updated_at BEFORE UPDATE ON attendance_exceptions
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_attendance_corrections_updated_at ON attendance_corrections;
+        CREATE TRIGGER update_attendance_corrections_updated_at BEFORE UPDATE ON attendance_corrections
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
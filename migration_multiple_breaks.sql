@@ -0,0 +1,77 @@
+-- Multiple Breaks Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_overnight_sessions.sql)
+-- A session is now any sequence of in/out intervals: check_in -> (lunch_out -> lunch_in)* -> check_out,
+-- repeated for split shifts. lunch_out/lunch_in mark any break (tea break, client visit, ...).
+-- The sequence is enforced by the mark-attendance Edge Function; working hours are the sum
+-- of every worked interval instead of check-out minus check-in minus one lunch break.
+
+-- Step 1: Make sure nothing limits a session to one scan per day or per type
+DROP INDEX IF EXISTS idx_attendance_unique_daily;
+
+-- Step 2: Sum all worked intervals in a session
+-- The return columns change, so the old function has to be dropped first
+DROP FUNCTION IF EXISTS calculate_daily_working_hours(UUID, DATE);
+
+CREATE OR REPLACE FUNCTION calculate_daily_working_hours(
+    p_employee_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    first_check_in TIMESTAMPTZ,
+    last_check_out TIMESTAMPTZ,
+    total_hours DECIMAL,
+    break_minutes INTEGER,
+    interval_count INTEGER,
+    break_count INTEGER,
+    is_complete BOOLEAN,
+    is_half_day BOOLEAN
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH ordered_scans AS (
+        -- Pair every scan with the one that follows it in the session
+        SELECT scan_type,
+               scanned_at,
+               LEAD(scan_type) OVER (ORDER BY scanned_at) AS next_type,
+               LEAD(scanned_at) OVER (ORDER BY scanned_at) AS next_at,
+               LAST_VALUE(scan_type) OVER (
+                   ORDER BY scanned_at
+                   ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING
+               ) AS last_type
+        FROM attendance_records
+        WHERE employee_id = p_employee_id
+          AND session_date = p_date
+    ),
+    periods AS (
+        SELECT scan_type,
+               scanned_at,
+               last_type,
+               -- A worked interval starts with check_in/lunch_in and ends with lunch_out/check_out
+               (scan_type IN ('check_in', 'lunch_in') AND next_type IN ('lunch_out', 'check_out')) AS is_work,
+               (scan_type = 'lunch_out' AND next_type = 'lunch_in') AS is_break,
+               EXTRACT(EPOCH FROM (next_at - scanned_at)) AS seconds
+        FROM ordered_scans
+    ),
+    totals AS (
+        SELECT MIN(scanned_at) FILTER (WHERE scan_type = 'check_in') AS v_first_check_in,
+               MAX(scanned_at) FILTER (WHERE scan_type = 'check_out') AS v_last_check_out,
+               COALESCE(SUM(seconds) FILTER (WHERE is_work), 0) AS v_work_seconds,
+               COALESCE(SUM(seconds) FILTER (WHERE is_break), 0) AS v_break_seconds,
+               COUNT(*) FILTER (WHERE is_work) AS v_intervals,
+               COUNT(*) FILTER (WHERE is_break) AS v_breaks,
+               -- Complete once the session's last scan is a check-out
+               BOOL_OR(scan_type = 'check_in') AND MAX(last_type) = 'check_out' AS v_complete
+        FROM periods
+    )
+    SELECT v_first_check_in,
+           CASE WHEN COALESCE(v_complete, FALSE) THEN v_last_check_out END,
+           CASE WHEN COALESCE(v_complete, FALSE) THEN ROUND((v_work_seconds / 3600)::DECIMAL, 2) END,
+           ROUND(v_break_seconds / 60)::INTEGER,
+           v_intervals::INTEGER,
+           v_breaks::INTEGER,
+           COALESCE(v_complete, FALSE),
+           -- Only check-in, no check-out (half day or incomplete)
+           v_first_check_in IS NOT NULL AND NOT COALESCE(v_complete, FALSE)
+    FROM totals;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,12 @@
+-- Offline Scan Review Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_attendance_summaries.sql)
+-- Offline scans are only accepted from paired scanners. They keep the scan time the
+-- scanner reports, so mark-attendance lists each one in security_events for review.
+
+-- Step 1: Allow offline scans in security_events
+ALTER TABLE security_events
+DROP CONSTRAINT IF EXISTS security_events_event_type_check;
+
+ALTER TABLE security_events
+ADD CONSTRAINT security_events_event_type_check
+CHECK (event_type IN ('qr_replay', 'outside_geofence', 'offline_scan'));
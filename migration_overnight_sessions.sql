@@ -0,0 +1,100 @@
+-- Overnight Shift Sessions Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_shifts.sql and migration_timezone.sql)
+-- Scans were grouped by scanned_date, so a night shift from 22:00 to 06:00 was split
+-- across two days. Each scan now also records session_date: the date its shift started.
+-- Daily, weekly and monthly summaries group scans by session_date.
+
+-- Step 1: Add session_date column
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS session_date DATE;
+
+-- Existing scans belong to the session of the day they were scanned
+UPDATE attendance_records
+SET session_date = scanned_date
+WHERE session_date IS NULL;
+
+ALTER TABLE attendance_records
+ALTER COLUMN session_date SET NOT NULL;
+
+-- Step 2: Default session_date to the business date when the scanner doesn't supply one
+CREATE OR REPLACE FUNCTION set_scanned_date()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.scanned_date := (NEW.scanned_at AT TIME ZONE get_organization_timezone())::DATE;
+    NEW.session_date := COALESCE(NEW.session_date, NEW.scanned_date);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 3: Create indexes for session lookups
+CREATE INDEX IF NOT EXISTS idx_attendance_employee_session ON attendance_records(employee_id, session_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_employee_session_type ON attendance_records(employee_id, session_date, scan_type);
+
+-- Step 4: Calculate working hours per session instead of per calendar day
+CREATE OR REPLACE FUNCTION calculate_daily_working_hours(
+    p_employee_id UUID,
+    p_date DATE
+)
+RETURNS TABLE (
+    check_in_time TIMESTAMPTZ,
+    lunch_out_time TIMESTAMPTZ,
+    lunch_in_time TIMESTAMPTZ,
+    check_out_time TIMESTAMPTZ,
+    total_hours DECIMAL,
+    lunch_duration_minutes INTEGER,
+    is_complete BOOLEAN,
+    is_half_day BOOLEAN
+) AS $$
+DECLARE
+    v_check_in TIMESTAMPTZ;
+    v_lunch_out TIMESTAMPTZ;
+    v_lunch_in TIMESTAMPTZ;
+    v_check_out TIMESTAMPTZ;
+    v_total_hours DECIMAL;
+    v_lunch_minutes INTEGER;
+    v_is_complete BOOLEAN;
+    v_is_half_day BOOLEAN;
+BEGIN
+    -- Get all scans for the session starting on this day
+    SELECT MAX(CASE WHEN scan_type = 'check_in' THEN scanned_at END),
+           MAX(CASE WHEN scan_type = 'lunch_out' THEN scanned_at END),
+           MAX(CASE WHEN scan_type = 'lunch_in' THEN scanned_at END),
+           MAX(CASE WHEN scan_type = 'check_out' THEN scanned_at END)
+    INTO v_check_in, v_lunch_out, v_lunch_in, v_check_out
+    FROM attendance_records
+    WHERE employee_id = p_employee_id
+      AND session_date = p_date;
+    
+    -- Calculate lunch duration
+    IF v_lunch_out IS NOT NULL AND v_lunch_in IS NOT NULL THEN
+        v_lunch_minutes := EXTRACT(EPOCH FROM (v_lunch_in - v_lunch_out)) / 60;
+    ELSE
+        v_lunch_minutes := 0;
+    END IF;
+    
+    -- Calculate total working hours
+    IF v_check_in IS NOT NULL AND v_check_out IS NOT NULL THEN
+        v_total_hours := (EXTRACT(EPOCH FROM (v_check_out - v_check_in)) / 3600) - (v_lunch_minutes / 60.0);
+        v_is_complete := TRUE;
+    ELSIF v_check_in IS NOT NULL THEN
+        -- Only check-in, no check-out (half day or incomplete)
+        v_total_hours := NULL;
+        v_is_complete := FALSE;
+        v_is_half_day := TRUE;
+    ELSE
+        v_total_hours := NULL;
+        v_is_complete := FALSE;
+        v_is_half_day := FALSE;
+    END IF;
+    
+    RETURN QUERY SELECT 
+        v_check_in,
+        v_lunch_out,
+        v_lunch_in,
+        v_check_out,
+        v_total_hours,
+        v_lunch_minutes,
+        v_is_complete,
+        v_is_half_day;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,68 @@
+-- QR Replay Protection Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_server_verification.sql)
+-- Every QR payload accepted by the mark-attendance Edge Function is recorded in a
+-- ledger keyed by its signature (and nonce), so the same payload can only ever be
+-- used once, even if it is scanned on two kiosks within the 60 second window.
+-- Replays are logged to security_events for admins to review.
+
+-- Step 1: Create ledger of consumed QR payloads
+CREATE TABLE IF NOT EXISTS qr_nonce_ledger (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Canonical form: lowercase hex (HS256) or unpadded base64url (EdDSA, ES256)
+    signature TEXT NOT NULL UNIQUE,
+    nonce TEXT,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    qr_issued_at TIMESTAMPTZ NOT NULL,
+    consumed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    attendance_record_id UUID REFERENCES attendance_records(id) ON DELETE SET NULL
+);
+
+-- A nonce can only be used once per employee, whatever it is signed with
+CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_nonce_ledger_nonce
+ON qr_nonce_ledger(employee_id, nonce) WHERE nonce IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_qr_nonce_ledger_consumed_at ON qr_nonce_ledger(consumed_at DESC);
+
+-- Step 2: Create security_events table
+CREATE TABLE IF NOT EXISTS security_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type TEXT NOT NULL CHECK (event_type IN ('qr_replay')),
+    employee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    details JSONB,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type);
+
+-- Step 3: Enable RLS
+-- Both tables are written only by the Edge Function (service role)
+ALTER TABLE qr_nonce_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE security_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Managers and admins can view security events" ON security_events;
+
+CREATE POLICY "Managers and admins can view security events" ON security_events
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM employees
+            WHERE id = auth.uid()
+            AND role IN ('manager', 'admin')
+        )
+    );
+
+-- Step 4: Backfill the ledger from payloads that have already been recorded (HS256 hex)
+INSERT INTO qr_nonce_ledger (signature, nonce, employee_id, qr_issued_at, consumed_at, attendance_record_id)
+SELECT DISTINCT ON (LOWER(qr_data->>'signature'))
+    LOWER(qr_data->>'signature'),
+    qr_data->>'nonce',
+    employee_id,
+    check_in_time,
+    scanned_at,
+    id
+FROM attendance_records
+WHERE qr_data->>'signature' IS NOT NULL
+ORDER BY LOWER(qr_data->>'signature'), scanned_at ASC
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,354 @@
+-- Reporting Lines Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_auth_roles.sql)
+-- Each employee can have one manager. A manager sees their direct and indirect reports
+-- only: attendance, leave, missed check-outs and corrections of anyone else are hidden
+-- by RLS. Requests are approved by the nearest manager up the chain who is available
+-- (not on full-day leave on the request's date); if nobody in the chain is available,
+-- HR admins approve.
+-- HR admins still see and manage everyone.
+
+-- Step 1: Create reporting_lines table
+CREATE TABLE IF NOT EXISTS reporting_lines (
+    employee_id UUID PRIMARY KEY REFERENCES employees(id) ON DELETE CASCADE,
+    manager_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT check_not_own_manager CHECK (employee_id <> manager_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reporting_lines_manager ON reporting_lines(manager_id);
+
+-- Step 2: Reject reporting lines that would make someone their own (indirect) manager
+CREATE OR REPLACE FUNCTION check_reporting_line_cycle()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        WITH RECURSIVE chain AS (
+            SELECT manager_id FROM reporting_lines WHERE employee_id = NEW.manager_id
+            UNION
+            SELECT r.manager_id
+            FROM reporting_lines r
+            JOIN chain c ON r.employee_id = c.manager_id
+        )
+        SELECT 1 FROM chain WHERE manager_id = NEW.employee_id
+    ) THEN
+        RAISE EXCEPTION 'This reporting line would create a cycle';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_reporting_line_cycle ON reporting_lines;
+CREATE TRIGGER check_reporting_line_cycle
+    BEFORE INSERT OR UPDATE ON reporting_lines
+    FOR EACH ROW EXECUTE FUNCTION check_reporting_line_cycle();
+
+-- Step 3: Create functions to walk the reporting lines
+-- SECURITY DEFINER so RLS policies can use them without a policy on reporting_lines recursing
+
+-- Managers above an employee, nearest first (depth 1 = direct manager)
+CREATE OR REPLACE FUNCTION get_management_chain(p_employee_id UUID)
+RETURNS TABLE (manager_id UUID, depth INTEGER) AS $$
+    WITH RECURSIVE chain AS (
+        SELECT r.manager_id, 1 AS depth
+        FROM reporting_lines r
+        WHERE r.employee_id = p_employee_id
+        UNION ALL
+        SELECT r.manager_id, c.depth + 1
+        FROM reporting_lines r
+        JOIN chain c ON r.employee_id = c.manager_id
+        WHERE c.depth < 20
+    )
+    SELECT manager_id, depth FROM chain;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the signed-in user is a manager of the employee (directly or indirectly)
+CREATE OR REPLACE FUNCTION is_manager_of(p_employee_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM get_management_chain(p_employee_id) WHERE manager_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- HR admins manage everyone; managers manage their own team
+CREATE OR REPLACE FUNCTION can_manage_employee(p_employee_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT has_app_role('hr_admin')
+        OR (has_app_role('manager') AND is_manager_of(p_employee_id));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Nearest manager who can approve and isn't on full-day leave on the date (NULL: HR admins approve)
+CREATE OR REPLACE FUNCTION get_approver(p_employee_id UUID, p_date DATE)
+RETURNS UUID AS $$
+    SELECT c.manager_id
+    FROM get_management_chain(p_employee_id) c
+    JOIN user_roles ur ON ur.user_id = c.manager_id AND ur.role IN ('manager', 'hr_admin')
+    WHERE NOT EXISTS (
+        SELECT 1 FROM leave_requests l
+        WHERE l.employee_id = c.manager_id
+          AND l.leave_date = p_date
+          AND l.leave_type = 'full_day'
+          AND l.status = 'approved'
+    )
+    ORDER BY c.depth
+    LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the signed-in user may approve the employee's request for a date:
+-- the approver from get_approver or an HR admin, and never for their own request
+CREATE OR REPLACE FUNCTION is_approver_for(p_employee_id UUID, p_date DATE)
+RETURNS BOOLEAN AS $$
+    SELECT p_employee_id <> auth.uid()
+        AND (has_app_role('hr_admin') OR get_approver(p_employee_id, p_date) IS NOT DISTINCT FROM auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Who approves a request, readable as a column (select=*,approver_id)
+CREATE OR REPLACE FUNCTION approver_id(leave_requests)
+RETURNS UUID AS $$
+    SELECT get_approver($1.employee_id, $1.leave_date);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION approver_id(attendance_corrections)
+RETURNS UUID AS $$
+    SELECT get_approver($1.employee_id, $1.session_date);
+$$ LANGUAGE sql STABLE;
+
+-- The signed-in manager's direct and indirect reports, with who approves their requests today
+CREATE OR REPLACE FUNCTION get_my_team()
+RETURNS TABLE (employee_id UUID, depth INTEGER, approver_id UUID) AS $$
+    WITH RECURSIVE team AS (
+        SELECT r.employee_id, 1 AS depth
+        FROM reporting_lines r
+        WHERE r.manager_id = auth.uid()
+        UNION ALL
+        SELECT r.employee_id, t.depth + 1
+        FROM reporting_lines r
+        JOIN team t ON r.manager_id = t.employee_id
+        WHERE t.depth < 20
+    )
+    SELECT t.employee_id,
+           t.depth,
+           get_approver(t.employee_id, (NOW() AT TIME ZONE get_organization_timezone())::DATE)
+    FROM team t;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Step 4: Enable RLS on reporting_lines
+ALTER TABLE reporting_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Reporting lines are viewable by authenticated users" ON reporting_lines;
+DROP POLICY IF EXISTS "HR admins can manage reporting lines" ON reporting_lines;
+
+CREATE POLICY "Reporting lines are viewable by authenticated users" ON reporting_lines
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "HR admins can manage reporting lines" ON reporting_lines
+    FOR ALL USING (has_app_role('hr_admin'));
+
+-- Step 5: Scope employee data to the manager's team
+DROP POLICY IF EXISTS "Employees can view their own attendance" ON attendance_records;
+DROP POLICY IF EXISTS "Managers and admins can update attendance" ON attendance_records;
+
+CREATE POLICY "Employees can view their own attendance" ON attendance_records
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+CREATE POLICY "Managers and admins can update attendance" ON attendance_records
+    FOR UPDATE USING (can_manage_employee(employee_id));
+
+DROP POLICY IF EXISTS "Employees can view their own leave requests" ON leave_requests;
+DROP POLICY IF EXISTS "Managers and admins can update leave requests" ON leave_requests;
+
+CREATE POLICY "Employees can view their own leave requests" ON leave_requests
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+-- Only the request's approver (or HR) reviews it; approving or rejecting
+-- must record the signed-in reviewer as approved_by
+CREATE POLICY "Managers and admins can update leave requests" ON leave_requests
+    FOR UPDATE USING (is_approver_for(employee_id, leave_date))
+    WITH CHECK (
+        approved_by = auth.uid()
+        OR (approved_by IS NULL AND status NOT IN ('approved', 'rejected'))
+    );
+
+DROP POLICY IF EXISTS "Employees can view their own attendance exceptions" ON attendance_exceptions;
+
+CREATE POLICY "Employees can view their own attendance exceptions" ON attendance_exceptions
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+DROP POLICY IF EXISTS "Employees can view their own corrections" ON attendance_corrections;
+DROP POLICY IF EXISTS "Employees and managers can request corrections" ON attendance_corrections;
+
+CREATE POLICY "Employees can view their own corrections" ON attendance_corrections
+    FOR SELECT USING (auth.uid() = employee_id OR can_manage_employee(employee_id));
+
+CREATE POLICY "Employees and managers can request corrections" ON attendance_corrections
+    FOR INSERT WITH CHECK (
+        status = 'pending'
+        AND requested_by = auth.uid()
+        AND (employee_id = auth.uid() OR can_manage_employee(employee_id))
+    );
+
+-- Step 6: Only let the employee's approver (or HR) review corrections
+CREATE OR REPLACE FUNCTION review_attendance_correction(
+    p_correction_id UUID,
+    p_status TEXT
+)
+RETURNS attendance_corrections AS $$
+DECLARE
+    v_correction attendance_corrections;
+    v_exception attendance_exceptions;
+    v_target attendance_records;
+    v_last_scan attendance_records;
+    v_scan_type TEXT;
+    v_record_id UUID;
+    v_is_late BOOLEAN;
+    v_is_early BOOLEAN;
+BEGIN
+    IF NOT has_app_role('manager', 'hr_admin') THEN
+        RAISE EXCEPTION 'Only managers and admins can review corrections';
+    END IF;
+
+    IF p_status NOT IN ('approved', 'rejected') THEN
+        RAISE EXCEPTION 'Invalid status: %', p_status;
+    END IF;
+
+    SELECT * INTO v_correction
+    FROM attendance_corrections
+    WHERE id = p_correction_id
+    FOR UPDATE;
+
+    IF v_correction.id IS NULL THEN
+        RAISE EXCEPTION 'Correction request not found';
+    END IF;
+
+    IF v_correction.status <> 'pending' THEN
+        RAISE EXCEPTION 'Correction request has already been reviewed';
+    END IF;
+
+    IF v_correction.employee_id = auth.uid() OR NOT can_manage_employee(v_correction.employee_id) THEN
+        RAISE EXCEPTION 'You can only review corrections for your own team';
+    END IF;
+
+    IF NOT is_approver_for(v_correction.employee_id, v_correction.session_date) THEN
+        RAISE EXCEPTION 'This correction is waiting for another approver';
+    END IF;
+
+    IF p_status = 'approved' THEN
+        -- A missed check-out that was closed automatically is a change to that record
+        IF v_correction.correction_type = 'missing_check_out' THEN
+            SELECT * INTO v_exception
+            FROM attendance_exceptions
+            WHERE id = v_correction.exception_id;
+
+            IF v_exception.attendance_record_id IS NOT NULL THEN
+                v_correction.target_record_id := v_exception.attendance_record_id;
+            END IF;
+        END IF;
+
+        IF v_correction.correction_type = 'change_scan' OR v_correction.target_record_id IS NOT NULL THEN
+            SELECT * INTO v_target
+            FROM attendance_records
+            WHERE id = v_correction.target_record_id
+            FOR UPDATE;
+
+            IF v_target.id IS NULL OR v_target.employee_id <> v_correction.employee_id THEN
+                RAISE EXCEPTION 'Attendance record to correct not found';
+            END IF;
+
+            v_scan_type := COALESCE(v_correction.scan_type, v_target.scan_type);
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time, v_target.id) f;
+
+            UPDATE attendance_records
+            SET scan_type = v_scan_type,
+                scanned_at = v_correction.requested_time,
+                check_in_time = v_correction.requested_time,
+                source = 'correction',
+                signature_verified = FALSE,
+                correction_id = v_correction.id,
+                is_late = v_is_late,
+                is_early_departure = v_is_early
+            WHERE id = v_target.id
+            RETURNING id INTO v_record_id;
+
+            UPDATE attendance_corrections
+            SET original_scan_type = v_target.scan_type,
+                original_time = v_target.scanned_at
+            WHERE id = v_correction.id;
+        ELSE
+            v_scan_type := COALESCE(v_correction.scan_type, 'check_out');
+
+            -- Copy the employee details from the session's last scan
+            SELECT * INTO v_last_scan
+            FROM attendance_records
+            WHERE employee_id = v_correction.employee_id
+              AND session_date = v_correction.session_date
+            ORDER BY scanned_at DESC
+            LIMIT 1;
+
+            -- A session without any scans (e.g. a forgotten check-in) uses the most recent scan
+            IF v_last_scan.id IS NULL THEN
+                SELECT * INTO v_last_scan
+                FROM attendance_records
+                WHERE employee_id = v_correction.employee_id
+                ORDER BY scanned_at DESC
+                LIMIT 1;
+            END IF;
+
+            IF v_last_scan.id IS NULL THEN
+                RAISE EXCEPTION 'No scans found for this employee';
+            END IF;
+
+            IF v_correction.correction_type = 'missing_check_out'
+               AND v_correction.requested_time <= v_last_scan.scanned_at THEN
+                RAISE EXCEPTION 'Check-out time must be after the last scan';
+            END IF;
+
+            SELECT f.is_late, f.is_early_departure INTO v_is_late, v_is_early
+            FROM get_scan_flags(v_correction.employee_id, v_correction.session_date, v_scan_type,
+                                v_correction.requested_time) f;
+
+            INSERT INTO attendance_records (
+                employee_id, employee_name, employee_role, department,
+                check_in_time, scanned_at, session_date, scan_type,
+                is_late, is_early_departure,
+                signature_verified, source, correction_id, notes
+            ) VALUES (
+                v_correction.employee_id, v_last_scan.employee_name, v_last_scan.employee_role, v_last_scan.department,
+                v_correction.requested_time, v_correction.requested_time, v_correction.session_date, v_scan_type,
+                v_is_late, v_is_early,
+                FALSE, 'correction', v_correction.id, v_correction.reason
+            )
+            RETURNING id INTO v_record_id;
+        END IF;
+
+        IF v_correction.exception_id IS NOT NULL THEN
+            UPDATE attendance_exceptions
+            SET status = 'resolved',
+                resolved_at = NOW()
+            WHERE id = v_correction.exception_id;
+        END IF;
+    END IF;
+
+    UPDATE attendance_corrections
+    SET status = p_status,
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW(),
+        attendance_record_id = v_record_id
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    RETURN v_correction;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 7: Create updated_at trigger for reporting_lines (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_reporting_lines_updated_at ON reporting_lines;
+        CREATE TRIGGER update_reporting_lines_updated_at BEFORE UPDATE ON reporting_lines
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
@@ -0,0 +1,13 @@
+-- Server-side QR Verification Migration
+-- Run this SQL in your Supabase SQL Editor (after migration_overnight_sessions.sql)
+-- Attendance records are now inserted only by the mark-attendance Edge Function,
+-- which verifies the QR signature, freshness and replay status and writes with the
+-- service role key. Browsers can no longer insert attendance records directly.
+
+-- Step 1: Remove the public insert policy
+-- The service role bypasses RLS, so no replacement INSERT policy is needed
+DROP POLICY IF EXISTS "Scanner can insert attendance records" ON attendance_records;
+
+-- Step 2: Record whether a scan was captured offline and replayed later
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS recorded_offline BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,120 @@
+-- Shift and Work Schedule Migration
+-- Run this SQL in your Supabase SQL Editor
+-- This replaces the hard-coded 9:00-18:00 schedule with named shifts that can be
+-- assigned to employees or departments
+
+-- Step 1: Create shifts table
+-- working_days uses day-of-week numbers with Sunday = 0 (same as EXTRACT(DOW) and JS getDay())
+CREATE TABLE IF NOT EXISTS shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL UNIQUE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    grace_minutes INTEGER NOT NULL DEFAULT 15 CHECK (grace_minutes >= 0),
+    break_start TIME,
+    break_end TIME,
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT check_break_window CHECK (
+        (break_start IS NULL AND break_end IS NULL) OR
+        (break_start IS NOT NULL AND break_end IS NOT NULL)
+    ),
+    CONSTRAINT check_working_days CHECK (working_days <@ '{0,1,2,3,4,5,6}'::SMALLINT[])
+);
+
+-- Step 2: Create shift_assignments table
+-- An assignment targets either a single employee or a whole department.
+-- Employee assignments take precedence over department assignments.
+CREATE TABLE IF NOT EXISTS shift_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
+    department TEXT,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT check_assignment_target CHECK (
+        (employee_id IS NOT NULL AND department IS NULL) OR
+        (employee_id IS NULL AND department IS NOT NULL)
+    ),
+    CONSTRAINT check_effective_range CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Step 3: Create indexes
+CREATE INDEX IF NOT EXISTS idx_shift_assignments_employee ON shift_assignments(employee_id, effective_from DESC);
+CREATE INDEX IF NOT EXISTS idx_shift_assignments_department ON shift_assignments(department, effective_from DESC);
+
+-- Step 4: Seed the previous hard-coded schedule as the default General shift
+INSERT INTO shifts (name, start_time, end_time, grace_minutes, break_start, break_end, working_days)
+VALUES ('General', '09:00', '18:00', 15, '12:00', '14:00', '{1,2,3,4,5}')
+ON CONFLICT (name) DO NOTHING;
+
+-- Step 5: Enable RLS
+ALTER TABLE shifts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shift_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Shifts are viewable by all" ON shifts;
+DROP POLICY IF EXISTS "Managers and admins can manage shifts" ON shifts;
+DROP POLICY IF EXISTS "Shift assignments are viewable by all" ON shift_assignments;
+DROP POLICY IF EXISTS "Managers and admins can manage shift assignments" ON shift_assignments;
+
+-- The scanner needs to read shifts to detect late arrivals and early departures
+CREATE POLICY "Shifts are viewable by all" ON shifts
+    FOR SELECT USING (true);
+
+CREATE POLICY "Managers and admins can manage shifts" ON shifts
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM employees
+            WHERE id = auth.uid()
+            AND role IN ('manager', 'admin')
+        )
+    );
+
+CREATE POLICY "Shift assignments are viewable by all" ON shift_assignments
+    FOR SELECT USING (true);
+
+CREATE POLICY "Managers and admins can manage shift assignments" ON shift_assignments
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM employees
+            WHERE id = auth.uid()
+            AND role IN ('manager', 'admin')
+        )
+    );
+
+-- Step 6: Create function to resolve an employee's shift on a given date
+CREATE OR REPLACE FUNCTION get_employee_shift(
+    p_employee_id UUID,
+    p_department TEXT,
+    p_date DATE
+)
+RETURNS SETOF shifts AS $$
+BEGIN
+    RETURN QUERY
+    SELECT s.*
+    FROM shift_assignments sa
+    JOIN shifts s ON s.id = sa.shift_id
+    WHERE (sa.employee_id = p_employee_id OR (sa.employee_id IS NULL AND sa.department = p_department))
+      AND sa.effective_from <= p_date
+      AND (sa.effective_to IS NULL OR sa.effective_to >= p_date)
+    ORDER BY (sa.employee_id IS NOT NULL) DESC, sa.effective_from DESC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Step 7: Create updated_at triggers (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_shifts_updated_at ON shifts;
+        CREATE TRIGGER update_shifts_updated_at BEFORE UPDATE ON shifts
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+        DROP TRIGGER IF EXISTS update_shift_assignments_updated_at ON shift_assignments;
+        CREATE TRIGGER update_shift_assignments_updated_at BEFORE UPDATE ON shift_assignments
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
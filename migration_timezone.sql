@@ -0,0 +1,72 @@
+-- Organization Timezone Migration
+-- Run this SQL in your Supabase SQL Editor
+-- scanned_date was previously derived from scanned_at in UTC, so scans made in
+-- the early morning (e.g. before 05:30 in IST) landed on the previous day.
+-- This migration stores the organization's timezone and uses it to derive the
+-- business date of every scan.
+
+-- Step 1: Create app_settings table for organization-wide settings
+CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Step 2: Seed the organization timezone (IANA name, e.g. 'Asia/Kolkata')
+-- Change the value below before running if your organization is in a different timezone
+INSERT INTO app_settings (key, value)
+VALUES ('timezone', 'Asia/Kolkata')
+ON CONFLICT (key) DO NOTHING;
+
+-- Step 3: Enable RLS
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "App settings are viewable by all" ON app_settings;
+DROP POLICY IF EXISTS "Admins can manage app settings" ON app_settings;
+
+-- The scanner needs to read the timezone to compute business dates
+CREATE POLICY "App settings are viewable by all" ON app_settings
+    FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage app settings" ON app_settings
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM employees
+            WHERE id = auth.uid()
+            AND role = 'admin'
+        )
+    );
+
+-- Step 4: Create function returning the organization timezone (defaults to UTC)
+CREATE OR REPLACE FUNCTION get_organization_timezone()
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        (SELECT value FROM app_settings WHERE key = 'timezone'),
+        'UTC'
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Step 5: Derive scanned_date in the organization timezone
+CREATE OR REPLACE FUNCTION set_scanned_date()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.scanned_date := (NEW.scanned_at AT TIME ZONE get_organization_timezone())::DATE;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Step 6: Recalculate scanned_date for existing records
+UPDATE attendance_records
+SET scanned_date = (scanned_at AT TIME ZONE get_organization_timezone())::DATE
+WHERE scanned_date <> (scanned_at AT TIME ZONE get_organization_timezone())::DATE;
+
+-- Step 7: Create updated_at trigger for app_settings (only if function exists)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'update_updated_at_column') THEN
+        DROP TRIGGER IF EXISTS update_app_settings_updated_at ON app_settings;
+        CREATE TRIGGER update_app_settings_updated_at BEFORE UPDATE ON app_settings
+            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+    END IF;
+END $$;
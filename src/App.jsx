@@ -1,12 +1,16 @@
-import { BrowserRouter as Router, Routes, Route, Link, useLocation } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useLocation, useParams } from 'react-router-dom';
 import ScannerPage from './pages/ScannerPage';
 import AttendancePage from './pages/AttendancePage';
 import AdminDashboard from './pages/AdminDashboard';
 import EmployeeDetailPage from './pages/EmployeeDetailPage';
-import { supabase } from './services/supabase';
+import KioskPage from './pages/KioskPage';
+import LoginPage from './pages/LoginPage';
+import { AuthProvider, useAuth } from './components/AuthProvider';
+import { ROLE_LABELS, SCANNER_ROLES, MANAGER_ROLES, hasRole, getHomePath } from './utils/roles';
 
 function Navigation() {
   const location = useLocation();
+  const { user, role, signOut } = useAuth();
 
   const isActive = (path) => location.pathname === path;
 
@@ -19,73 +23,109 @@ function Navigation() {
               <h1 className="text-xl font-bold text-primary-600">Artihcus Scanner</h1>
             </div>
             <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
-              <Link
-                to="/"
-                className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                  isActive('/')
-                    ? 'border-primary-500 text-gray-900'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
-                </svg>
-                Scanner
-              </Link>
-              <Link
-                to="/attendance"
-                className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                  isActive('/attendance')
-                    ? 'border-primary-500 text-gray-900'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
-                </svg>
-                Attendance Records
-              </Link>
-              <Link
-                to="/admin"
-                className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
-                  isActive('/admin')
-                    ? 'border-primary-500 text-gray-900'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-                </svg>
-                Admin Dashboard
-              </Link>
+              {hasRole(role, SCANNER_ROLES) && (
+                <Link
+                  to="/"
+                  className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                    isActive('/')
+                      ? 'border-primary-500 text-gray-900'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v1m6 11h2m-6 0h-2v4m0-11v3m0 0h.01M12 12h4.01M16 20h4M4 12h4m12 0h.01M5 8h2a1 1 0 001-1V5a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1zm12 0h2a1 1 0 001-1V5a1 1 0 00-1-1h-2a1 1 0 00-1 1v2a1 1 0 001 1zM5 20h2a1 1 0 001-1v-2a1 1 0 00-1-1H5a1 1 0 00-1 1v2a1 1 0 001 1z" />
+                  </svg>
+                  Scanner
+                </Link>
+              )}
+              {hasRole(role, MANAGER_ROLES) && (
+                <>
+                  <Link
+                    to="/attendance"
+                    className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                      isActive('/attendance')
+                        ? 'border-primary-500 text-gray-900'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                    </svg>
+                    Attendance Records
+                  </Link>
+                  <Link
+                    to="/admin"
+                    className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                      isActive('/admin')
+                        ? 'border-primary-500 text-gray-900'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                    </svg>
+                    Admin Dashboard
+                  </Link>
+                </>
+              )}
+              {role === 'employee' && (
+                <Link
+                  to={`/employee/${user?.id}`}
+                  className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                    isActive(`/employee/${user?.id}`)
+                      ? 'border-primary-500 text-gray-900'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  My Attendance
+                </Link>
+              )}
             </div>
           </div>
+          {user && (
+            <div className="flex items-center gap-4">
+              <div className="hidden sm:block text-right">
+                <p className="text-sm text-gray-700">{user.email}</p>
+                <p className="text-xs text-gray-500">{ROLE_LABELS[role] || 'No role assigned'}</p>
+              </div>
+              <button
+                onClick={signOut}
+                className="px-3 py-1 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Sign Out
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Mobile menu */}
       <div className="sm:hidden">
         <div className="pt-2 pb-3 space-y-1">
-          <Link
-            to="/"
-            className={`block pl-3 pr-4 py-2 border-l-4 text-base font-medium ${
-              isActive('/')
-                ? 'bg-primary-50 border-primary-500 text-primary-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:bg-gray-50 hover:border-gray-300'
-            }`}
-          >
-            Scanner
-          </Link>
-          <Link
-            to="/attendance"
-            className={`block pl-3 pr-4 py-2 border-l-4 text-base font-medium ${
-              isActive('/attendance')
-                ? 'bg-primary-50 border-primary-500 text-primary-700'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:bg-gray-50 hover:border-gray-300'
-            }`}
-          >
-            Attendance Records
-          </Link>
+          {hasRole(role, SCANNER_ROLES) && (
+            <Link
+              to="/"
+              className={`block pl-3 pr-4 py-2 border-l-4 text-base font-medium ${
+                isActive('/')
+                  ? 'bg-primary-50 border-primary-500 text-primary-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:bg-gray-50 hover:border-gray-300'
+              }`}
+            >
+              Scanner
+            </Link>
+          )}
+          {hasRole(role, MANAGER_ROLES) && (
+            <Link
+              to="/attendance"
+              className={`block pl-3 pr-4 py-2 border-l-4 text-base font-medium ${
+                isActive('/attendance')
+                  ? 'bg-primary-50 border-primary-500 text-primary-700'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:bg-gray-50 hover:border-gray-300'
+              }`}
+            >
+              Attendance Records
+            </Link>
+          )}
         </div>
       </div>
     </nav>
@@ -132,19 +172,72 @@ function EnvErrorBanner() {
   );
 }
 
+/**
+ * Only render the page for signed-in users with one of the allowed roles.
+ * With allowSelf, employees may also open the page for their own :employeeId.
+ */
+function RequireRole({ roles, allowSelf = false, children }) {
+  const location = useLocation();
+  const { employeeId } = useParams();
+  const { user, role, loading } = useAuth();
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (hasRole(role, roles) || (allowSelf && employeeId === user.id)) {
+    return children;
+  }
+
+  // Signed in but not allowed here: send them to their own home page instead
+  const homePath = getHomePath(role, user.id);
+  if (role && homePath !== location.pathname) {
+    return <Navigate to={homePath} replace />;
+  }
+
+  return (
+    <div className="max-w-md mx-auto mt-12 p-6 bg-white rounded-lg shadow-lg text-center">
+      <h2 className="text-lg font-bold text-gray-800 mb-2">Access denied</h2>
+      <p className="text-sm text-gray-600">Your account doesn't have a role that can open this page. Ask an HR admin to assign one.</p>
+    </div>
+  );
+}
+
+function AppLayout() {
+  const location = useLocation();
+
+  // Kiosk tablets get the scanner only - no navigation to wander off with
+  const hideNavigation = location.pathname === '/kiosk' || location.pathname === '/login';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {!hideNavigation && <Navigation />}
+      <EnvErrorBanner />
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/" element={<RequireRole roles={SCANNER_ROLES}><ScannerPage /></RequireRole>} />
+        <Route path="/kiosk" element={<RequireRole roles={SCANNER_ROLES}><KioskPage /></RequireRole>} />
+        <Route path="/attendance" element={<RequireRole roles={MANAGER_ROLES}><AttendancePage /></RequireRole>} />
+        <Route path="/admin" element={<RequireRole roles={MANAGER_ROLES}><AdminDashboard /></RequireRole>} />
+        <Route
+          path="/employee/:employeeId"
+          element={<RequireRole roles={MANAGER_ROLES} allowSelf><EmployeeDetailPage /></RequireRole>}
+        />
+      </Routes>
+    </div>
+  );
+}
+
 function App() {
   return (
     <Router>
-      <div className="min-h-screen bg-gray-50">
-        <Navigation />
-        <EnvErrorBanner />
-        <Routes>
-          <Route path="/" element={<ScannerPage />} />
-          <Route path="/attendance" element={<AttendancePage />} />
-          <Route path="/admin" element={<AdminDashboard />} />
-          <Route path="/employee/:employeeId" element={<EmployeeDetailPage />} />
-        </Routes>
-      </div>
+      <AuthProvider>
+        <AppLayout />
+      </AuthProvider>
     </Router>
   );
 }
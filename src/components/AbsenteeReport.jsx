@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { getAbsentees } from '../services/attendanceReports';
+import { getSites } from '../services/devices';
+import { LEAVE_TYPE_LABELS, LEAVE_STATUS_LABELS } from '../services/leaveManagement';
+import { toCsv, downloadCsv } from '../utils/csv';
+import { getBusinessDate } from '../utils/timezone';
+
+export default function AbsenteeReport() {
+  const [selectedDate, setSelectedDate] = useState(getBusinessDate(new Date()));
+  const [siteFilter, setSiteFilter] = useState('');
+  const [absentees, setAbsentees] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getSites().then(result => {
+      if (result.success) setSites(result.data);
+    });
+  }, []);
+
+  useEffect(() => {
+    loadAbsentees();
+  }, [selectedDate, siteFilter]);
+
+  const loadAbsentees = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await getAbsentees(selectedDate, { siteId: siteFilter || null });
+    if (result.success) {
+      setAbsentees(result.data);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const siteNames = new Map(sites.map(site => [site.id, site.name]));
+
+  // Leave that doesn't excuse the absence: a half day, or a request not approved yet
+  const describeLeave = (emp) => {
+    if (!emp.leaveType) return '';
+    const leave = LEAVE_TYPE_LABELS[emp.leaveType] || emp.leaveType;
+    return emp.leaveStatus === 'approved' ? leave : `${leave} (${LEAVE_STATUS_LABELS[emp.leaveStatus] || emp.leaveStatus})`;
+  };
+
+  const handleExport = () => {
+    const csv = toCsv(
+      ['Employee', 'Department', 'Site', 'Shift', 'Leave'],
+      absentees.map(emp => [
+        emp.employeeName,
+        emp.department,
+        siteNames.get(emp.siteId) || '',
+        emp.shift,
+        describeLeave(emp)
+      ])
+    );
+    downloadCsv(`absentees-${selectedDate}.csv`, csv);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Active employees who were expected at work but didn't scan and aren't on approved full-day leave.
+        Weekly days off and holidays aren't absences.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <input
+          type="date"
+          value={selectedDate}
+          onChange={(e) => setSelectedDate(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <select
+          value={siteFilter}
+          onChange={(e) => setSiteFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All sites</option>
+          {sites.map((site) => (
+            <option key={site.id} value={site.id}>{site.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={absentees.length === 0}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">Loading...</div>
+        ) : absentees.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No absences on {selectedDate}</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Leave</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {absentees.map((emp) => (
+                <tr key={emp.employeeId} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900">{emp.employeeName}</div>
+                    <div className="text-sm text-gray-500">{emp.department}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">{siteNames.get(emp.siteId) || '-'}</td>
+                  <td className="px-6 py-4 text-sm">{emp.shift}</td>
+                  <td className="px-6 py-4 text-sm">{describeLeave(emp) || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { getAuditLog } from '../services/auditLog';
+
+const TABLE_LABELS = {
+  attendance_records: 'Attendance',
+  leave_requests: 'Leave',
+  attendance_corrections: 'Correction'
+};
+
+const ACTION_STYLES = {
+  INSERT: 'bg-green-100 text-green-800',
+  UPDATE: 'bg-blue-100 text-blue-800',
+  DELETE: 'bg-red-100 text-red-800'
+};
+
+export default function AuditLogViewer({ employeeMap }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ employeeId: '', actorId: '', startDate: '', endDate: '' });
+
+  useEffect(() => {
+    loadEntries();
+  }, [filters]);
+
+  const loadEntries = async () => {
+    setLoading(true);
+    setError(null);
+    const result = await getAuditLog({
+      employeeId: filters.employeeId || undefined,
+      actorId: filters.actorId || undefined,
+      startDate: filters.startDate || undefined,
+      endDate: filters.endDate || undefined
+    });
+    if (result.success) {
+      setEntries(result.data);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '-';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 40 ? `${text.slice(0, 40)}...` : text;
+  };
+
+  const formatActor = (entry) => {
+    if (entry.actor_id) return employeeMap.get(entry.actor_id) || entry.actor_id;
+    // Changes without a signed-in user come from the Edge Functions or the SQL editor
+    return entry.actor_role === 'service_role' ? 'System' : entry.actor_role;
+  };
+
+  const employeeOptions = Array.from(employeeMap.entries()).sort((a, b) => a[1].localeCompare(b[1]));
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-4">
+        <select
+          value={filters.employeeId}
+          onChange={(e) => setFilters({ ...filters, employeeId: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All employees</option>
+          {employeeOptions.map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.actorId}
+          onChange={(e) => setFilters({ ...filters, actorId: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Changed by anyone</option>
+          {employeeOptions.map(([id, name]) => (
+            <option key={id} value={id}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.startDate}
+          onChange={(e) => setFilters({ ...filters, startDate: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <span className="text-gray-500">to</span>
+        <input
+          type="date"
+          value={filters.endDate}
+          onChange={(e) => setFilters({ ...filters, endDate: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <button
+          onClick={loadEntries}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">Loading...</div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No changes found</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Record</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changed By</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {entries.map((entry) => (
+                <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-4 text-sm">{formatDateTime(entry.created_at)}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <span className={`px-2 py-1 text-xs rounded ${ACTION_STYLES[entry.action]}`}>
+                      {entry.action}
+                    </span>
+                    <span className="ml-2">{TABLE_LABELS[entry.table_name] || entry.table_name}</span>
+                  </td>
+                  <td className="px-6 py-4 text-sm font-medium">
+                    {entry.employee_id ? employeeMap.get(entry.employee_id) || entry.employee_id : '-'}
+                  </td>
+                  <td className="px-6 py-4 text-sm">{formatActor(entry)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {entry.action === 'UPDATE' ? (
+                      <ul className="space-y-1">
+                        {entry.changed_fields.map((field) => (
+                          <li key={field}>
+                            <span className="font-medium text-gray-800">{field}</span>:{' '}
+                            {formatValue(entry.old_data[field])} &rarr; {formatValue(entry.new_data[field])}
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <span className="font-mono text-xs">
+                        {formatValue(entry.new_data?.scan_type || entry.new_data?.status || entry.old_data?.scan_type || entry.old_data?.status)}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { supabase } from '../services/supabase';
+import { getUserRole, signOut } from '../services/auth';
+
+const AuthContext = createContext({ user: null, role: null, loading: true, signOut });
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!supabase) {
+      setLoading(false);
+      return;
+    }
+
+    const applySession = async (session) => {
+      const sessionUser = session?.user || null;
+      setUser(sessionUser);
+      if (sessionUser) {
+        const result = await getUserRole(sessionUser.id);
+        setRole(result.success ? result.data : null);
+      } else {
+        setRole(null);
+      }
+      setLoading(false);
+    };
+
+    supabase.auth.getSession().then(({ data }) => applySession(data.session));
+
+    // Token refreshes don't change the user, so only reload the role when it might differ
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_IN' || event === 'SIGNED_OUT' || event === 'USER_UPDATED') {
+        setLoading(true);
+        // Deferred: Supabase calls must not run inside the auth callback itself
+        setTimeout(() => applySession(session), 0);
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, role, loading, signOut }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+/**
+ * Get the signed-in user, their role and whether the session is still loading
+ * @returns {{user: Object|null, role: string|null, loading: boolean, signOut: Function}}
+ */
+export function useAuth() {
+  return useContext(AuthContext);
+}
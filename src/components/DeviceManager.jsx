@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react';
+import {
+  getSites,
+  saveSite,
+  getDevices,
+  createDevice,
+  issuePairingCode,
+  revokeDevice
+} from '../services/devices';
+import { getSetting, updateSetting } from '../services/settings';
+import { hasGeofence } from '../utils/geofence';
+
+const EMPTY_SITE = { name: '', address: '', latitude: '', longitude: '', radiusMeters: 200 };
+
+const GEOFENCE_POLICY_LABELS = {
+  off: 'Off (no location captured)',
+  flag: 'Flag scans outside the geofence for review',
+  reject: 'Reject scans outside the geofence'
+};
+
+export default function DeviceManager() {
+  const [sites, setSites] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [siteForm, setSiteForm] = useState(EMPTY_SITE);
+  const [deviceForm, setDeviceForm] = useState({ name: '', siteId: '' });
+  const [geofencePolicy, setGeofencePolicy] = useState('off');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [sitesResult, devicesResult, policyResult] = await Promise.all([
+      getSites(),
+      getDevices(),
+      getSetting('geofence_policy', 'off')
+    ]);
+    if (sitesResult.success) setSites(sitesResult.data);
+    if (devicesResult.success) setDevices(devicesResult.data);
+    if (policyResult.success) setGeofencePolicy(policyResult.data);
+    if (!sitesResult.success || !devicesResult.success) {
+      setError(sitesResult.error || devicesResult.error);
+    }
+    setLoading(false);
+  };
+
+  const handlePolicyChange = async (value) => {
+    setError(null);
+    const result = await updateSetting('geofence_policy', value);
+    if (result.success) {
+      setGeofencePolicy(value);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const editSite = (site) => {
+    setSiteForm({
+      id: site.id,
+      name: site.name,
+      address: site.address || '',
+      latitude: site.latitude ?? '',
+      longitude: site.longitude ?? '',
+      radiusMeters: site.geofence_radius_meters
+    });
+  };
+
+  const handleSaveSite = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await saveSite(siteForm);
+    if (result.success) {
+      setSiteForm(EMPTY_SITE);
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleCreateDevice = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await createDevice(deviceForm.name, deviceForm.siteId);
+    if (result.success) {
+      setDeviceForm({ name: '', siteId: deviceForm.siteId });
+      await issuePairingCode(result.data.id);
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleIssueCode = async (device) => {
+    if (device.paired_at && !confirm(`Re-pair ${device.name}? The scanner currently using it will stop recording scans.`)) {
+      return;
+    }
+    setError(null);
+    const result = await issuePairingCode(device.id);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRevoke = async (device) => {
+    if (!confirm(`Revoke ${device.name}? Scans from this device will be rejected.`)) return;
+    setError(null);
+    const result = await revokeDevice(device.id);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const getDeviceStatus = (device) => {
+    if (device.revoked_at) {
+      return { label: 'Revoked', style: 'bg-red-100 text-red-800' };
+    }
+    if (device.pairing_code && new Date(device.pairing_expires_at) > new Date()) {
+      return { label: 'Awaiting pairing', style: 'bg-yellow-100 text-yellow-800' };
+    }
+    if (device.paired_at) {
+      return { label: 'Paired', style: 'bg-green-100 text-green-800' };
+    }
+    return { label: 'Not paired', style: 'bg-gray-100 text-gray-800' };
+  };
+
+  const siteNames = new Map(sites.map(site => [site.id, site.name]));
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Each scanner is registered to a site. Create a device, then enter its pairing code on the
+        scanner or kiosk within 15 minutes. Scans from a revoked device are rejected.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      {/* Geofence Policy */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-2">Geofence Policy</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          When enabled, paired scanners send their location with each scan and it is checked against the
+          site's geofence. Scans without a location count as outside. Flagged scans are listed in the Security tab.
+        </p>
+        <select
+          value={geofencePolicy}
+          onChange={(e) => handlePolicyChange(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          {Object.entries(GEOFENCE_POLICY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Sites */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Address</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Geofence</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Devices</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sites.map((site) => (
+              <tr key={site.id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">{site.name}</td>
+                <td className="px-6 py-4 text-sm">{site.address || '-'}</td>
+                <td className="px-6 py-4 text-sm">
+                  {hasGeofence(site)
+                    ? `${site.latitude.toFixed(5)}, ${site.longitude.toFixed(5)} (${site.geofence_radius_meters} m)`
+                    : 'None'}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {devices.filter(d => d.site_id === site.id && !d.revoked_at).length}
+                </td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => editSite(site)}
+                    className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                  >
+                    Edit
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleSaveSite} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-4">{siteForm.id ? 'Edit Site' : 'New Site'}</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Name
+            <input
+              type="text"
+              required
+              value={siteForm.name}
+              onChange={(e) => setSiteForm({ ...siteForm, name: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Address
+            <input
+              type="text"
+              value={siteForm.address}
+              onChange={(e) => setSiteForm({ ...siteForm, address: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Latitude
+            <input
+              type="number"
+              step="any"
+              min="-90"
+              max="90"
+              required={siteForm.longitude !== ''}
+              value={siteForm.latitude}
+              onChange={(e) => setSiteForm({ ...siteForm, latitude: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Longitude
+            <input
+              type="number"
+              step="any"
+              min="-180"
+              max="180"
+              required={siteForm.latitude !== ''}
+              value={siteForm.longitude}
+              onChange={(e) => setSiteForm({ ...siteForm, longitude: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Geofence radius (meters)
+            <input
+              type="number"
+              min="1"
+              required
+              value={siteForm.radiusMeters}
+              onChange={(e) => setSiteForm({ ...siteForm, radiusMeters: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          Leave the coordinates empty for a site without a geofence. Allow for indoor GPS accuracy when choosing the radius.
+        </p>
+        <div className="flex gap-2">
+          <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+            Save Site
+          </button>
+          {siteForm.id && (
+            <button
+              type="button"
+              onClick={() => setSiteForm(EMPTY_SITE)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Devices */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        {devices.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No scanner devices registered</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Device</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Scan</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {devices.map((device) => {
+                const status = getDeviceStatus(device);
+                return (
+                  <tr key={device.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium">{device.name}</td>
+                    <td className="px-6 py-4 text-sm">{siteNames.get(device.site_id) || '-'}</td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`px-2 py-1 text-xs rounded ${status.style}`}>{status.label}</span>
+                      {status.label === 'Awaiting pairing' && (
+                        <span className="ml-2 font-mono font-bold tracking-widest">{device.pairing_code}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm">{formatDateTime(device.last_seen_at)}</td>
+                    <td className="px-6 py-4">
+                      {!device.revoked_at && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleIssueCode(device)}
+                            className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                          >
+                            {device.paired_at ? 'Re-pair' : 'New Code'}
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(device)}
+                            className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <form onSubmit={handleCreateDevice} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-4">Register Scanner</h2>
+        {sites.length === 0 ? (
+          <p className="text-sm text-gray-500">Add a site first.</p>
+        ) : (
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="text-sm text-gray-600">
+              Name
+              <input
+                type="text"
+                required
+                placeholder="Main entrance tablet"
+                value={deviceForm.name}
+                onChange={(e) => setDeviceForm({ ...deviceForm, name: e.target.value })}
+                className="mt-1 block px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Site
+              <select
+                required
+                value={deviceForm.siteId}
+                onChange={(e) => setDeviceForm({ ...deviceForm, siteId: e.target.value })}
+                className="mt-1 block px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="">Select site</option>
+                {sites.map((site) => (
+                  <option key={site.id} value={site.id}>{site.name}</option>
+                ))}
+              </select>
+            </label>
+            <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+              Register and Get Code
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { pairThisDevice } from '../services/devices';
+import { getPairedDevice, clearPairedDevice } from '../services/deviceRegistration';
+
+export default function DevicePairing({ allowUnpair = false }) {
+  const [device, setDevice] = useState(getPairedDevice());
+  const [showForm, setShowForm] = useState(false);
+  const [code, setCode] = useState('');
+  const [pairing, setPairing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePair = async (e) => {
+    e.preventDefault();
+    setPairing(true);
+    setError(null);
+    const result = await pairThisDevice(code);
+    if (result.success) {
+      setDevice(getPairedDevice());
+      setShowForm(false);
+      setCode('');
+    } else {
+      setError(result.error);
+    }
+    setPairing(false);
+  };
+
+  const handleUnpair = () => {
+    if (!confirm('Unpair this scanner? Scans will no longer be attributed to its site.')) return;
+    clearPairedDevice();
+    setDevice(null);
+  };
+
+  if (device && !showForm) {
+    return (
+      <div className="flex items-center justify-center gap-2 text-sm text-gray-300">
+        <span>{device.siteName || 'Unknown site'} &middot; {device.deviceName}</span>
+        {allowUnpair && (
+          <button onClick={handleUnpair} className="text-gray-400 underline hover:text-white">
+            Unpair
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!showForm) {
+    return (
+      <div className="text-center text-sm text-gray-400">
+        This scanner is not registered to a site.{' '}
+        <button onClick={() => setShowForm(true)} className="underline hover:text-white">
+          Pair scanner
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handlePair} className="flex flex-wrap items-center justify-center gap-2">
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Pairing code"
+        maxLength={8}
+        required
+        className="px-3 py-1 rounded bg-gray-800 text-white font-mono uppercase border border-gray-600"
+      />
+      <button
+        type="submit"
+        disabled={pairing}
+        className="px-3 py-1 rounded bg-primary-600 text-white text-sm hover:bg-primary-700 disabled:opacity-50"
+      >
+        {pairing ? 'Pairing...' : 'Pair'}
+      </button>
+      <button
+        type="button"
+        onClick={() => setShowForm(false)}
+        className="px-3 py-1 text-sm text-gray-400 hover:text-white"
+      >
+        Cancel
+      </button>
+      {error && <p className="w-full text-center text-sm text-red-400">{error}</p>}
+    </form>
+  );
+}
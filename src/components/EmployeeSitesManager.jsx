@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react';
+import { getEmployeeSites, setEmployeeSite } from '../services/holidays';
+import { getSites } from '../services/devices';
+
+export default function EmployeeSitesManager({ employeeMap }) {
+  const [employeeSites, setEmployeeSites] = useState(new Map()); // employee ID -> site ID
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [employeeSitesResult, sitesResult] = await Promise.all([getEmployeeSites(), getSites()]);
+    if (employeeSitesResult.success) {
+      setEmployeeSites(new Map(employeeSitesResult.data.map(row => [row.employee_id, row.site_id])));
+    } else {
+      setError(employeeSitesResult.error);
+    }
+    if (sitesResult.success) setSites(sitesResult.data);
+    setLoading(false);
+  };
+
+  const handleSiteChange = async (employeeId, siteId) => {
+    setError(null);
+    const result = await setEmployeeSite(employeeId, siteId || null);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const employees = Array.from(employeeMap.entries())
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .filter(([, name]) => name.toLowerCase().includes(filter.toLowerCase()));
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <h2 className="text-lg font-bold">Employee Sites</h2>
+      <p className="text-sm text-gray-600">
+        Employees get the regional holidays of the site they're assigned to. This doesn't limit where they can scan.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <input
+        type="text"
+        placeholder="Search employees"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        className="px-4 py-2 border border-gray-300 rounded-lg"
+      />
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {employees.map(([id, name]) => (
+              <tr key={id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">{name}</td>
+                <td className="px-6 py-4">
+                  <select
+                    value={employeeSites.get(id) || ''}
+                    onChange={(e) => handleSiteChange(id, e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    <option value="">No site</option>
+                    {sites.map((site) => (
+                      <option key={site.id} value={site.id}>{site.name}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
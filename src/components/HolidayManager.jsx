@@ -0,0 +1,315 @@
+import { useState, useEffect } from 'react';
+import {
+  getHolidays,
+  saveHoliday,
+  importHolidays,
+  deleteHoliday,
+  HOLIDAY_TYPE_LABELS
+} from '../services/holidays';
+import { getSites } from '../services/devices';
+import { getSetting, updateSetting } from '../services/settings';
+import { parseIcalHolidays } from '../utils/ical';
+import { getBusinessDate } from '../utils/timezone';
+
+const EMPTY_HOLIDAY = { date: '', name: '', type: 'national', siteId: '' };
+
+export default function HolidayManager() {
+  const [year, setYear] = useState(Number(getBusinessDate(new Date()).slice(0, 4)));
+  const [holidays, setHolidays] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [form, setForm] = useState(EMPTY_HOLIDAY);
+  const [importForm, setImportForm] = useState({ holidays: [], fileName: '', type: 'national', siteId: '' });
+  const [optionalLimit, setOptionalLimit] = useState('2');
+
+  useEffect(() => {
+    loadData();
+  }, [year]);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [holidaysResult, sitesResult, limitResult] = await Promise.all([
+      getHolidays(year),
+      getSites(),
+      getSetting('optional_holidays_per_year', '2')
+    ]);
+    if (holidaysResult.success) setHolidays(holidaysResult.data);
+    if (sitesResult.success) setSites(sitesResult.data);
+    if (limitResult.success) setOptionalLimit(limitResult.data);
+    if (!holidaysResult.success) setError(holidaysResult.error);
+    setLoading(false);
+  };
+
+  const handleLimitChange = async (value) => {
+    setError(null);
+    const result = await updateSetting('optional_holidays_per_year', value);
+    if (result.success) {
+      setOptionalLimit(value);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const editHoliday = (holiday) => {
+    setForm({
+      id: holiday.id,
+      date: holiday.holiday_date,
+      name: holiday.name,
+      type: holiday.holiday_type,
+      siteId: holiday.site_id || ''
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    const result = await saveHoliday(form);
+    if (result.success) {
+      setForm(EMPTY_HOLIDAY);
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!confirm(`Delete ${holiday.name} (${holiday.holiday_date})?`)) return;
+    setError(null);
+    const result = await deleteHoliday(holiday.id);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleFile = async (e) => {
+    setError(null);
+    setMessage(null);
+    const file = e.target.files[0];
+    if (!file) return;
+    const parsed = parseIcalHolidays(await file.text());
+    if (parsed.length === 0) {
+      setError(`No events found in ${file.name}`);
+    }
+    setImportForm({ ...importForm, holidays: parsed, fileName: file.name });
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await importHolidays(importForm.holidays, importForm.type, importForm.siteId || null);
+    if (result.success) {
+      setMessage(`Imported ${result.data.imported} holiday(s)` +
+        (result.data.skipped ? `, skipped ${result.data.skipped} date(s) that already had one` : ''));
+      setImportForm({ holidays: [], fileName: '', type: importForm.type, siteId: importForm.siteId });
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const siteNames = new Map(sites.map(site => [site.id, site.name]));
+
+  const siteSelect = (value, onChange) => (
+    <label className="text-sm text-gray-600">
+      Site
+      <select
+        required
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+      >
+        <option value="">Select a site</option>
+        {sites.map((site) => (
+          <option key={site.id} value={site.id}>{site.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const typeSelect = (value, onChange) => (
+    <label className="text-sm text-gray-600">
+      Type
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+      >
+        {Object.entries(HOLIDAY_TYPE_LABELS).map(([type, label]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-gray-600">
+        Holidays aren't expected working days: they don't count against attendance or leave balances.
+        Regional holidays apply to the employees assigned to that site, and optional holidays only to the
+        employees who choose them on their attendance page. Weekly days off come from each shift's working days.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+      {message && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-800">{message}</div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4">
+        <select
+          value={year}
+          onChange={(e) => setYear(Number(e.target.value))}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          {[year - 1, year, year + 1].map((y) => (
+            <option key={y} value={y}>{y}</option>
+          ))}
+        </select>
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Optional holidays per employee per year
+          <input
+            type="number"
+            min="0"
+            value={optionalLimit}
+            onChange={(e) => setOptionalLimit(e.target.value)}
+            onBlur={(e) => handleLimitChange(e.target.value)}
+            className="w-20 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+      </div>
+
+      {/* Holidays */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">Loading...</div>
+        ) : holidays.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No holidays in {year}</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Holiday</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {holidays.map((holiday) => (
+                <tr key={holiday.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm">{new Date(holiday.holiday_date).toLocaleDateString()}</td>
+                  <td className="px-6 py-4 font-medium">{holiday.name}</td>
+                  <td className="px-6 py-4 text-sm">
+                    {holiday.holiday_type === 'regional'
+                      ? `Regional - ${siteNames.get(holiday.site_id) || 'Unknown site'}`
+                      : HOLIDAY_TYPE_LABELS[holiday.holiday_type]}
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => editHoliday(holiday)}
+                        className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(holiday)}
+                        className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <form onSubmit={handleSave} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-4">{form.id ? 'Edit Holiday' : 'New Holiday'}</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Date
+            <input
+              type="date"
+              required
+              value={form.date}
+              onChange={(e) => setForm({ ...form, date: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Name
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          {typeSelect(form.type, (type) => setForm({ ...form, type }))}
+          {form.type === 'regional' && siteSelect(form.siteId, (siteId) => setForm({ ...form, siteId }))}
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+            Save Holiday
+          </button>
+          {form.id && (
+            <button
+              type="button"
+              onClick={() => setForm(EMPTY_HOLIDAY)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* iCal import */}
+      <form onSubmit={handleImport} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-2">Import from iCal</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Import a published holiday calendar (.ics). Each event becomes a holiday on every day it covers;
+          dates that already have a holiday for the same site are skipped.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Calendar file
+            <input
+              type="file"
+              accept=".ics,text/calendar"
+              onChange={handleFile}
+              className="mt-1 w-full text-sm"
+            />
+          </label>
+          {typeSelect(importForm.type, (type) => setImportForm({ ...importForm, type }))}
+          {importForm.type === 'regional' &&
+            siteSelect(importForm.siteId, (siteId) => setImportForm({ ...importForm, siteId }))}
+        </div>
+        {importForm.holidays.length > 0 && (
+          <p className="text-sm text-gray-600 mb-4">
+            {importForm.holidays.length} holiday(s) in {importForm.fileName}, from {importForm.holidays[0].date} to{' '}
+            {importForm.holidays[importForm.holidays.length - 1].date}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={importForm.holidays.length === 0}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          Import
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import {
+  getLeaveBalances,
+  getEmployeeLeaveRequests,
+  createLeaveRequest,
+  cancelLeaveRequest,
+  countLeaveDays,
+  LEAVE_TYPE_LABELS,
+  LEAVE_STATUS_LABELS
+} from '../services/leaveManagement';
+import { getBusinessDate } from '../utils/timezone';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  pending_hr: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+// A range can start in the afternoon and end at midday
+const FIRST_DAY_LABELS = {
+  full_day: 'Full day',
+  half_day_afternoon: 'From the afternoon'
+};
+
+const LAST_DAY_LABELS = {
+  full_day: 'Full day',
+  half_day_morning: 'Until midday'
+};
+
+export default function LeaveBalances({ employeeId, canRequest }) {
+  const today = getBusinessDate(new Date());
+  const year = today.slice(0, 4);
+  const [balances, setBalances] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [form, setForm] = useState(null);
+  const [formDays, setFormDays] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadLeave();
+  }, [employeeId]);
+
+  // Preview how many days the request takes (weekly offs and holidays don't count)
+  useEffect(() => {
+    setFormDays(null);
+    if (!form || !form.startDate || !form.endDate || form.endDate < form.startDate) return;
+    countLeaveDays(employeeId, form).then(result => {
+      if (result.success) setFormDays(result.data);
+    });
+  }, [form?.startDate, form?.endDate, form?.leaveType, form?.endLeaveType]);
+
+  const loadLeave = async () => {
+    const [balancesResult, requestsResult] = await Promise.all([
+      getLeaveBalances(employeeId, today),
+      getEmployeeLeaveRequests(employeeId, `${year}-01-01`, `${year}-12-31`)
+    ]);
+    if (balancesResult.success) setBalances(balancesResult.data);
+    if (requestsResult.success) setRequests(requestsResult.data);
+    if (!balancesResult.success) setError(balancesResult.error);
+  };
+
+  const openForm = () => {
+    setError(null);
+    setForm({
+      startDate: today,
+      endDate: today,
+      leaveType: 'full_day',
+      endLeaveType: 'full_day',
+      leaveCategory: balances[0]?.leave_category || 'casual',
+      reason: ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await createLeaveRequest({ employeeId, ...form });
+    if (result.success) {
+      setForm(null);
+      loadLeave();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!confirm(`Cancel leave on ${formatRange(request)}?`)) return;
+    setError(null);
+    const result = await cancelLeaveRequest(request.id);
+    if (result.success) {
+      loadLeave();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const formatRange = (request) => {
+    const start = new Date(request.leave_date).toLocaleDateString();
+    return request.end_date && request.end_date !== request.leave_date
+      ? `${start} - ${new Date(request.end_date).toLocaleDateString()}`
+      : start;
+  };
+
+  const updateStartDate = (startDate) => {
+    // Keep the range valid; a single day can be any leave type
+    const endDate = form.endDate < startDate ? startDate : form.endDate;
+    setForm({ ...form, startDate, endDate, leaveType: 'full_day', endLeaveType: 'full_day' });
+  };
+
+  const categoryNames = new Map(balances.map(b => [b.leave_category, b.name]));
+  const isRange = form && form.endDate !== form.startDate;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Leave {year}</h2>
+        {canRequest && !form && (
+          <button
+            onClick={openForm}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+          >
+            Request Leave
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      <table className="w-full mb-6">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Accrued</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Carried Forward</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Used</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Pending</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Available</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {balances.map((balance) => (
+            <tr key={balance.leave_category}>
+              <td className="px-4 py-2 font-medium">{balance.name}</td>
+              <td className="px-4 py-2 text-sm">
+                {balance.requires_balance ? `${balance.accrued} of ${balance.entitled}` : '-'}
+              </td>
+              <td className="px-4 py-2 text-sm">{balance.requires_balance ? balance.carried_forward : '-'}</td>
+              <td className="px-4 py-2 text-sm">{balance.used}</td>
+              <td className="px-4 py-2 text-sm">{balance.pending}</td>
+              <td className="px-4 py-2 text-sm font-semibold">
+                {balance.requires_balance ? Math.max(balance.available, 0) : 'Unlimited'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 border rounded-lg">
+          <h3 className="font-semibold mb-4">Request Leave</h3>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <label className="text-sm text-gray-600">
+              From
+              <input
+                type="date"
+                required
+                value={form.startDate}
+                onChange={(e) => updateStartDate(e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              To
+              <input
+                type="date"
+                required
+                min={form.startDate}
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value, leaveType: 'full_day', endLeaveType: 'full_day' })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              {isRange ? 'First day' : 'Type'}
+              <select
+                value={form.leaveType}
+                onChange={(e) => setForm({ ...form, leaveType: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                {Object.entries(isRange ? FIRST_DAY_LABELS : LEAVE_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {isRange && (
+              <label className="text-sm text-gray-600">
+                Last day
+                <select
+                  value={form.endLeaveType}
+                  onChange={(e) => setForm({ ...form, endLeaveType: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {Object.entries(LAST_DAY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <label className="text-sm text-gray-600">
+              Category
+              <select
+                value={form.leaveCategory}
+                onChange={(e) => setForm({ ...form, leaveCategory: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                {balances.map((balance) => (
+                  <option key={balance.leave_category} value={balance.leave_category}>{balance.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-600">
+              Reason
+              <input
+                type="text"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          </div>
+          {formDays !== null && (
+            <p className="text-sm text-gray-600 mb-4">{formDays} working day(s) of leave</p>
+          )}
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+              Submit for Approval
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500">No leave requests this year</p>
+      ) : (
+        <div className="space-y-2">
+          {requests.map((request) => (
+            <div key={request.id} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+              <span>
+                {formatRange(request)} - {categoryNames.get(request.leave_category) || request.leave_category}
+                {' '}({request.end_date && request.end_date !== request.leave_date
+                  ? `${request.days} days`
+                  : LEAVE_TYPE_LABELS[request.leave_type] || request.leave_type})
+                {request.reason && <span className="text-gray-500"> - {request.reason}</span>}
+              </span>
+              <span className="flex items-center gap-2">
+                <span className={`px-2 py-1 text-xs rounded-full ${STATUS_STYLES[request.status]}`}>
+                  {LEAVE_STATUS_LABELS[request.status]}
+                </span>
+                {['pending', 'pending_hr', 'approved'].includes(request.status) && (
+                  <button
+                    onClick={() => handleCancel(request)}
+                    className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react';
+import { getLeaveCategories, updateLeaveCategory } from '../services/leaveManagement';
+
+const ACCRUAL_LABELS = {
+  annual: 'Whole allowance from January',
+  monthly: 'Accrues monthly'
+};
+
+export default function LeavePolicyManager() {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    setLoading(true);
+    const result = await getLeaveCategories();
+    if (result.success) {
+      setCategories(result.data);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const editCategory = (category) => {
+    setForm({
+      category: category.category,
+      name: category.name,
+      annualAllowance: category.annual_allowance,
+      accrual: category.accrual,
+      maxCarryForward: category.max_carry_forward,
+      requiresBalance: category.requires_balance,
+      requiresHrApproval: category.requires_hr_approval
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await updateLeaveCategory(form.category, {
+      ...form,
+      annualAllowance: Number(form.annualAllowance),
+      maxCarryForward: Number(form.maxCarryForward)
+    });
+    if (result.success) {
+      setForm(null);
+      loadCategories();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-bold">Leave Policy</h2>
+          <p className="text-sm text-gray-600">
+            A new allowance applies to balances opened after the change; balances already opened for a year keep theirs.
+          </p>
+        </div>
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days / Year</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Accrual</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Carry Forward</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Approval</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {categories.map((category) => (
+              <tr key={category.category} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">{category.name}</td>
+                <td className="px-6 py-4 text-sm">
+                  {category.requires_balance ? category.annual_allowance : 'Unlimited'}
+                </td>
+                <td className="px-6 py-4 text-sm">{ACCRUAL_LABELS[category.accrual]}</td>
+                <td className="px-6 py-4 text-sm">
+                  {category.max_carry_forward > 0 ? `Up to ${category.max_carry_forward} days` : 'None'}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {category.requires_hr_approval ? 'Manager, then HR' : 'Manager'}
+                </td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => editCategory(category)}
+                    className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                  >
+                    Edit
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-lg font-bold mb-4">Edit {form.name}</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <label className="text-sm text-gray-600">
+              Days per year
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                required
+                value={form.annualAllowance}
+                onChange={(e) => setForm({ ...form, annualAllowance: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Accrual
+              <select
+                value={form.accrual}
+                onChange={(e) => setForm({ ...form, accrual: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                {Object.entries(ACCRUAL_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-600">
+              Max carry forward (days)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                required
+                value={form.maxCarryForward}
+                onChange={(e) => setForm({ ...form, maxCarryForward: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          </div>
+          <div className="flex flex-col gap-2 mb-4">
+            <label className="text-sm text-gray-600 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.requiresBalance}
+                onChange={(e) => setForm({ ...form, requiresBalance: e.target.checked })}
+              />
+              Limited by the employee's balance
+            </label>
+            <label className="text-sm text-gray-600 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.requiresHrApproval}
+                onChange={(e) => setForm({ ...form, requiresHrApproval: e.target.checked })}
+              />
+              Needs HR approval after the manager's
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
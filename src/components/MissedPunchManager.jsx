@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { getAttendanceExceptions, createCorrectionRequest } from '../services/attendanceCorrections';
+import { getSetting, updateSetting, getOrganizationTimezone } from '../services/settings';
+import { timeToMinutes } from '../services/shiftSchedule';
+import { zonedTimeToInstant } from '../utils/timezone';
+
+const POLICY_LABELS = {
+  auto_close: 'Auto-close at shift end',
+  missing_punch: 'Mark as missing punch',
+  leave_open: 'Leave open (notify only)'
+};
+
+export default function MissedPunchManager({ employeeMap, canEditPolicy = false }) {
+  const [exceptions, setExceptions] = useState([]);
+  const [policy, setPolicy] = useState('missing_punch');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [correctionForm, setCorrectionForm] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [exceptionsResult, policyResult] = await Promise.all([
+      getAttendanceExceptions('open'),
+      getSetting('missed_checkout_policy', 'missing_punch')
+    ]);
+    if (exceptionsResult.success) setExceptions(exceptionsResult.data);
+    if (policyResult.success) setPolicy(policyResult.data);
+    setLoading(false);
+  };
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const handlePolicyChange = async (value) => {
+    setError(null);
+    const result = await updateSetting('missed_checkout_policy', value);
+    if (result.success) {
+      setPolicy(value);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const openCorrectionForm = (exception) => {
+    setCorrectionForm({
+      exception,
+      date: exception.session_date,
+      time: '',
+      reason: ''
+    });
+  };
+
+  const handleSubmitCorrection = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    // The time is entered in the organization's timezone, not the browser's
+    const timeZone = await getOrganizationTimezone();
+    const requestedTime = zonedTimeToInstant(correctionForm.date, timeToMinutes(correctionForm.time), timeZone);
+
+    const result = await createCorrectionRequest({
+      employeeId: correctionForm.exception.employee_id,
+      sessionDate: correctionForm.exception.session_date,
+      correctionType: 'missing_check_out',
+      exceptionId: correctionForm.exception.id,
+      requestedTime,
+      reason: correctionForm.reason
+    });
+    if (result.success) {
+      setCorrectionForm(null);
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      {/* Policy */}
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-2">Missed Check-out Policy</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Applied by the end-of-day job to sessions still open after the shift ended. Employees are notified either way.
+          Sessions left on a break are never auto-closed; they're marked as a missing punch instead.
+          Submitted corrections are approved in the Corrections tab.
+          {!canEditPolicy && ' Only HR admins can change the policy.'}
+        </p>
+        <select
+          value={policy}
+          disabled={!canEditPolicy}
+          onChange={(e) => handlePolicyChange(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+        >
+          {Object.entries(POLICY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Open Missed Check-outs */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <h2 className="text-lg font-bold px-6 pt-6 pb-2">Missed Check-outs</h2>
+        {exceptions.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No missed check-outs</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Session</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift End</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Policy Applied</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {exceptions.map((exception) => (
+                <tr key={exception.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 font-medium">
+                    {employeeMap.get(exception.employee_id) || exception.employee_id}
+                  </td>
+                  <td className="px-6 py-4 text-sm">{exception.session_date}</td>
+                  <td className="px-6 py-4 text-sm">{formatDateTime(exception.expected_check_out)}</td>
+                  <td className="px-6 py-4 text-sm">{POLICY_LABELS[exception.policy_applied]}</td>
+                  <td className="px-6 py-4">
+                    <button
+                      onClick={() => openCorrectionForm(exception)}
+                      className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                    >
+                      Correct
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {correctionForm && (
+        <form onSubmit={handleSubmitCorrection} className="bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-lg font-bold mb-4">
+            Correct Check-out - {employeeMap.get(correctionForm.exception.employee_id) || correctionForm.exception.employee_id} ({correctionForm.exception.session_date})
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <label className="text-sm text-gray-600">
+              Check-out Date
+              <input
+                type="date"
+                required
+                value={correctionForm.date}
+                onChange={(e) => setCorrectionForm({ ...correctionForm, date: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Check-out Time
+              <input
+                type="time"
+                required
+                value={correctionForm.time}
+                onChange={(e) => setCorrectionForm({ ...correctionForm, time: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Reason
+              <input
+                type="text"
+                required
+                value={correctionForm.reason}
+                onChange={(e) => setCorrectionForm({ ...correctionForm, reason: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+              Submit for Approval
+            </button>
+            <button
+              type="button"
+              onClick={() => setCorrectionForm(null)}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { getAllEmployeesMonthlySummary } from '../services/attendanceReports';
+import { toCsv, downloadCsv } from '../utils/csv';
+import { getBusinessDate } from '../utils/timezone';
+
+export default function MonthlyReport() {
+  const [selectedMonth, setSelectedMonth] = useState(getBusinessDate(new Date()).slice(0, 7));
+  const [summaries, setSummaries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSummaries();
+  }, [selectedMonth]);
+
+  const loadSummaries = async () => {
+    if (!selectedMonth) return;
+    setLoading(true);
+    setError(null);
+    const [year, month] = selectedMonth.split('-').map(Number);
+    const result = await getAllEmployeesMonthlySummary(year, month);
+    if (result.success) {
+      setSummaries(result.data);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const handleExport = () => {
+    const csv = toCsv(
+      ['Employee', 'Department', 'Scheduled Days', 'Working Days', 'Leave Days', 'Holidays',
+        'Total Hours', 'Late Arrivals', 'Early Departures', 'Missing Punches', 'Attendance %'],
+      summaries.map(emp => [
+        emp.employeeName,
+        emp.department,
+        emp.scheduledDays,
+        emp.workingDays,
+        emp.leaveDays,
+        emp.holidays,
+        emp.totalHours,
+        emp.lateArrivals,
+        emp.earlyDepartures,
+        emp.missingPunches,
+        emp.attendancePercentage
+      ])
+    );
+    downloadCsv(`attendance-${selectedMonth}.csv`, csv);
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <input
+          type="month"
+          value={selectedMonth}
+          onChange={(e) => setSelectedMonth(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <button
+          onClick={handleExport}
+          disabled={summaries.length === 0}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">Loading...</div>
+        ) : summaries.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">No employees</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Working Days</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Leave Days</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hours</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Late / Early</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Missing Punches</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attendance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {summaries.map((emp) => (
+                <tr key={emp.employeeId} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900">{emp.employeeName}</div>
+                    <div className="text-sm text-gray-500">{emp.department}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm">{emp.workingDays} of {emp.scheduledDays}</td>
+                  <td className="px-6 py-4 text-sm">{emp.leaveDays}</td>
+                  <td className="px-6 py-4 text-sm">{emp.totalHours}h</td>
+                  <td className="px-6 py-4 text-sm">{emp.lateArrivals} / {emp.earlyDepartures}</td>
+                  <td className="px-6 py-4 text-sm">{emp.missingPunches}</td>
+                  <td className="px-6 py-4 text-sm font-medium">{emp.attendancePercentage}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { getEmployeeHolidays, getOptionalHolidays, setOptionalHoliday } from '../services/holidays';
+import { getSetting } from '../services/settings';
+import { getBusinessDate } from '../utils/timezone';
+
+export default function OptionalHolidays({ employeeId, canChoose }) {
+  const today = getBusinessDate(new Date());
+  const year = Number(today.slice(0, 4));
+  const [holidays, setHolidays] = useState([]);
+  const [optionalHolidays, setOptionalHolidays] = useState([]);
+  const [limit, setLimit] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadHolidays();
+  }, [employeeId]);
+
+  const loadHolidays = async () => {
+    const [holidaysResult, optionalResult, limitResult] = await Promise.all([
+      getEmployeeHolidays(employeeId, `${year}-01-01`, `${year}-12-31`),
+      getOptionalHolidays(employeeId, year),
+      getSetting('optional_holidays_per_year', '2')
+    ]);
+    // Chosen optional holidays are listed with the other optional holidays
+    if (holidaysResult.success) {
+      setHolidays(Array.from(holidaysResult.data.values()).filter(h => h.holiday_type !== 'optional'));
+    }
+    if (optionalResult.success) setOptionalHolidays(optionalResult.data);
+    if (limitResult.success) setLimit(Number(limitResult.data) || 0);
+    if (!holidaysResult.success) setError(holidaysResult.error);
+  };
+
+  const handleToggle = async (holiday) => {
+    setError(null);
+    const result = await setOptionalHoliday(employeeId, holiday.id, !holiday.selected);
+    if (result.success) {
+      loadHolidays();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const chosen = optionalHolidays.filter(h => h.selected).length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <h2 className="text-xl font-bold mb-4">Holidays {year}</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+      )}
+
+      {holidays.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No holidays this year</p>
+      ) : (
+        <div className="space-y-2 mb-6">
+          {holidays.map((holiday) => (
+            <div key={holiday.holiday_id} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+              <span className="font-medium">{holiday.name}</span>
+              <span className="text-gray-600">{new Date(holiday.holiday_date).toLocaleDateString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {optionalHolidays.length > 0 && (
+        <>
+          <h3 className="font-semibold mb-1">Optional Holidays</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {chosen} of {limit} chosen. Optional holidays are only days off for the employees who choose them.
+          </p>
+          <div className="space-y-2">
+            {optionalHolidays.map((holiday) => (
+              <div key={holiday.id} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium">{holiday.name}</span>
+                  <span className="ml-2 text-gray-600">{new Date(holiday.holiday_date).toLocaleDateString()}</span>
+                  {holiday.selected && (
+                    <span className="ml-2 px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                      Day off
+                    </span>
+                  )}
+                </div>
+                {canChoose && holiday.holiday_date >= today && (holiday.selected || chosen < limit) && (
+                  <button
+                    onClick={() => handleToggle(holiday)}
+                    className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+                  >
+                    {holiday.selected ? 'Work this day' : 'Take off'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,21 +1,103 @@
 import { useState, useEffect, useRef } from 'react';
 import { Html5Qrcode, Html5QrcodeScanType } from 'html5-qrcode';
-import { verifyQrSignature, isTimestampFresh, validateQrDataStructure } from '../utils/signatureVerification';
+import { validateQrDataStructure } from '../utils/signatureVerification';
+import { decodeQrPayload, hasEmployeeDetails } from '../utils/qrPayload';
 import { markAttendance } from '../services/supabase';
+import { enqueueScan, getPendingCount, getQueuedScans, syncQueue, removeQueuedScan } from '../services/offlineQueue';
+import { getSetting } from '../services/settings';
+import { getPairedDevice } from '../services/deviceRegistration';
+import { startLocationWatch, stopLocationWatch, getCurrentLocation } from '../services/location';
 
-export default function QRScanner({ onScanSuccess, onScanError }) {
+// Kiosk mode: how long the result card stays up, how long the same code is
+// ignored after a scan, and how long to wait before restarting a failed camera
+const KIOSK_RESULT_MS = 4000;
+const KIOSK_DEBOUNCE_MS = 15000;
+const CAMERA_RETRY_MS = 5000;
+
+// Scan types an employee can pick at the kiosk; 'Auto' lets the server infer it from the clock
+const INTENT_OPTIONS = [
+  { value: null, label: 'Auto' },
+  { value: 'check_in', label: 'Check In' },
+  { value: 'lunch_out', label: 'Break Start' },
+  { value: 'lunch_in', label: 'Break End' },
+  { value: 'check_out', label: 'Check Out' }
+];
+
+// A picked intent falls back to Auto if nobody scans, so the next person doesn't inherit it
+const INTENT_RESET_MS = 30000;
+
+export default function QRScanner({ onScanSuccess, onScanError, kiosk = false }) {
   const [scanning, setScanning] = useState(false);
   const [status, setStatus] = useState('Ready to scan');
   const [error, setError] = useState(null);
   const [scanHint, setScanHint] = useState('Position QR code within the frame');
   const [successData, setSuccessData] = useState(null);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncIssues, setSyncIssues] = useState([]);
+  const [intent, setIntent] = useState(null);
   const scannerRef = useRef(null);
   const html5QrCodeRef = useRef(null);
   const scanAttemptsRef = useRef(0);
+  const busyRef = useRef(false);
+  const lastCodeRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const unmountedRef = useRef(false);
+  // The scan callback is registered once when the camera starts, so it reads the intent from a ref
+  const intentRef = useRef(null);
 
   useEffect(() => {
+    // Replay any scans captured while offline, now and whenever connectivity returns
+    const handleOnline = () => {
+      runSync();
+    };
+
+    getPendingCount().then(setPendingCount);
+    getQueuedScans().then(entries => {
+      setSyncIssues(entries.filter(entry => entry.status === 'rejected'));
+    });
+    if (navigator.onLine) {
+      runSync();
+    }
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    // Paired scanners send their location when the organization checks site geofences
+    if (!getPairedDevice()) return;
+
+    getSetting('geofence_policy', 'off').then(result => {
+      if (result.success && result.data !== 'off' && !unmountedRef.current) {
+        startLocationWatch();
+      }
+    });
+
+    return () => {
+      stopLocationWatch();
+    };
+  }, []);
+
+  useEffect(() => {
+    intentRef.current = intent;
+    if (!intent) return;
+
+    const timer = setTimeout(() => setIntent(null), INTENT_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [intent]);
+
+  useEffect(() => {
+    // Kiosks start scanning on their own - there is nobody to press Start
+    if (kiosk) {
+      startScanning();
+    }
+
     return () => {
       // Cleanup on unmount
+      unmountedRef.current = true;
+      clearTimeout(retryTimerRef.current);
       if (html5QrCodeRef.current) {
         html5QrCodeRef.current.stop().catch(err => {
           console.error('Error stopping scanner:', err);
@@ -76,6 +158,9 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
           // Success callback - QR code detected
           console.log('QR Code detected:', decodedText);
           scanAttemptsRef.current = 0;
+          if (kiosk && !acceptKioskScan(decodedText)) {
+            return;
+          }
           setScanHint('QR code detected!');
           handleScanSuccess(decodedText);
         },
@@ -121,6 +206,10 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
             const stream = videoElement.srcObject;
             if (stream) {
               const videoTrack = stream.getVideoTracks()[0];
+              // Kiosks restart the camera if the stream dies (device unplugged, OS reclaimed it)
+              if (kiosk && videoTrack) {
+                videoTrack.addEventListener('ended', recoverCamera);
+              }
               if (videoTrack && videoTrack.getSettings) {
                 const settings = videoTrack.getSettings();
                 console.log('Camera settings:', settings);
@@ -142,7 +231,63 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
       console.error('Error starting scanner:', err);
       setError(`Failed to start camera: ${err.message}. Please check permissions and try again.`);
       setStatus('Camera error');
+      if (kiosk) {
+        recoverCamera();
+      }
+    }
+  };
+
+  /**
+   * Restart the camera after a delay (kiosk mode)
+   */
+  const recoverCamera = () => {
+    if (unmountedRef.current) return;
+    clearTimeout(retryTimerRef.current);
+    setStatus(`Camera unavailable - retrying in ${CAMERA_RETRY_MS / 1000} seconds...`);
+    retryTimerRef.current = setTimeout(async () => {
+      if (unmountedRef.current) return;
+      await stopScanning();
+      html5QrCodeRef.current = null;
+      startScanning();
+    }, CAMERA_RETRY_MS);
+  };
+
+  /**
+   * In kiosk mode the camera keeps running, so ignore detections while a scan is
+   * being processed or shown, and the same code shown again within the debounce window
+   * @param {string} decodedText
+   * @returns {boolean} - True if the scan should be processed
+   */
+  const acceptKioskScan = (decodedText) => {
+    if (busyRef.current) return false;
+
+    const now = Date.now();
+    const last = lastCodeRef.current;
+    if (last && last.text === decodedText && now - last.at < KIOSK_DEBOUNCE_MS) {
+      return false;
     }
+
+    lastCodeRef.current = { text: decodedText, at: now };
+    busyRef.current = true;
+    return true;
+  };
+
+  /**
+   * Hide the result and go back to scanning after a delay.
+   * Kiosks never stopped the camera, so they just start accepting scans again.
+   */
+  const resumeScanningAfterDelay = () => {
+    setTimeout(() => {
+      setSuccessData(null);
+      scanAttemptsRef.current = 0;
+      if (kiosk) {
+        setError(null);
+        setStatus('Scanning... Point camera at QR code');
+        busyRef.current = false;
+      } else {
+        startScanning();
+      }
+    }, kiosk ? KIOSK_RESULT_MS : 3000);
   };
 
   const stopScanning = async () => {
@@ -159,17 +304,41 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
     }
   };
 
+  const runSync = async () => {
+    const result = await syncQueue();
+    setPendingCount(result.remaining);
+    if (result.rejected.length > 0) {
+      setSyncIssues(prev => [
+        ...prev.filter(issue => !result.rejected.some(r => r.id === issue.id)),
+        ...result.rejected
+      ]);
+    }
+    if (result.synced > 0) {
+      console.log(`Synced ${result.synced} offline scan(s)`);
+    }
+  };
+
+  const dismissSyncIssue = async (id) => {
+    await removeQueuedScan(id);
+    setSyncIssues(prev => prev.filter(issue => issue.id !== id));
+  };
+
   const handleScanSuccess = async (decodedText) => {
+    const scannedAt = new Date();
+    const location = getCurrentLocation();
+    // Each declared intent applies to a single scan
+    const scanIntent = intentRef.current;
+    setIntent(null);
     try {
-      // Stop scanning temporarily
-      await stopScanning();
+      // Stop scanning temporarily (kiosks keep the camera running)
+      if (!kiosk) {
+        await stopScanning();
+      }
       setStatus('Processing QR code...');
 
-      // Parse JSON from QR code
-      let qrData;
-      try {
-        qrData = JSON.parse(decodedText);
-      } catch (parseError) {
+      // Decode the QR code (compact or legacy JSON format)
+      const qrData = decodeQrPayload(decodedText);
+      if (!qrData) {
         throw new Error('Invalid QR code format');
       }
 
@@ -178,34 +347,50 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
         throw new Error('QR code missing required fields');
       }
 
-      // Verify signature
-      if (!verifyQrSignature(qrData)) {
-        throw new Error('Invalid QR code signature. Code may be tampered with.');
-      }
+      // Mark attendance (signature, freshness and replay checks happen server-side)
+      setStatus('Marking attendance...');
+      const result = await markAttendance(decodedText, scannedAt, { intent: scanIntent, location });
 
-      // Check timestamp freshness
-      if (!isTimestampFresh(qrData.checkInTime)) {
-        throw new Error('QR code expired. Please generate a new one.');
-      }
+      if (!result.success && result.networkError) {
+        // Only paired scanners may replay scans with their original time
+        if (!getPairedDevice()) {
+          throw new Error('No network connection. This scanner isn\'t paired, so scans can\'t be saved offline.');
+        }
 
-      // Mark attendance
-      setStatus('Marking attendance...');
-      const result = await markAttendance(qrData);
+        // Keep the scan locally and send it for verification once we're back online
+        const queued = await enqueueScan(decodedText, qrData, scannedAt, scanIntent, location);
+        if (!queued.success) {
+          throw new Error(queued.error);
+        }
+        setPendingCount(await getPendingCount());
+        // Compact codes only carry the employee ID; the name is known once synced
+        setSuccessData({
+          employeeName: hasEmployeeDetails(qrData) ? `${qrData.firstName} ${qrData.lastName}` : 'Employee',
+          department: qrData.department || 'N/A',
+          role: qrData.role || 'N/A',
+          scanType: 'Saved Offline'
+        });
+        setStatus('Offline - scan saved and will sync automatically');
+
+        resumeScanningAfterDelay();
+        return;
+      }
 
       if (result.success) {
         // Show success confirmation with scan type
         const scanTypeLabels = {
           'check_in': 'Checked In',
-          'lunch_out': 'Lunch Break Started',
-          'lunch_in': 'Lunch Break Ended',
+          'lunch_out': 'Break Started',
+          'lunch_in': 'Break Ended',
           'check_out': 'Checked Out'
         };
         
         setSuccessData({
-          employeeName: `${qrData.firstName} ${qrData.lastName}`,
-          department: qrData.department || 'N/A',
-          role: qrData.role,
-          scanType: scanTypeLabels[result.scanType] || result.scanType
+          employeeName: result.data.employee_name,
+          department: result.data.department || 'N/A',
+          role: result.data.employee_role,
+          scanType: scanTypeLabels[result.scanType] || result.scanType,
+          isLate: result.data.is_late
         });
         setStatus(`${scanTypeLabels[result.scanType] || result.scanType} successfully!`);
         
@@ -213,12 +398,8 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
           onScanSuccess(result.data, qrData);
         }
         
-        // Auto-restart scanning after 3 seconds
-        setTimeout(() => {
-          setSuccessData(null);
-          scanAttemptsRef.current = 0;
-          startScanning();
-        }, 3000);
+        // Auto-restart scanning after a few seconds
+        resumeScanningAfterDelay();
       } else {
         throw new Error(result.error || 'Failed to mark attendance');
       }
@@ -227,11 +408,9 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
       setError(err.message || 'Failed to process QR code');
       setStatus('Error: ' + (err.message || 'Unknown error'));
       
-      // Auto-restart scanning after 3 seconds
-      setTimeout(() => {
-        startScanning();
-      }, 3000);
-      
+      // Auto-restart scanning after a few seconds
+      resumeScanningAfterDelay();
+
       if (onScanError) {
         onScanError(err);
       }
@@ -255,6 +434,27 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
               <h3 className="text-2xl font-bold text-gray-800 mb-2">{successData.scanType || 'Attendance Marked'}!</h3>
               <p className="text-lg font-semibold text-primary-600 mb-1">{successData.employeeName}</p>
               <p className="text-sm text-gray-600 mb-4">{successData.department} • {successData.role}</p>
+              {successData.isLate && (
+                <p className="inline-block mb-4 px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 text-sm font-semibold">Late</p>
+              )}
+              <p className="text-sm text-gray-500">Scanning will resume automatically...</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Kiosk Error Card - nobody is watching the status bar on an unattended tablet */}
+      {kiosk && error && !successData && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+          <div className="bg-white rounded-2xl p-8 max-w-md w-full mx-4 shadow-2xl">
+            <div className="text-center">
+              <div className="mx-auto flex items-center justify-center h-20 w-20 rounded-full bg-red-100 mb-4">
+                <svg className="h-12 w-12 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </div>
+              <h3 className="text-2xl font-bold text-gray-800 mb-2">Not Recorded</h3>
+              <p className="text-lg text-gray-700 mb-4">{error}</p>
               <p className="text-sm text-gray-500">Scanning will resume automatically...</p>
             </div>
           </div>
@@ -262,7 +462,7 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
       )}
 
       {/* Scanner Container - Simple, no borders */}
-      <div className="relative w-full" style={{ height: 'calc(100vh - 150px)', minHeight: '400px' }}>
+      <div className="relative w-full" style={{ height: kiosk ? 'calc(100vh - 180px)' : 'calc(100vh - 150px)', minHeight: '400px' }}>
         <div 
           id="reader" 
           className="w-full h-full overflow-hidden bg-black"
@@ -281,12 +481,53 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
           <div className="absolute inset-0 flex items-center justify-center bg-gray-900/80">
             <div className="text-center text-white">
               <p className="text-lg font-medium">Camera not active</p>
-              <p className="text-sm text-gray-300 mt-1">Click "Start Scanning" to begin</p>
+              <p className="text-sm text-gray-300 mt-1">
+                {kiosk ? 'Starting camera...' : 'Click "Start Scanning" to begin'}
+              </p>
             </div>
           </div>
         )}
       </div>
 
+      {/* Offline sync issues - duplicates or rejections found while replaying */}
+      {syncIssues.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {syncIssues.map((issue) => (
+            <div key={issue.id} className="flex items-center justify-between gap-2 px-3 py-2 rounded text-sm bg-orange-500/90 text-white">
+              <p>
+                Offline scan for {hasEmployeeDetails(issue.qrData) ? `${issue.qrData.firstName} ${issue.qrData.lastName}` : 'an employee'} at{' '}
+                {new Date(issue.scannedAt).toLocaleTimeString()} not recorded: {issue.error}
+              </p>
+              <button
+                onClick={() => dismissSyncIssue(issue.id)}
+                className="text-xs underline flex-shrink-0"
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Scan intent picker (kiosk) - optional, the scan type is inferred when left on Auto */}
+      {kiosk && (
+        <div className="mt-2 grid grid-cols-5 gap-2">
+          {INTENT_OPTIONS.map((option) => (
+            <button
+              key={option.label}
+              onClick={() => setIntent(option.value)}
+              className={`py-3 rounded text-sm font-semibold transition-colors ${
+                intent === option.value
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Compact Status and Control */}
       <div className="mt-2 flex items-center gap-2">
         {/* Compact Status */}
@@ -300,8 +541,19 @@ export default function QRScanner({ onScanSuccess, onScanError }) {
           <p>{status}</p>
         </div>
 
-        {/* Compact Control Button */}
-        {!scanning ? (
+        {/* Pending offline scans badge */}
+        {pendingCount > 0 && (
+          <button
+            onClick={runSync}
+            title="Scans waiting to sync - click to retry now"
+            className="bg-yellow-500 text-gray-900 text-sm font-medium py-2 px-3 rounded"
+          >
+            {pendingCount} pending
+          </button>
+        )}
+
+        {/* Compact Control Button (kiosks manage the camera themselves) */}
+        {kiosk ? null : !scanning ? (
           <button
             onClick={startScanning}
             className="bg-primary-600 hover:bg-primary-700 text-white font-medium py-2 px-4 rounded transition-colors flex items-center gap-2"
@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { getReportingLines, setManager } from '../services/reportingLines';
+
+export default function ReportingLinesManager({ employeeMap }) {
+  const [managers, setManagers] = useState(new Map()); // employee ID -> manager ID
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    const result = await getReportingLines();
+    if (result.success) {
+      setManagers(new Map(result.data.map(line => [line.employee_id, line.manager_id])));
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const handleManagerChange = async (employeeId, managerId) => {
+    setError(null);
+    const result = await setManager(employeeId, managerId || null);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const countReports = (managerId) => {
+    let count = 0;
+    managers.forEach(id => {
+      if (id === managerId) count++;
+    });
+    return count;
+  };
+
+  const employees = Array.from(employeeMap.entries())
+    .sort((a, b) => a[1].localeCompare(b[1]));
+  const visibleEmployees = employees
+    .filter(([, name]) => name.toLowerCase().includes(filter.toLowerCase()));
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Managers only see the attendance, leave and corrections of their direct and indirect reports.
+        While a manager is on full-day leave, their team's requests go to the next manager up.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      <input
+        type="text"
+        placeholder="Search employees"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        className="px-4 py-2 border border-gray-300 rounded-lg"
+      />
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reports To</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Direct Reports</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {visibleEmployees.map(([id, name]) => (
+              <tr key={id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">{name}</td>
+                <td className="px-6 py-4">
+                  <select
+                    value={managers.get(id) || ''}
+                    onChange={(e) => handleManagerChange(id, e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    <option value="">No manager</option>
+                    {employees
+                      .filter(([managerId]) => managerId !== id)
+                      .map(([managerId, managerName]) => (
+                        <option key={managerId} value={managerId}>{managerName}</option>
+                      ))}
+                  </select>
+                </td>
+                <td className="px-6 py-4 text-sm">{countReports(id) || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,376 @@
+import { useState, useEffect } from 'react';
+import {
+  getShifts,
+  saveShift,
+  getAllShiftAssignments,
+  assignShift,
+  deleteShiftAssignment
+} from '../services/shiftSchedule';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_SHIFT = {
+  name: '',
+  startTime: '09:00',
+  endTime: '18:00',
+  graceMinutes: 15,
+  breakStart: '12:00',
+  breakEnd: '14:00',
+  workingDays: [1, 2, 3, 4, 5]
+};
+
+export default function ShiftManager({ employeeMap }) {
+  const [shifts, setShifts] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [shiftForm, setShiftForm] = useState(EMPTY_SHIFT);
+  const [assignmentForm, setAssignmentForm] = useState({
+    shiftId: '',
+    target: 'employee',
+    employeeId: '',
+    department: '',
+    effectiveFrom: new Date().toISOString().split('T')[0],
+    effectiveTo: ''
+  });
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    const [shiftsResult, assignmentsResult] = await Promise.all([
+      getShifts(),
+      getAllShiftAssignments()
+    ]);
+    if (shiftsResult.success) setShifts(shiftsResult.data);
+    if (assignmentsResult.success) setAssignments(assignmentsResult.data);
+    setLoading(false);
+  };
+
+  const toggleDay = (day) => {
+    setShiftForm(prev => ({
+      ...prev,
+      workingDays: prev.workingDays.includes(day)
+        ? prev.workingDays.filter(d => d !== day)
+        : [...prev.workingDays, day].sort()
+    }));
+  };
+
+  const editShift = (shift) => {
+    setShiftForm({
+      id: shift.id,
+      name: shift.name,
+      startTime: shift.start_time.slice(0, 5),
+      endTime: shift.end_time.slice(0, 5),
+      graceMinutes: shift.grace_minutes,
+      breakStart: shift.break_start?.slice(0, 5) || '',
+      breakEnd: shift.break_end?.slice(0, 5) || '',
+      workingDays: shift.working_days || []
+    });
+  };
+
+  const handleSaveShift = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await saveShift({
+      ...shiftForm,
+      graceMinutes: Number(shiftForm.graceMinutes) || 0
+    });
+    if (result.success) {
+      setShiftForm(EMPTY_SHIFT);
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const result = await assignShift({
+      shiftId: assignmentForm.shiftId,
+      employeeId: assignmentForm.target === 'employee' ? assignmentForm.employeeId : null,
+      department: assignmentForm.target === 'department' ? assignmentForm.department : null,
+      effectiveFrom: assignmentForm.effectiveFrom,
+      effectiveTo: assignmentForm.effectiveTo || null
+    });
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRemoveAssignment = async (assignmentId) => {
+    const result = await deleteShiftAssignment(assignmentId);
+    if (result.success) {
+      loadData();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+
+      {/* Shift Definitions */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hours</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Grace</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Break</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Working Days</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {shifts.map((shift) => (
+              <tr key={shift.id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">{shift.name}</td>
+                <td className="px-6 py-4 text-sm">{shift.start_time.slice(0, 5)} - {shift.end_time.slice(0, 5)}</td>
+                <td className="px-6 py-4 text-sm">{shift.grace_minutes} min</td>
+                <td className="px-6 py-4 text-sm">
+                  {shift.break_start ? `${shift.break_start.slice(0, 5)} - ${shift.break_end.slice(0, 5)}` : '-'}
+                </td>
+                <td className="px-6 py-4 text-sm">
+                  {(shift.working_days || []).map(d => DAY_LABELS[d]).join(', ')}
+                </td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => editShift(shift)}
+                    className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                  >
+                    Edit
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleSaveShift} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-4">{shiftForm.id ? 'Edit Shift' : 'New Shift'}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Name
+            <input
+              type="text"
+              required
+              value={shiftForm.name}
+              onChange={(e) => setShiftForm({ ...shiftForm, name: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Start
+            <input
+              type="time"
+              required
+              value={shiftForm.startTime}
+              onChange={(e) => setShiftForm({ ...shiftForm, startTime: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            End
+            <input
+              type="time"
+              required
+              value={shiftForm.endTime}
+              onChange={(e) => setShiftForm({ ...shiftForm, endTime: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Grace (minutes)
+            <input
+              type="number"
+              min="0"
+              value={shiftForm.graceMinutes}
+              onChange={(e) => setShiftForm({ ...shiftForm, graceMinutes: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Break Start
+            <input
+              type="time"
+              value={shiftForm.breakStart}
+              onChange={(e) => setShiftForm({ ...shiftForm, breakStart: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            Break End
+            <input
+              type="time"
+              value={shiftForm.breakEnd}
+              onChange={(e) => setShiftForm({ ...shiftForm, breakEnd: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+        <div className="flex gap-2 mb-4">
+          {DAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`px-3 py-1 text-sm rounded ${
+                shiftForm.workingDays.includes(day)
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+            Save Shift
+          </button>
+          {shiftForm.id && (
+            <button
+              type="button"
+              onClick={() => setShiftForm(EMPTY_SHIFT)}
+              className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {/* Shift Assignments */}
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Assigned To</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Shift</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Effective</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {assignments.map((assignment) => (
+              <tr key={assignment.id} className="hover:bg-gray-50">
+                <td className="px-6 py-4 font-medium">
+                  {assignment.employee_id
+                    ? employeeMap.get(assignment.employee_id) || assignment.employee_id
+                    : `Department: ${assignment.department}`}
+                </td>
+                <td className="px-6 py-4 text-sm">{assignment.shifts?.name}</td>
+                <td className="px-6 py-4 text-sm">
+                  {assignment.effective_from} to {assignment.effective_to || 'ongoing'}
+                </td>
+                <td className="px-6 py-4">
+                  <button
+                    onClick={() => handleRemoveAssignment(assignment.id)}
+                    className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleAssign} className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold mb-4">Assign Shift</h2>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+          <label className="text-sm text-gray-600">
+            Shift
+            <select
+              required
+              value={assignmentForm.shiftId}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, shiftId: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Select shift</option>
+              {shifts.map(shift => (
+                <option key={shift.id} value={shift.id}>{shift.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-600">
+            Assign To
+            <select
+              value={assignmentForm.target}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, target: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="employee">Employee</option>
+              <option value="department">Department</option>
+            </select>
+          </label>
+          {assignmentForm.target === 'employee' ? (
+            <label className="text-sm text-gray-600">
+              Employee
+              <select
+                required
+                value={assignmentForm.employeeId}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, employeeId: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="">Select employee</option>
+                {Array.from(employeeMap.entries()).map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <label className="text-sm text-gray-600">
+              Department
+              <input
+                type="text"
+                required
+                value={assignmentForm.department}
+                onChange={(e) => setAssignmentForm({ ...assignmentForm, department: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </label>
+          )}
+          <label className="text-sm text-gray-600">
+            From
+            <input
+              type="date"
+              required
+              value={assignmentForm.effectiveFrom}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, effectiveFrom: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-600">
+            To (optional)
+            <input
+              type="date"
+              value={assignmentForm.effectiveTo}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, effectiveTo: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+        </div>
+        <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+          Assign
+        </button>
+      </form>
+    </div>
+  );
+}
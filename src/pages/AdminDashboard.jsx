@@ -1,24 +1,82 @@
 import { useState, useEffect } from 'react';
-import { getAllEmployeesAttendance, getDailySummary } from '../services/attendanceReports';
-import { getPendingLeaveRequests, updateLeaveRequestStatus } from '../services/leaveManagement';
+import { getAllEmployeesAttendance, getDailySummary, ATTENDANCE_STATUS_LABELS } from '../services/attendanceReports';
+import {
+  getPendingLeaveRequests,
+  reviewLeaveRequest,
+  getLeaveCategories,
+  LEAVE_TYPE_LABELS,
+  LEAVE_STATUS_LABELS
+} from '../services/leaveManagement';
 import { supabase } from '../services/supabase';
+import { getSecurityEvents } from '../services/securityEvents';
+import { getPendingCorrections, reviewCorrection, SCAN_TYPE_LABELS } from '../services/attendanceCorrections';
+import ShiftManager from '../components/ShiftManager';
+import MissedPunchManager from '../components/MissedPunchManager';
+import AuditLogViewer from '../components/AuditLogViewer';
+import ReportingLinesManager from '../components/ReportingLinesManager';
+import DeviceManager from '../components/DeviceManager';
+import LeavePolicyManager from '../components/LeavePolicyManager';
+import HolidayManager from '../components/HolidayManager';
+import EmployeeSitesManager from '../components/EmployeeSitesManager';
+import AbsenteeReport from '../components/AbsenteeReport';
+import MonthlyReport from '../components/MonthlyReport';
+import { getSites } from '../services/devices';
+import { getMyTeam } from '../services/reportingLines';
+import { useAuth } from '../components/AuthProvider';
+import { ROLES } from '../utils/roles';
+import { getBusinessDate } from '../utils/timezone';
+
+const SECURITY_EVENT_LABELS = {
+  qr_replay: 'QR replay',
+  outside_geofence: 'Outside geofence',
+  offline_scan: 'Offline scan'
+};
+
+const ATTENDANCE_STATUS_STYLES = {
+  present: 'bg-green-100 text-green-800',
+  late: 'bg-red-100 text-red-800',
+  on_leave: 'bg-blue-100 text-blue-800',
+  holiday: 'bg-gray-100 text-gray-800',
+  weekly_off: 'bg-gray-100 text-gray-800',
+  absent: 'bg-orange-100 text-orange-800',
+  half_day_absent: 'bg-orange-100 text-orange-800'
+};
 
 export default function AdminDashboard() {
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const { user, role } = useAuth();
+  const isHrAdmin = role === ROLES.HR_ADMIN;
+  const [selectedDate, setSelectedDate] = useState(getBusinessDate(new Date()));
   const [attendance, setAttendance] = useState([]);
   const [loading, setLoading] = useState(false);
   const [leaveRequests, setLeaveRequests] = useState([]);
-  const [activeTab, setActiveTab] = useState('attendance'); // 'attendance' or 'leaves'
+  const [leaveCategories, setLeaveCategories] = useState(new Map());
+  const [leaveError, setLeaveError] = useState(null);
+  const [activeTab, setActiveTab] = useState('attendance'); // 'attendance', 'absentees', 'monthly', 'leaves', 'corrections', 'shifts', 'missed', 'team', 'devices', 'holidays', 'audit' or 'security'
   const [employeeMap, setEmployeeMap] = useState(new Map());
+  const [securityEvents, setSecurityEvents] = useState([]);
+  const [corrections, setCorrections] = useState([]);
+  const [correctionError, setCorrectionError] = useState(null);
+  const [team, setTeam] = useState(new Map());
+  const [sites, setSites] = useState([]);
+  const [siteFilter, setSiteFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [attendanceError, setAttendanceError] = useState(null);
 
   useEffect(() => {
     loadEmployeeMap();
     if (activeTab === 'attendance') {
+      loadSites();
       loadAttendance();
-    } else {
+    } else if (activeTab === 'leaves') {
+      loadTeam();
       loadLeaveRequests();
+    } else if (activeTab === 'corrections') {
+      loadTeam();
+      loadCorrections();
+    } else if (activeTab === 'security') {
+      loadSecurityEvents();
     }
-  }, [selectedDate, activeTab]);
+  }, [selectedDate, siteFilter, activeTab]);
 
   const loadEmployeeMap = async () => {
     if (!supabase) return;
@@ -57,32 +115,103 @@ export default function AdminDashboard() {
     }
   };
 
+  const loadSites = async () => {
+    const result = await getSites();
+    if (result.success) {
+      setSites(result.data);
+    }
+  };
+
+  const loadTeam = async () => {
+    if (isHrAdmin) return;
+    const result = await getMyTeam();
+    if (result.success) {
+      setTeam(result.data);
+    }
+  };
+
+  // Managers act on the requests they approve (including ones escalated to them); HR admins on all
+  const isAwaitingMe = (request) => isHrAdmin || request.approver_id === user.id;
+  const isEscalated = (employeeId) => !isHrAdmin && team.get(employeeId)?.depth > 1;
+  // Requests the manager has approved wait for HR when their category needs a second step
+  const myLeaveRequests = leaveRequests.filter(leave =>
+    leave.status === 'pending_hr' ? isHrAdmin : isAwaitingMe(leave)
+  );
+  // HR approving a two-step request before its (available) manager skips the manager step
+  const isHrOverride = (leave) => isHrAdmin && leave.status === 'pending' && leave.requires_hr_approval &&
+    leave.approver_id && leave.approver_id !== user.id;
+  const myCorrections = corrections.filter(correction => isAwaitingMe(correction));
+  const siteNames = new Map(sites.map(site => [site.id, site.name]));
+  const visibleAttendance = statusFilter
+    ? attendance.filter(emp => emp.status === statusFilter)
+    : attendance;
+
   const loadAttendance = async () => {
     setLoading(true);
-    const date = new Date(selectedDate);
-    const result = await getAllEmployeesAttendance(date);
+    setAttendanceError(null);
+    const result = await getAllEmployeesAttendance(selectedDate, { siteId: siteFilter || null });
     
     if (result.success) {
       setAttendance(result.data || []);
+    } else {
+      setAttendanceError(result.error);
     }
     setLoading(false);
   };
 
   const loadLeaveRequests = async () => {
     setLoading(true);
-    const result = await getPendingLeaveRequests();
+    const [result, categoriesResult] = await Promise.all([
+      getPendingLeaveRequests(),
+      getLeaveCategories()
+    ]);
     
     if (result.success) {
       setLeaveRequests(result.data || []);
     }
+    if (categoriesResult.success) {
+      setLeaveCategories(new Map(categoriesResult.data.map(c => [c.category, c.name])));
+    }
+    setLoading(false);
+  };
+
+  const loadCorrections = async () => {
+    setLoading(true);
+    const result = await getPendingCorrections();
+    
+    if (result.success) {
+      setCorrections(result.data || []);
+    }
+    setLoading(false);
+  };
+
+  const loadSecurityEvents = async () => {
+    setLoading(true);
+    const result = await getSecurityEvents();
+    
+    if (result.success) {
+      setSecurityEvents(result.data || []);
+    }
     setLoading(false);
   };
 
   const handleLeaveAction = async (leaveId, status) => {
-    // In real app, you'd get the admin ID from auth
-    const result = await updateLeaveRequestStatus(leaveId, status, 'admin-id');
+    setLeaveError(null);
+    const result = await reviewLeaveRequest(leaveId, status);
     if (result.success) {
       loadLeaveRequests();
+    } else {
+      setLeaveError(result.error);
+    }
+  };
+
+  const handleCorrectionAction = async (correction, status) => {
+    setCorrectionError(null);
+    const result = await reviewCorrection(correction, status);
+    if (result.success) {
+      loadCorrections();
+    } else {
+      setCorrectionError(result.error);
     }
   };
 
@@ -111,6 +240,26 @@ export default function AdminDashboard() {
           >
             Daily Attendance
           </button>
+          <button
+            onClick={() => setActiveTab('absentees')}
+            className={`px-4 py-2 rounded-lg font-medium ${
+              activeTab === 'absentees'
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Absentees
+          </button>
+          <button
+            onClick={() => setActiveTab('monthly')}
+            className={`px-4 py-2 rounded-lg font-medium ${
+              activeTab === 'monthly'
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Monthly Report
+          </button>
           <button
             onClick={() => setActiveTab('leaves')}
             className={`px-4 py-2 rounded-lg font-medium ${
@@ -121,6 +270,96 @@ export default function AdminDashboard() {
           >
             Leave Requests
           </button>
+          <button
+            onClick={() => setActiveTab('corrections')}
+            className={`px-4 py-2 rounded-lg font-medium ${
+              activeTab === 'corrections'
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Corrections
+          </button>
+          <button
+            onClick={() => setActiveTab('shifts')}
+            className={`px-4 py-2 rounded-lg font-medium ${
+              activeTab === 'shifts'
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Shifts
+          </button>
+          <button
+            onClick={() => setActiveTab('missed')}
+            className={`px-4 py-2 rounded-lg font-medium ${
+              activeTab === 'missed'
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            Missed Punches
+          </button>
+          {isHrAdmin && (
+            <button
+              onClick={() => setActiveTab('team')}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                activeTab === 'team'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Reporting Lines
+            </button>
+          )}
+          {isHrAdmin && (
+            <button
+              onClick={() => setActiveTab('devices')}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                activeTab === 'devices'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Devices
+            </button>
+          )}
+          {isHrAdmin && (
+            <button
+              onClick={() => setActiveTab('holidays')}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                activeTab === 'holidays'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Holidays
+            </button>
+          )}
+          {isHrAdmin && (
+            <button
+              onClick={() => setActiveTab('audit')}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                activeTab === 'audit'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Audit Log
+            </button>
+          )}
+          {isHrAdmin && (
+            <button
+              onClick={() => setActiveTab('security')}
+              className={`px-4 py-2 rounded-lg font-medium ${
+                activeTab === 'security'
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              Security
+            </button>
+          )}
         </div>
 
         {/* Attendance Tab */}
@@ -133,6 +372,28 @@ export default function AdminDashboard() {
                 onChange={(e) => setSelectedDate(e.target.value)}
                 className="px-4 py-2 border border-gray-300 rounded-lg"
               />
+              <select
+                value={siteFilter}
+                onChange={(e) => setSiteFilter(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="">All sites</option>
+                {sites.map((site) => (
+                  <option key={site.id} value={site.id}>{site.name}</option>
+                ))}
+              </select>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg"
+              >
+                <option value="">Everyone</option>
+                {Object.entries(ATTENDANCE_STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>
+                    {label} ({attendance.filter(emp => emp.status === status).length})
+                  </option>
+                ))}
+              </select>
               <button
                 onClick={loadAttendance}
                 className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
@@ -141,6 +402,10 @@ export default function AdminDashboard() {
               </button>
             </div>
 
+            {attendanceError && (
+              <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{attendanceError}</div>
+            )}
+
             {loading ? (
               <div className="text-center py-12">Loading...</div>
             ) : (
@@ -149,27 +414,44 @@ export default function AdminDashboard() {
                   <thead className="bg-gray-50">
                     <tr>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Attendance</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Check In</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lunch Out</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lunch In</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Breaks</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Check Out</th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Hours</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Session</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {attendance.map((emp) => (
+                    {visibleAttendance.map((emp) => (
                       <tr key={emp.employeeId} className="hover:bg-gray-50">
                         <td className="px-6 py-4">
                           <div className="font-medium text-gray-900">{emp.employeeName}</div>
                           <div className="text-sm text-gray-500">{emp.department}</div>
                         </td>
+                        <td className="px-6 py-4">
+                          <span className={`px-2 py-1 text-xs rounded-full ${ATTENDANCE_STATUS_STYLES[emp.status]}`}>
+                            {ATTENDANCE_STATUS_LABELS[emp.status]}
+                          </span>
+                          {emp.holiday && <div className="mt-1 text-xs text-gray-500">{emp.holiday}</div>}
+                          {emp.leaveType && emp.leaveType !== 'full_day' && emp.leaveStatus === 'approved' && (
+                            <div className="mt-1 text-xs text-gray-500">{LEAVE_TYPE_LABELS[emp.leaveType]}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {emp.siteIds.map(id => siteNames.get(id)).filter(Boolean).join(', ') || '-'}
+                          {emp.outsideGeofence && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">Off-site</span>
+                          )}
+                        </td>
                         <td className="px-6 py-4 text-sm">
                           {formatTime(emp.checkIn?.scanned_at)}
                           {emp.isLate && <span className="ml-2 text-red-600 text-xs">Late</span>}
                         </td>
-                        <td className="px-6 py-4 text-sm">{formatTime(emp.lunchOut?.scanned_at)}</td>
-                        <td className="px-6 py-4 text-sm">{formatTime(emp.lunchIn?.scanned_at)}</td>
+                        <td className="px-6 py-4 text-sm">
+                          {emp.breaks.length > 0 ? `${emp.breaks.length} (${emp.breakMinutes} min)` : '-'}
+                        </td>
                         <td className="px-6 py-4 text-sm">
                           {formatTime(emp.checkOut?.scanned_at)}
                           {emp.isEarlyDeparture && <span className="ml-2 text-orange-600 text-xs">Early</span>}
@@ -178,8 +460,14 @@ export default function AdminDashboard() {
                           {emp.totalHours ? `${emp.totalHours}h` : '-'}
                         </td>
                         <td className="px-6 py-4">
-                          {emp.isComplete ? (
+                          {emp.scans.length === 0 ? (
+                            '-'
+                          ) : emp.isComplete ? (
                             <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Complete</span>
+                          ) : emp.missedCheckOut ? (
+                            <span className="px-2 py-1 text-xs rounded-full bg-red-100 text-red-800">Missing Punch</span>
+                          ) : emp.state === 'on_break' ? (
+                            <span className="px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">On Break</span>
                           ) : (
                             <span className="px-2 py-1 text-xs rounded-full bg-yellow-100 text-yellow-800">Incomplete</span>
                           )}
@@ -193,52 +481,267 @@ export default function AdminDashboard() {
           </>
         )}
 
+        {/* Absentees Tab */}
+        {activeTab === 'absentees' && (
+          <AbsenteeReport />
+        )}
+
+        {/* Monthly Report Tab */}
+        {activeTab === 'monthly' && (
+          <MonthlyReport />
+        )}
+
         {/* Leave Requests Tab */}
         {activeTab === 'leaves' && (
+          <>
+            {leaveError && (
+              <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{leaveError}</div>
+            )}
+            <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+              {loading ? (
+                <div className="text-center py-12">Loading...</div>
+              ) : myLeaveRequests.length === 0 ? (
+                <div className="text-center py-12 text-gray-500">No pending leave requests</div>
+              ) : (
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stage</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {myLeaveRequests.map((leave) => (
+                      <tr key={leave.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 font-medium">
+                          {employeeMap.get(leave.employee_id) || leave.employee_id}
+                          {leave.status === 'pending' && isEscalated(leave.employee_id) && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">Escalated</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4">
+                          {new Date(leave.leave_date).toLocaleDateString()}
+                          {leave.end_date !== leave.leave_date && (
+                            <> - {new Date(leave.end_date).toLocaleDateString()}</>
+                          )}
+                          <div className="text-xs text-gray-500">{leave.days} day(s)</div>
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {leaveCategories.get(leave.leave_category) || leave.leave_category}
+                        </td>
+                        <td className="px-6 py-4">
+                          <span className="px-2 py-1 text-xs rounded bg-blue-100 text-blue-800">
+                            {leave.end_date !== leave.leave_date
+                              ? 'Date range'
+                              : LEAVE_TYPE_LABELS[leave.leave_type] || leave.leave_type}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {LEAVE_STATUS_LABELS[leave.status]}
+                          {leave.status === 'pending_hr' && (
+                            <div className="text-xs text-gray-500">
+                              Approved by {employeeMap.get(leave.manager_approved_by) || 'manager'}
+                            </div>
+                          )}
+                          {isHrOverride(leave) && (
+                            <div className="text-xs text-orange-700">
+                              Approving skips {employeeMap.get(leave.approver_id) || 'the manager'} (HR override)
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600">{leave.reason || 'N/A'}</td>
+                        <td className="px-6 py-4">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleLeaveAction(leave.id, 'approved')}
+                              className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleLeaveAction(leave.id, 'rejected')}
+                              className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            {isHrAdmin && (
+              <div className="mt-6">
+                <LeavePolicyManager />
+              </div>
+            )}
+          </>
+        )}
+
+        {/* Corrections Tab */}
+        {activeTab === 'corrections' && (
+          <>
+            {correctionError && (
+              <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{correctionError}</div>
+            )}
+            <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+              {loading ? (
+                <div className="text-center py-12">Loading...</div>
+              ) : myCorrections.length === 0 ? (
+                <div className="text-center py-12 text-gray-500">No pending corrections</div>
+              ) : (
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Session</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Correction</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {myCorrections.map((correction) => (
+                      <tr key={correction.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 font-medium">
+                          {employeeMap.get(correction.employee_id) || correction.employee_id}
+                          {isEscalated(correction.employee_id) && (
+                            <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">Escalated</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm">{correction.session_date}</td>
+                        <td className="px-6 py-4 text-sm">
+                          {correction.correction_type === 'change_scan' ? (
+                            <>
+                              Change {SCAN_TYPE_LABELS[correction.target?.scan_type]}
+                              {correction.scan_type && correction.scan_type !== correction.target?.scan_type && (
+                                <> to {SCAN_TYPE_LABELS[correction.scan_type]}</>
+                              )}
+                            </>
+                          ) : correction.correction_type === 'add_scan' ? (
+                            <>Add {SCAN_TYPE_LABELS[correction.scan_type]}</>
+                          ) : (
+                            'Missed check-out'
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {correction.target && (
+                            <span className="text-gray-500 line-through mr-2">{formatTime(correction.target.scanned_at)}</span>
+                          )}
+                          {formatTime(correction.requested_time)}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600">{correction.reason}</td>
+                        <td className="px-6 py-4">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleCorrectionAction(correction, 'approved')}
+                              className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleCorrectionAction(correction, 'rejected')}
+                              className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* Shifts Tab */}
+        {activeTab === 'shifts' && (
+          <ShiftManager employeeMap={employeeMap} />
+        )}
+
+        {/* Missed Punches Tab */}
+        {activeTab === 'missed' && (
+          <MissedPunchManager employeeMap={employeeMap} canEditPolicy={isHrAdmin} />
+        )}
+
+        {/* Reporting Lines Tab */}
+        {activeTab === 'team' && isHrAdmin && (
+          <ReportingLinesManager employeeMap={employeeMap} />
+        )}
+
+        {/* Devices Tab */}
+        {activeTab === 'devices' && isHrAdmin && (
+          <DeviceManager />
+        )}
+
+        {/* Holidays Tab */}
+        {activeTab === 'holidays' && isHrAdmin && (
+          <div className="space-y-8">
+            <HolidayManager />
+            <EmployeeSitesManager employeeMap={employeeMap} />
+          </div>
+        )}
+
+        {/* Audit Log Tab */}
+        {activeTab === 'audit' && isHrAdmin && (
+          <AuditLogViewer employeeMap={employeeMap} />
+        )}
+
+        {/* Security Events Tab */}
+        {activeTab === 'security' && isHrAdmin && (
           <div className="bg-white rounded-lg shadow-lg overflow-hidden">
             {loading ? (
               <div className="text-center py-12">Loading...</div>
-            ) : leaveRequests.length === 0 ? (
-              <div className="text-center py-12 text-gray-500">No pending leave requests</div>
+            ) : securityEvents.length === 0 ? (
+              <div className="text-center py-12 text-gray-500">No security events</div>
             ) : (
               <table className="w-full">
                 <thead className="bg-gray-50">
                   <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
                   </tr>
                 </thead>
-                  <tbody className="divide-y divide-gray-200">
-                    {leaveRequests.map((leave) => (
-                      <tr key={leave.id} className="hover:bg-gray-50">
-                        <td className="px-6 py-4 font-medium">
-                          {employeeMap.get(leave.employee_id) || leave.employee_id}
-                        </td>
-                      <td className="px-6 py-4">{new Date(leave.leave_date).toLocaleDateString()}</td>
+                <tbody className="divide-y divide-gray-200">
+                  {securityEvents.map((event) => (
+                    <tr key={event.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 text-sm">{new Date(event.created_at).toLocaleString()}</td>
                       <td className="px-6 py-4">
-                        <span className="px-2 py-1 text-xs rounded bg-blue-100 text-blue-800">
-                          {leave.leave_type.replace('_', ' ')}
+                        <span className="px-2 py-1 text-xs rounded bg-red-100 text-red-800">
+                          {SECURITY_EVENT_LABELS[event.event_type] || event.event_type}
                         </span>
                       </td>
-                      <td className="px-6 py-4 text-sm text-gray-600">{leave.reason || 'N/A'}</td>
-                      <td className="px-6 py-4">
-                        <div className="flex gap-2">
-                          <button
-                            onClick={() => handleLeaveAction(leave.id, 'approved')}
-                            className="px-3 py-1 bg-green-600 text-white text-sm rounded hover:bg-green-700"
-                          >
-                            Approve
-                          </button>
-                          <button
-                            onClick={() => handleLeaveAction(leave.id, 'rejected')}
-                            className="px-3 py-1 bg-red-600 text-white text-sm rounded hover:bg-red-700"
-                          >
-                            Reject
-                          </button>
-                        </div>
+                      <td className="px-6 py-4 font-medium">
+                        {employeeMap.get(event.employee_id) || event.details?.employee_name || event.employee_id}
+                      </td>
+                      <td className="px-6 py-4 text-sm">
+                        {event.event_type === 'outside_geofence' ? (
+                          event.details?.location_missing
+                            ? `No location at ${event.details.site_name}`
+                            : `${event.details?.distance_meters} m from ${event.details?.site_name} (radius ${event.details?.radius_meters} m)`
+                        ) : event.event_type === 'offline_scan' ? (
+                          `Scanned ${new Date(event.details?.scanned_at).toLocaleString()} on ${event.details?.device_name}, ` +
+                          `received ${Math.round(event.details?.delay_seconds / 60)} min later`
+                        ) : event.details?.first_consumed_at
+                          ? `First used ${new Date(event.details.first_consumed_at).toLocaleString()}`
+                          : 'N/A'}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        <div>{event.ip_address || 'Unknown IP'}</div>
+                        <div className="text-xs text-gray-400 truncate max-w-xs">{event.user_agent}</div>
                       </td>
                     </tr>
                   ))}
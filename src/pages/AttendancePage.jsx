@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { getAttendanceRecords } from '../services/supabase';
+import { getOrganizationTimezone } from '../services/settings';
+import { getBusinessDate } from '../utils/timezone';
 
 export default function AttendancePage() {
   const [records, setRecords] = useState([]);
@@ -23,8 +25,8 @@ export default function AttendancePage() {
       // Apply filters
       const now = new Date();
       if (filter === 'today') {
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        filteredRecords = filteredRecords.filter(r => new Date(r.scanned_at) >= today);
+        const today = getBusinessDate(now, await getOrganizationTimezone());
+        filteredRecords = filteredRecords.filter(r => r.scanned_date === today);
       } else if (filter === 'week') {
         const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
         filteredRecords = filteredRecords.filter(r => new Date(r.scanned_at) >= weekAgo);
@@ -1,15 +1,26 @@
 import { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { getDailySummary, getWeeklySummary, getMonthlySummary } from '../services/attendanceReports';
+import { createCorrectionRequest, getEmployeeCorrections, SCAN_TYPE_LABELS } from '../services/attendanceCorrections';
+import { getOrganizationTimezone } from '../services/settings';
+import { timeToMinutes } from '../services/shiftSchedule';
+import { getBusinessDate, addDays, getDayOfWeek, zonedTimeToInstant } from '../utils/timezone';
+import { useAuth } from '../components/AuthProvider';
+import LeaveBalances from '../components/LeaveBalances';
+import OptionalHolidays from '../components/OptionalHolidays';
 
 export default function EmployeeDetailPage() {
   const { employeeId } = useParams();
+  const { user } = useAuth();
   const [view, setView] = useState('daily'); // 'daily', 'weekly', 'monthly'
-  const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
-  const [selectedWeek, setSelectedWeek] = useState(new Date());
-  const [selectedMonth, setSelectedMonth] = useState(new Date());
+  const [selectedDate, setSelectedDate] = useState(getBusinessDate(new Date()));
+  const [selectedWeek, setSelectedWeek] = useState(getBusinessDate(new Date()));
+  const [selectedMonth, setSelectedMonth] = useState(getBusinessDate(new Date()).slice(0, 7)); // 'YYYY-MM'
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [corrections, setCorrections] = useState([]);
+  const [correctionForm, setCorrectionForm] = useState(null);
+  const [correctionError, setCorrectionError] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -20,14 +31,14 @@ export default function EmployeeDetailPage() {
     let result;
     
     if (view === 'daily') {
-      result = await getDailySummary(employeeId, new Date(selectedDate));
+      result = await getDailySummary(employeeId, selectedDate);
+      const correctionsResult = await getEmployeeCorrections(employeeId, selectedDate);
+      setCorrections(correctionsResult.success ? correctionsResult.data : []);
     } else if (view === 'weekly') {
-      const weekStart = new Date(selectedWeek);
-      weekStart.setDate(weekStart.getDate() - weekStart.getDay()); // Start of week (Sunday)
+      const weekStart = addDays(selectedWeek, -getDayOfWeek(selectedWeek)); // Start of week (Sunday)
       result = await getWeeklySummary(employeeId, weekStart);
     } else {
-      const year = selectedMonth.getFullYear();
-      const month = selectedMonth.getMonth() + 1;
+      const [year, month] = selectedMonth.split('-').map(Number);
       result = await getMonthlySummary(employeeId, year, month);
     }
     
@@ -37,6 +48,42 @@ export default function EmployeeDetailPage() {
     setLoading(false);
   };
 
+  const openCorrectionForm = (scan) => {
+    setCorrectionError(null);
+    setCorrectionForm({
+      correctionType: scan ? 'change_scan' : 'add_scan',
+      targetRecordId: scan?.id || null,
+      scanType: scan?.scan_type || 'check_in',
+      date: selectedDate,
+      time: '',
+      reason: ''
+    });
+  };
+
+  const handleSubmitCorrection = async (e) => {
+    e.preventDefault();
+    setCorrectionError(null);
+
+    // The time is entered in the organization's timezone, not the browser's
+    const timeZone = await getOrganizationTimezone();
+    const result = await createCorrectionRequest({
+      employeeId,
+      sessionDate: selectedDate,
+      correctionType: correctionForm.correctionType,
+      scanType: correctionForm.scanType,
+      targetRecordId: correctionForm.targetRecordId,
+      requestedTime: zonedTimeToInstant(correctionForm.date, timeToMinutes(correctionForm.time), timeZone),
+      reason: correctionForm.reason
+    });
+
+    if (result.success) {
+      setCorrectionForm(null);
+      loadData();
+    } else {
+      setCorrectionError(result.error);
+    }
+  };
+
   const formatTime = (dateString) => {
     if (!dateString) return '-';
     return new Date(dateString).toLocaleTimeString('en-US', {
@@ -91,16 +138,16 @@ export default function EmployeeDetailPage() {
           {view === 'weekly' && (
             <input
               type="date"
-              value={selectedWeek.toISOString().split('T')[0]}
-              onChange={(e) => setSelectedWeek(new Date(e.target.value))}
+              value={selectedWeek}
+              onChange={(e) => setSelectedWeek(e.target.value)}
               className="px-4 py-2 border border-gray-300 rounded-lg"
             />
           )}
           {view === 'monthly' && (
             <input
               type="month"
-              value={`${selectedMonth.getFullYear()}-${String(selectedMonth.getMonth() + 1).padStart(2, '0')}`}
-              onChange={(e) => setSelectedMonth(new Date(e.target.value))}
+              value={selectedMonth}
+              onChange={(e) => setSelectedMonth(e.target.value)}
               className="px-4 py-2 border border-gray-300 rounded-lg"
             />
           )}
@@ -112,7 +159,13 @@ export default function EmployeeDetailPage() {
           <div className="bg-white rounded-lg shadow-lg p-6">
             {view === 'daily' && (
               <div>
-                <h2 className="text-xl font-bold mb-4">Daily Summary - {selectedDate}</h2>
+                <h2 className="text-xl font-bold mb-1">Daily Summary - {selectedDate}</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  Shift: {data.shift}{!data.isWorkingDay && ' (day off)'}
+                  {data.holiday && ` - ${data.holiday.name}`}
+                  {data.leaveType === 'full_day' && ' - on leave'}
+                  {data.halfDayLeave && ` - ${data.halfDayLeave} off on leave, ${data.expectedHours}h expected`}
+                </p>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
                   <div className="p-4 bg-blue-50 rounded-lg">
                     <p className="text-sm text-gray-600">Check In</p>
@@ -120,12 +173,12 @@ export default function EmployeeDetailPage() {
                     {data.isLate && <span className="text-xs text-red-600">Late</span>}
                   </div>
                   <div className="p-4 bg-yellow-50 rounded-lg">
-                    <p className="text-sm text-gray-600">Lunch Out</p>
-                    <p className="text-2xl font-bold">{formatTime(data.lunchOut?.scanned_at)}</p>
+                    <p className="text-sm text-gray-600">Breaks</p>
+                    <p className="text-2xl font-bold">{data.breaks.length}</p>
                   </div>
                   <div className="p-4 bg-green-50 rounded-lg">
-                    <p className="text-sm text-gray-600">Lunch In</p>
-                    <p className="text-2xl font-bold">{formatTime(data.lunchIn?.scanned_at)}</p>
+                    <p className="text-sm text-gray-600">Work Intervals</p>
+                    <p className="text-2xl font-bold">{data.intervals.length}</p>
                   </div>
                   <div className="p-4 bg-purple-50 rounded-lg">
                     <p className="text-sm text-gray-600">Check Out</p>
@@ -139,16 +192,160 @@ export default function EmployeeDetailPage() {
                     <p className="text-2xl font-bold">{data.totalHours || '-'}h</p>
                   </div>
                   <div className="p-4 bg-gray-50 rounded-lg">
-                    <p className="text-sm text-gray-600">Lunch Duration</p>
-                    <p className="text-2xl font-bold">{data.lunchDuration || '-'} min</p>
+                    <p className="text-sm text-gray-600">Break Time</p>
+                    <p className="text-2xl font-bold">{data.breakMinutes || '-'} min</p>
                   </div>
                   <div className="p-4 bg-gray-50 rounded-lg">
                     <p className="text-sm text-gray-600">Status</p>
                     <p className="text-lg font-bold">
-                      {data.isComplete ? 'Complete' : data.isHalfDay ? 'Half Day' : 'Incomplete'}
+                      {data.isComplete
+                        ? 'Complete'
+                        : data.missedCheckOut?.status === 'open'
+                          ? 'Missing Punch'
+                          : data.isHalfDay ? 'Half Day' : 'Incomplete'}
                     </p>
                   </div>
                 </div>
+                {data.intervals.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold mb-2">Worked Intervals</h3>
+                    <div className="space-y-2">
+                      {data.intervals.map((interval, idx) => (
+                        <div key={idx} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+                          <span>{formatTime(interval.start)} - {formatTime(interval.end)}</span>
+                          <span className="font-medium">{Math.round(interval.minutes)} min</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <div className="mt-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="font-semibold">Scans</h3>
+                    <button
+                      onClick={() => openCorrectionForm(null)}
+                      className="px-3 py-1 bg-primary-600 text-white text-sm rounded hover:bg-primary-700"
+                    >
+                      Add Missing Scan
+                    </button>
+                  </div>
+                  {data.scans.length === 0 ? (
+                    <p className="text-sm text-gray-500">No scans</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {data.scans.map((scan) => (
+                        <div key={scan.id} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+                          <span>
+                            {formatTime(scan.scanned_at)} - {SCAN_TYPE_LABELS[scan.scan_type]}
+                            {scan.source && scan.source !== 'qr' && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">Manual</span>
+                            )}
+                            {scan.within_geofence === false && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-orange-100 text-orange-800">Off-site</span>
+                            )}
+                          </span>
+                          <button
+                            onClick={() => openCorrectionForm(scan)}
+                            className="text-primary-600 hover:text-primary-800"
+                          >
+                            Request change
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {correctionForm && (
+                  <form onSubmit={handleSubmitCorrection} className="mt-6 p-4 border rounded-lg">
+                    <h3 className="font-semibold mb-4">
+                      {correctionForm.correctionType === 'change_scan' ? 'Change Scan' : 'Add Missing Scan'}
+                    </h3>
+                    {correctionError && (
+                      <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{correctionError}</div>
+                    )}
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+                      <label className="text-sm text-gray-600">
+                        Scan
+                        <select
+                          value={correctionForm.scanType}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, scanType: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        >
+                          {Object.entries(SCAN_TYPE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="text-sm text-gray-600">
+                        Date
+                        <input
+                          type="date"
+                          required
+                          value={correctionForm.date}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, date: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </label>
+                      <label className="text-sm text-gray-600">
+                        Time
+                        <input
+                          type="time"
+                          required
+                          value={correctionForm.time}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, time: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </label>
+                      <label className="text-sm text-gray-600">
+                        Reason
+                        <input
+                          type="text"
+                          required
+                          value={correctionForm.reason}
+                          onChange={(e) => setCorrectionForm({ ...correctionForm, reason: e.target.value })}
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                      </label>
+                    </div>
+                    <div className="flex gap-2">
+                      <button type="submit" className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700">
+                        Submit for Approval
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setCorrectionForm(null)}
+                        className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+                {corrections.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold mb-2">Correction Requests</h3>
+                    <div className="space-y-2">
+                      {corrections.map((correction) => (
+                        <div key={correction.id} className="p-3 border rounded-lg flex items-center justify-between text-sm">
+                          <span>
+                            {correction.correction_type === 'change_scan' ? 'Change' : 'Add'}{' '}
+                            {SCAN_TYPE_LABELS[correction.scan_type] || 'Check Out'} at {formatTime(correction.requested_time)}
+                            <span className="text-gray-500"> - {correction.reason}</span>
+                          </span>
+                          <span className={`px-2 py-1 text-xs rounded-full ${
+                            correction.status === 'approved'
+                              ? 'bg-green-100 text-green-800'
+                              : correction.status === 'rejected'
+                                ? 'bg-red-100 text-red-800'
+                                : 'bg-yellow-100 text-yellow-800'
+                          }`}>
+                            {correction.status}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
@@ -179,9 +376,9 @@ export default function EmployeeDetailPage() {
                   {data.dailySummaries.map((day, idx) => (
                     <div key={idx} className="p-4 border rounded-lg flex items-center justify-between">
                       <div>
-                        <p className="font-medium">{day.date}</p>
+                        <p className="font-medium">{day.date}{day.holiday && ` - ${day.holiday}`}</p>
                         <p className="text-sm text-gray-600">
-                          {formatTime(day.checkIn?.scanned_at)} - {formatTime(day.checkOut?.scanned_at)}
+                          {formatTime(day.checkInAt)} - {formatTime(day.checkOutAt)}
                         </p>
                       </div>
                       <div className="text-right">
@@ -218,7 +415,7 @@ export default function EmployeeDetailPage() {
                     <p className="text-2xl font-bold">{data.attendancePercentage}%</p>
                   </div>
                 </div>
-                <div className="grid grid-cols-2 gap-4 mb-4">
+                <div className="grid grid-cols-3 gap-4 mb-4">
                   <div className="p-4 bg-red-50 rounded-lg">
                     <p className="text-sm text-gray-600">Late Arrivals</p>
                     <p className="text-2xl font-bold">{data.lateArrivals}</p>
@@ -227,14 +424,20 @@ export default function EmployeeDetailPage() {
                     <p className="text-sm text-gray-600">Early Departures</p>
                     <p className="text-2xl font-bold">{data.earlyDepartures}</p>
                   </div>
+                  <div className="p-4 bg-gray-50 rounded-lg">
+                    <p className="text-sm text-gray-600">Missing Punches</p>
+                    <p className="text-2xl font-bold">{data.missingPunches}</p>
+                  </div>
                 </div>
               </div>
             )}
           </div>
         )}
+
+        {/* Leave can only be requested by the employee themselves */}
+        <LeaveBalances employeeId={employeeId} canRequest={user?.id === employeeId} />
+        <OptionalHolidays employeeId={employeeId} canChoose={user?.id === employeeId} />
       </div>
     </div>
   );
 }
-
-
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import QRScanner from '../components/QRScanner';
+import DevicePairing from '../components/DevicePairing';
+
+export default function KioskPage() {
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    // Keep the unattended tablet on this page: block reloads/closing and swallow the back button
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    const handlePopState = () => {
+      window.history.pushState(null, '', window.location.href);
+    };
+
+    window.history.pushState(null, '', window.location.href);
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    window.addEventListener('popstate', handlePopState);
+
+    return () => {
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  useEffect(() => {
+    // Keep the screen on; the lock is released whenever the page is hidden, so re-acquire it
+    let wakeLock = null;
+
+    const requestWakeLock = async () => {
+      try {
+        if ('wakeLock' in navigator && document.visibilityState === 'visible') {
+          wakeLock = await navigator.wakeLock.request('screen');
+        }
+      } catch (err) {
+        console.log('Could not keep screen awake:', err);
+      }
+    };
+
+    requestWakeLock();
+    document.addEventListener('visibilitychange', requestWakeLock);
+
+    return () => {
+      document.removeEventListener('visibilitychange', requestWakeLock);
+      if (wakeLock) {
+        wakeLock.release().catch(() => {});
+      }
+    };
+  }, []);
+
+  const enterFullscreen = () => {
+    // Browsers only allow fullscreen from a user gesture, so the first tap enables it
+    if (!document.fullscreenElement && document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(err => {
+        console.log('Could not enter fullscreen:', err);
+      });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 py-2 px-2" onClick={enterFullscreen}>
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center justify-between mb-2 text-white">
+          <h1 className="text-xl font-semibold">Scan to Mark Attendance</h1>
+          <p className="text-xl font-mono">{now.toLocaleTimeString()}</p>
+        </div>
+
+        <div className="mb-2">
+          <DevicePairing />
+        </div>
+
+        <QRScanner kiosk />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { signIn } from '../services/auth';
+import { useAuth } from '../components/AuthProvider';
+import { getHomePath } from '../utils/roles';
+
+export default function LoginPage() {
+  const location = useLocation();
+  const { user, role, loading } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Already signed in: go back to the page that asked for a login, or the role's home page
+  if (!loading && user) {
+    return <Navigate to={location.state?.from?.pathname || getHomePath(role, user.id)} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    const result = await signIn(email, password);
+    if (!result.success) {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-lg shadow-lg p-8">
+        <h1 className="text-2xl font-bold text-primary-600 mb-6 text-center">Artihcus Scanner</h1>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">{error}</div>
+        )}
+
+        <label className="block text-sm text-gray-600 mb-4">
+          Email
+          <input
+            type="email"
+            required
+            autoComplete="username"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+        <label className="block text-sm text-gray-600 mb-6">
+          Password
+          <input
+            type="password"
+            required
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,14 +1,15 @@
 import { useState } from 'react';
 import { Link } from 'react-router-dom';
 import QRScanner from '../components/QRScanner';
+import DevicePairing from '../components/DevicePairing';
 
 export default function ScannerPage() {
   const [lastScan, setLastScan] = useState(null);
 
-  const handleScanSuccess = (attendanceData, qrData) => {
+  const handleScanSuccess = (attendanceData) => {
     setLastScan({
-      employee: qrData.firstName + ' ' + qrData.lastName,
-      department: qrData.department || 'N/A',
+      employee: attendanceData.employee_name,
+      department: attendanceData.department || 'N/A',
       time: new Date().toLocaleTimeString(),
       success: true
     });
@@ -28,6 +29,7 @@ export default function ScannerPage() {
         {/* Compact Header */}
         <div className="text-center mb-2">
           <h1 className="text-xl font-semibold text-white">Attendance Scanner</h1>
+          <DevicePairing allowUnpair />
         </div>
 
         {/* Last Scan Result - Only show errors */}
@@ -0,0 +1,248 @@
+import { supabase } from './supabase';
+import { ATTENDANCE_STATES, nextState } from '../../supabase/functions/_shared/attendanceState.js';
+
+const CORRECTION_TYPES = ['missing_check_out', 'add_scan', 'change_scan'];
+
+export const SCAN_TYPE_LABELS = {
+  check_in: 'Check In',
+  lunch_out: 'Break Start',
+  lunch_in: 'Break End',
+  check_out: 'Check Out'
+};
+
+/**
+ * Get attendance exceptions (sessions flagged by the missed check-out job)
+ * @param {string} [status] - 'open' or 'resolved' (all if omitted)
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getAttendanceExceptions(status = 'open') {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    let query = supabase
+      .from('attendance_exceptions')
+      .select('*')
+      .order('session_date', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get attendance exceptions'
+    };
+  }
+}
+
+/**
+ * Request a correction: add a forgotten scan, change a wrong one or close a missed check-out.
+ * Employees request their own; managers can request on an employee's behalf.
+ * @param {Object} correction
+ * @param {string} correction.employeeId - Employee UUID
+ * @param {string} correction.sessionDate - Session date YYYY-MM-DD
+ * @param {string} [correction.correctionType] - 'missing_check_out', 'add_scan' or 'change_scan'
+ * @param {string} [correction.scanType] - Scan type to add, or the new type of a changed scan
+ * @param {string} [correction.targetRecordId] - Attendance record to change (change_scan only)
+ * @param {string} [correction.exceptionId] - Attendance exception being corrected
+ * @param {Date} correction.requestedTime - Correct scan time
+ * @param {string} correction.reason - Reason for the correction
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function createCorrectionRequest({
+  employeeId,
+  sessionDate,
+  correctionType = 'missing_check_out',
+  scanType,
+  targetRecordId,
+  exceptionId,
+  requestedTime,
+  reason
+}) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (!CORRECTION_TYPES.includes(correctionType)) {
+      return { success: false, error: 'Invalid correction type' };
+    }
+
+    if (correctionType === 'add_scan' && !scanType) {
+      return { success: false, error: 'Choose the scan to add' };
+    }
+
+    if (correctionType === 'change_scan' && !targetRecordId) {
+      return { success: false, error: 'Choose the scan to change' };
+    }
+
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'A reason is required' };
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .insert({
+        employee_id: employeeId,
+        session_date: sessionDate,
+        exception_id: exceptionId || null,
+        correction_type: correctionType,
+        scan_type: scanType || null,
+        target_record_id: targetRecordId || null,
+        requested_time: requestedTime.toISOString(),
+        reason: reason.trim(),
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to create correction request'
+    };
+  }
+}
+
+/**
+ * Get correction requests for an employee
+ * @param {string} employeeId - Employee UUID
+ * @param {string} [sessionDate] - Only corrections for this session date (YYYY-MM-DD)
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getEmployeeCorrections(employeeId, sessionDate) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    let query = supabase
+      .from('attendance_corrections')
+      .select('*')
+      .eq('employee_id', employeeId)
+      .order('created_at', { ascending: false });
+
+    if (sessionDate) {
+      query = query.eq('session_date', sessionDate);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get correction requests'
+    };
+  }
+}
+
+/**
+ * Get all pending correction requests (Admin view)
+ * Each request includes approver_id, the manager who approves it (null: HR admins)
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getPendingCorrections() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .select('*, approver_id, target:attendance_records!attendance_corrections_target_record_id_fkey(scan_type, scanned_at)')
+      .eq('status', 'pending')
+      .order('session_date', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get correction requests'
+    };
+  }
+}
+
+/**
+ * Replay a session with a correction applied and check the scans still form a valid sequence
+ * @param {Array<Object>} scans - The session's attendance records
+ * @param {Object} correction - Correction request row
+ * @returns {string|null} - Error message, or null if the corrected session is valid
+ */
+function validateCorrectedSession(scans, correction) {
+  const corrected = correction.correction_type === 'change_scan'
+    ? scans.map(scan => scan.id === correction.target_record_id
+      ? { ...scan, scan_type: correction.scan_type || scan.scan_type, scanned_at: correction.requested_time }
+      : scan)
+    : [...scans, { scan_type: correction.scan_type || 'check_out', scanned_at: correction.requested_time }];
+
+  corrected.sort((a, b) => new Date(a.scanned_at) - new Date(b.scanned_at));
+
+  let state = ATTENDANCE_STATES.OFF;
+  for (const scan of corrected) {
+    const result = nextState(state, scan.scan_type);
+    if (result.error) return result.error;
+    state = result.state;
+  }
+  return null;
+}
+
+/**
+ * Approve or reject a correction request (Managers and admins only).
+ * Approval records the corrected scan as a manual record and resolves any linked exception.
+ * @param {Object} correction - Correction request row (from getPendingCorrections)
+ * @param {string} status - 'approved' or 'rejected'
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function reviewCorrection(correction, status) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    // Don't approve a correction that would leave the session out of sequence
+    if (status === 'approved' && correction.correction_type !== 'missing_check_out') {
+      const { data: scans, error: scansError } = await supabase
+        .from('attendance_records')
+        .select('id, scan_type, scanned_at')
+        .eq('employee_id', correction.employee_id)
+        .eq('session_date', correction.session_date);
+
+      if (scansError) throw scansError;
+
+      const sequenceError = validateCorrectedSession(scans || [], correction);
+      if (sequenceError) {
+        return { success: false, error: `The corrected session would be invalid: ${sequenceError}` };
+      }
+    }
+
+    const { data, error } = await supabase.rpc('review_attendance_correction', {
+      p_correction_id: correction.id,
+      p_status: status
+    });
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to review correction request'
+    };
+  }
+}
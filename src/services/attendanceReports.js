@@ -1,78 +1,128 @@
 import { supabase } from './supabase';
+import { getShiftAssignments, resolveShift, applyHalfDayLeave, isWorkingDay, getExpectedHours } from './shiftSchedule';
+import { getOrganizationTimezone } from './settings';
+import { getEmployeeHolidays } from './holidays';
+import { toDateString, addDays, getMonthRange } from '../utils/timezone';
+import { summarizeScans } from '../../supabase/functions/_shared/attendanceState.js';
+import { getLeaveTypeOn, getLeaveDayValue } from '../utils/leaveDays';
+
+// PostgREST returns at most 1000 rows per request (max_rows)
+const PAGE_SIZE = 1000;
+
+export const ATTENDANCE_STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  on_leave: 'On leave',
+  holiday: 'Holiday',
+  weekly_off: 'Weekly off',
+  absent: 'Absent',
+  half_day_absent: 'Absent (half day)'
+};
+
+// Statuses of employees who missed expected work without leave
+const ABSENT_STATUSES = ['absent', 'half_day_absent'];
+
+/**
+ * Fetch every row of a query, one page at a time
+ * @param {() => Object} buildQuery - Builds the query; it must have a stable order
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
 
 /**
  * Get daily attendance summary for an employee
  * @param {string} employeeId - Employee UUID
- * @param {Date} date - Date to get summary for
+ * @param {Date|string} date - Date (or YYYY-MM-DD business date) to get summary for
+ * @param {Array<Object>} [shiftAssignments] - Preloaded shift assignments (fetched if omitted)
  * @returns {Promise<{success: boolean, data?: any, error?: string}>}
  */
-export async function getDailySummary(employeeId, date) {
+export async function getDailySummary(employeeId, date, shiftAssignments) {
   try {
     if (!supabase) {
       return { success: false, error: 'Supabase not configured' };
     }
     
-    const dateStr = date.toISOString().split('T')[0];
+    const dateStr = toDateString(date, await getOrganizationTimezone());
+    const assignments = shiftAssignments || await getShiftAssignments(employeeId);
     
-    // Get all scans for the day
+    const holidaysResult = await getEmployeeHolidays(employeeId, dateStr, dateStr);
+    const holiday = holidaysResult.success ? holidaysResult.data.get(dateStr) || null : null;
+    
+    // Get all scans for the session starting on this day (includes overnight check-outs)
     const { data: scans, error } = await supabase
       .from('attendance_records')
       .select('*')
       .eq('employee_id', employeeId)
-      .eq('scanned_date', dateStr)
+      .eq('session_date', dateStr)
       .order('scanned_at', { ascending: true });
     
     if (error) throw error;
     
-    // Organize scans by type
-    const checkIn = scans.find(s => s.scan_type === 'check_in');
-    const lunchOut = scans.find(s => s.scan_type === 'lunch_out');
-    const lunchIn = scans.find(s => s.scan_type === 'lunch_in');
-    const checkOut = scans.find(s => s.scan_type === 'check_out');
-    
-    // Calculate working hours
-    let totalHours = null;
-    let lunchDuration = null;
+    // Sum every worked interval in the session (any number of breaks or returns)
+    const session = summarizeScans(scans);
+    const checkIn = session.firstCheckIn;
+    const checkOut = session.isComplete ? session.lastCheckOut : null;
+    const totalHours = session.isComplete ? session.workedMinutes / 60 : null;
     
-    if (checkIn && checkOut) {
-      const checkInTime = new Date(checkIn.scanned_at);
-      const checkOutTime = new Date(checkOut.scanned_at);
-      const totalMinutes = (checkOutTime - checkInTime) / (1000 * 60);
-      
-      if (lunchOut && lunchIn) {
-        const lunchOutTime = new Date(lunchOut.scanned_at);
-        const lunchInTime = new Date(lunchIn.scanned_at);
-        lunchDuration = (lunchInTime - lunchOutTime) / (1000 * 60);
-        totalHours = (totalMinutes - lunchDuration) / 60;
-      } else {
-        totalHours = totalMinutes / 60;
-      }
-    }
-    
-    // Check for leave
+    // Check for leave (an approved request whose range covers the day)
     const { data: leave } = await supabase
       .from('leave_requests')
       .select('*')
       .eq('employee_id', employeeId)
-      .eq('leave_date', dateStr)
+      .lte('leave_date', dateStr)
+      .gte('end_date', dateStr)
       .eq('status', 'approved')
-      .single();
+      .maybeSingle();
+    const leaveType = getLeaveTypeOn(leave, dateStr);
+    
+    // Half-day leave credits half a day; only the other half is expected to be worked.
+    // Weekly offs and holidays aren't expected working days, even inside a leave range.
+    const shift = applyHalfDayLeave(resolveShift(assignments, dateStr), leaveType);
+    const expectedWorkingDay = isWorkingDay(shift, dateStr) && !holiday;
+    const leaveDays = expectedWorkingDay ? getLeaveDayValue(leaveType) : 0;
+    
+    // Set by the missed check-out job when the session was never closed
+    const { data: missedCheckOut } = await supabase
+      .from('attendance_exceptions')
+      .select('*')
+      .eq('employee_id', employeeId)
+      .eq('session_date', dateStr)
+      .eq('exception_type', 'missed_check_out')
+      .maybeSingle();
     
     return {
       success: true,
       data: {
         date: dateStr,
         checkIn,
-        lunchOut,
-        lunchIn,
         checkOut,
+        scans,
+        intervals: session.intervals,
+        breaks: session.breaks,
+        state: session.state,
         totalHours: totalHours ? parseFloat(totalHours.toFixed(2)) : null,
-        lunchDuration: lunchDuration ? Math.round(lunchDuration) : null,
-        isComplete: !!(checkIn && checkOut),
-        isHalfDay: checkIn?.is_half_day || false,
+        breakMinutes: session.breakMinutes ? Math.round(session.breakMinutes) : null,
+        isComplete: session.isComplete,
+        isHalfDay: checkIn?.is_half_day || !!shift.halfDayLeave,
         isLate: checkIn?.is_late || false,
         isEarlyDeparture: checkOut?.is_early_departure || false,
-        leave: leave || null
+        missedCheckOut: missedCheckOut || null,
+        leave: leave || null,
+        leaveType,
+        leaveDays,
+        halfDayLeave: shift.halfDayLeave || null,
+        holiday,
+        shift: shift.name,
+        isWorkingDay: expectedWorkingDay,
+        expectedHours: expectedWorkingDay ? getExpectedHours(shift) : 0
       }
     };
   } catch (error) {
@@ -83,48 +133,131 @@ export async function getDailySummary(employeeId, date) {
   }
 }
 
+/**
+ * Get every day of a date range, with the expected schedule and the worked session, in one request
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} employeeId - Employee UUID
+ * @returns {Promise<Array<Object>>} Rows of get_attendance_days
+ */
+async function getAttendanceDays(startDate, endDate, employeeId) {
+  const { data, error } = await supabase.rpc('get_attendance_days', {
+    p_start_date: startDate,
+    p_end_date: endDate,
+    p_employee_id: employeeId
+  });
+  
+  if (error) throw error;
+  
+  return data || [];
+}
+
+/**
+ * Convert a row of get_attendance_days to a day of a weekly or monthly summary
+ * @param {Object} row - Row of get_attendance_days
+ * @returns {Object}
+ */
+function toSummaryDay(row) {
+  return {
+    date: row.day,
+    checkInAt: row.first_check_in,
+    checkOutAt: row.last_check_out,
+    totalHours: row.total_hours !== null ? Number(row.total_hours) : null,
+    breakMinutes: row.break_minutes,
+    breakCount: row.break_count || 0,
+    isComplete: row.is_complete,
+    isLate: row.is_late,
+    isEarlyDeparture: row.is_early_departure,
+    missedCheckOut: row.missed_check_out,
+    leaveType: row.leave_type,
+    leaveDays: Number(row.leave_days),
+    holiday: row.holiday_name,
+    shift: row.shift_name,
+    isWorkingDay: row.is_working_day
+  };
+}
+
+/**
+ * Total the days of a weekly or monthly summary
+ * @param {Array<Object>} days - Days from toSummaryDay
+ * @returns {Object}
+ */
+function summarizeDays(days) {
+  let totalHours = 0;
+  let workingDays = 0;
+  let leaveDays = 0;
+  let scheduledDays = 0;
+  let holidays = 0;
+  let lateArrivals = 0;
+  let earlyDepartures = 0;
+  let missingPunches = 0;
+  
+  for (const day of days) {
+    if (day.isWorkingDay) scheduledDays++;
+    if (day.holiday) holidays++;
+    if (day.totalHours) {
+      totalHours += day.totalHours;
+      // A worked half next to half-day leave counts as half a working day
+      workingDays += 1 - day.leaveDays;
+    }
+    leaveDays += day.leaveDays;
+    if (day.isLate) lateArrivals++;
+    if (day.isEarlyDeparture) earlyDepartures++;
+    if (day.missedCheckOut) missingPunches++;
+  }
+  
+  return withRates({
+    totalHours,
+    workingDays,
+    leaveDays,
+    scheduledDays,
+    holidays,
+    lateArrivals,
+    earlyDepartures,
+    missingPunches
+  });
+}
+
+/**
+ * Add the average hours and attendance percentage to a summary's totals
+ * @param {Object} totals - Totals from summarizeDays or get_attendance_summaries
+ * @returns {Object}
+ */
+function withRates(totals) {
+  const { totalHours, workingDays, leaveDays, scheduledDays } = totals;
+  return {
+    ...totals,
+    totalHours: parseFloat(totalHours.toFixed(2)),
+    averageHours: workingDays > 0 ? parseFloat((totalHours / workingDays).toFixed(2)) : 0,
+    // Only expected working days (the shift's working days, minus holidays) count towards attendance
+    attendancePercentage: scheduledDays - leaveDays > 0
+      ? (Math.min(workingDays / (scheduledDays - leaveDays), 1) * 100).toFixed(1)
+      : '0.0'
+  };
+}
+
 /**
  * Get weekly attendance summary for an employee
  * @param {string} employeeId - Employee UUID
- * @param {Date} weekStart - Start date of the week
+ * @param {Date|string} weekStart - Start date (or YYYY-MM-DD business date) of the week
  * @returns {Promise<{success: boolean, data?: any, error?: string}>}
  */
 export async function getWeeklySummary(employeeId, weekStart) {
   try {
     if (!supabase) return { success: false, error: 'Supabase not configured' };
     
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 6);
+    const weekStartStr = toDateString(weekStart, await getOrganizationTimezone());
+    const weekEndStr = addDays(weekStartStr, 6);
     
-    const dailySummaries = [];
-    let totalHours = 0;
-    let workingDays = 0;
-    let leaveDays = 0;
-    
-    for (let d = new Date(weekStart); d <= weekEnd; d.setDate(d.getDate() + 1)) {
-      const summary = await getDailySummary(employeeId, new Date(d));
-      if (summary.success) {
-        dailySummaries.push(summary.data);
-        if (summary.data.totalHours) {
-          totalHours += summary.data.totalHours;
-          workingDays++;
-        }
-        if (summary.data.leave) {
-          leaveDays++;
-        }
-      }
-    }
+    const dailySummaries = (await getAttendanceDays(weekStartStr, weekEndStr, employeeId)).map(toSummaryDay);
     
     return {
       success: true,
       data: {
-        weekStart: weekStart.toISOString().split('T')[0],
-        weekEnd: weekEnd.toISOString().split('T')[0],
+        weekStart: weekStartStr,
+        weekEnd: weekEndStr,
         dailySummaries,
-        totalHours: parseFloat(totalHours.toFixed(2)),
-        workingDays,
-        leaveDays,
-        averageHours: workingDays > 0 ? parseFloat((totalHours / workingDays).toFixed(2)) : 0
+        ...summarizeDays(dailySummaries)
       }
     };
   } catch (error) {
@@ -146,31 +279,9 @@ export async function getMonthlySummary(employeeId, year, month) {
   try {
     if (!supabase) return { success: false, error: 'Supabase not configured' };
     
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    const { startDate, endDate } = getMonthRange(year, month);
     
-    const dailySummaries = [];
-    let totalHours = 0;
-    let workingDays = 0;
-    let leaveDays = 0;
-    let lateArrivals = 0;
-    let earlyDepartures = 0;
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      const summary = await getDailySummary(employeeId, new Date(d));
-      if (summary.success) {
-        dailySummaries.push(summary.data);
-        if (summary.data.totalHours) {
-          totalHours += summary.data.totalHours;
-          workingDays++;
-        }
-        if (summary.data.leave) {
-          leaveDays++;
-        }
-        if (summary.data.isLate) lateArrivals++;
-        if (summary.data.isEarlyDeparture) earlyDepartures++;
-      }
-    }
+    const dailySummaries = (await getAttendanceDays(startDate, endDate, employeeId)).map(toSummaryDay);
     
     return {
       success: true,
@@ -179,13 +290,7 @@ export async function getMonthlySummary(employeeId, year, month) {
         month,
         monthName: new Date(year, month - 1).toLocaleString('default', { month: 'long' }),
         dailySummaries,
-        totalHours: parseFloat(totalHours.toFixed(2)),
-        workingDays,
-        leaveDays,
-        lateArrivals,
-        earlyDepartures,
-        averageHours: workingDays > 0 ? parseFloat((totalHours / workingDays).toFixed(2)) : 0,
-        attendancePercentage: ((workingDays / (endDate.getDate() - leaveDays)) * 100).toFixed(1)
+        ...summarizeDays(dailySummaries)
       }
     };
   } catch (error) {
@@ -197,28 +302,118 @@ export async function getMonthlySummary(employeeId, year, month) {
 }
 
 /**
- * Get all employees attendance for a date (Admin view)
- * @param {Date} date - Date to get attendance for
+ * Get the monthly attendance summary of every active employee the caller can see (Admin view)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>} One summary per employee, by name
+ */
+export async function getAllEmployeesMonthlySummary(year, month) {
+  try {
+    if (!supabase) return { success: false, error: 'Supabase not configured' };
+    
+    const { startDate, endDate } = getMonthRange(year, month);
+    
+    // One row per employee, totalled in the database; paged past the API's row limit
+    const rows = await fetchAllRows(() => supabase
+      .rpc('get_attendance_summaries', { p_start_date: startDate, p_end_date: endDate }));
+    
+    return {
+      success: true,
+      data: rows.map(row => ({
+        employeeId: row.employee_id,
+        employeeName: row.employee_name,
+        department: row.department,
+        ...withRates({
+          totalHours: Number(row.total_hours),
+          workingDays: Number(row.working_days),
+          leaveDays: Number(row.leave_days),
+          scheduledDays: row.scheduled_days,
+          holidays: row.holidays,
+          lateArrivals: row.late_arrivals,
+          earlyDepartures: row.early_departures,
+          missingPunches: row.missing_punches
+        })
+      }))
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get monthly summaries'
+    };
+  }
+}
+
+/**
+ * Classify an employee's day from their scans and what they were expected to do
+ * @param {Object} employee - Entry of getAllEmployeesAttendance
+ * @returns {string} Key of ATTENDANCE_STATUS_LABELS
+ */
+function classifyAttendance(employee) {
+  // Anyone who scanned attended, even on a day off
+  if (employee.scans.length > 0) return employee.isLate ? 'late' : 'present';
+  if (!employee.isWorkingDay) return employee.holiday ? 'holiday' : 'weekly_off';
+  if (employee.leaveStatus === 'approved') {
+    // Half-day leave still expects the other half to be worked
+    return employee.leaveType === 'full_day' ? 'on_leave' : 'half_day_absent';
+  }
+  return 'absent';
+}
+
+/**
+ * Get all employees attendance for a date (Admin view), including the active employees who didn't scan
+ * @param {Date|string} date - Date (or YYYY-MM-DD business date) to get attendance for
+ * @param {Object} [filters]
+ * @param {string} [filters.siteId] - Only employees who scanned at this site, or are assigned to it and didn't scan
  * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
  */
-export async function getAllEmployeesAttendance(date) {
+export async function getAllEmployeesAttendance(date, { siteId = null } = {}) {
   try {
     if (!supabase) return { success: false, error: 'Supabase not configured' };
     
-    const dateStr = date.toISOString().split('T')[0];
+    const dateStr = toDateString(date, await getOrganizationTimezone());
+    
+    // Active employees the caller manages, with their shift, holiday and leave for the date
+    // (all three queries are paged past the API's row limit)
+    const roster = await fetchAllRows(() => supabase.rpc('get_daily_roster', { p_date: dateStr }));
     
-    // Get all attendance records for the date
-    const { data: records, error } = await supabase
+    // Get all attendance records for sessions starting on the date
+    const records = await fetchAllRows(() => supabase
       .from('attendance_records')
       .select('*')
-      .eq('scanned_date', dateStr)
-      .order('scanned_at', { ascending: true });
+      .eq('session_date', dateStr)
+      .order('scanned_at', { ascending: true })
+      .order('id', { ascending: true }));
     
-    if (error) throw error;
+    // Sessions flagged by the missed check-out job and not yet corrected
+    const exceptions = await fetchAllRows(() => supabase
+      .from('attendance_exceptions')
+      .select('employee_id')
+      .eq('session_date', dateStr)
+      .eq('exception_type', 'missed_check_out')
+      .eq('status', 'open')
+      .order('employee_id', { ascending: true }));
+    const missedCheckOuts = new Set(exceptions.map(e => e.employee_id));
     
     // Group by employee
     const employeeMap = new Map();
     
+    roster.forEach(row => {
+      employeeMap.set(row.employee_id, {
+        employeeId: row.employee_id,
+        employeeName: row.employee_name,
+        department: row.department,
+        role: row.employee_role,
+        siteId: row.site_id,
+        shift: row.shift_name,
+        isWorkingDay: row.is_working_day,
+        holiday: row.holiday_name,
+        leaveType: row.leave_type,
+        leaveStatus: row.leave_status,
+        scans: []
+      });
+    });
+    
+    // Employees who left still appear on the days they scanned
     records.forEach(record => {
       if (!employeeMap.has(record.employee_id)) {
         employeeMap.set(record.employee_id, {
@@ -226,6 +421,12 @@ export async function getAllEmployeesAttendance(date) {
           employeeName: record.employee_name,
           department: record.department,
           role: record.employee_role,
+          siteId: null,
+          shift: null,
+          isWorkingDay: false,
+          holiday: null,
+          leaveType: null,
+          leaveStatus: null,
           scans: []
         });
       }
@@ -233,37 +434,36 @@ export async function getAllEmployeesAttendance(date) {
     });
     
     // Calculate summary for each employee
-    const employees = Array.from(employeeMap.values()).map(emp => {
-      const checkIn = emp.scans.find(s => s.scan_type === 'check_in');
-      const lunchOut = emp.scans.find(s => s.scan_type === 'lunch_out');
-      const lunchIn = emp.scans.find(s => s.scan_type === 'lunch_in');
-      const checkOut = emp.scans.find(s => s.scan_type === 'check_out');
-      
-      let totalHours = null;
-      if (checkIn && checkOut) {
-        const checkInTime = new Date(checkIn.scanned_at);
-        const checkOutTime = new Date(checkOut.scanned_at);
-        const totalMinutes = (checkOutTime - checkInTime) / (1000 * 60);
-        
-        if (lunchOut && lunchIn) {
-          const lunchDuration = (new Date(lunchIn.scanned_at) - new Date(lunchOut.scanned_at)) / (1000 * 60);
-          totalHours = (totalMinutes - lunchDuration) / 60;
-        } else {
-          totalHours = totalMinutes / 60;
-        }
-      }
+    // A site filter keeps everyone who scanned there, with their whole session, and the
+    // employees assigned to the site who didn't scan
+    const sessions = Array.from(employeeMap.values())
+      .filter(emp => !siteId || (emp.scans.length > 0
+        ? emp.scans.some(scan => scan.site_id === siteId)
+        : emp.siteId === siteId));
+    
+    const employees = sessions.map(emp => {
+      const session = summarizeScans(emp.scans);
+      const checkIn = session.firstCheckIn;
+      const checkOut = session.isComplete ? session.lastCheckOut : null;
+      const totalHours = session.isComplete ? session.workedMinutes / 60 : null;
       
-      return {
+      const employee = {
         ...emp,
         checkIn,
-        lunchOut,
-        lunchIn,
         checkOut,
+        breaks: session.breaks,
+        breakMinutes: Math.round(session.breakMinutes),
+        state: session.state,
         totalHours: totalHours ? parseFloat(totalHours.toFixed(2)) : null,
-        isComplete: !!(checkIn && checkOut),
+        isComplete: session.isComplete,
         isLate: checkIn?.is_late || false,
-        isEarlyDeparture: checkOut?.is_early_departure || false
+        isEarlyDeparture: checkOut?.is_early_departure || false,
+        missedCheckOut: missedCheckOuts.has(emp.employeeId),
+        siteIds: [...new Set(emp.scans.map(scan => scan.site_id).filter(Boolean))],
+        outsideGeofence: emp.scans.some(scan => scan.within_geofence === false)
       };
+      
+      return { ...employee, status: classifyAttendance(employee) };
     });
     
     return {
@@ -278,3 +478,14 @@ export async function getAllEmployeesAttendance(date) {
   }
 }
 
+/**
+ * Get the employees absent without leave on a date
+ * @param {Date|string} date - Date (or YYYY-MM-DD business date)
+ * @param {Object} [filters] - Same filters as getAllEmployeesAttendance
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getAbsentees(date, filters) {
+  const result = await getAllEmployeesAttendance(date, filters);
+  if (!result.success) return result;
+  return { success: true, data: result.data.filter(emp => ABSENT_STATUSES.includes(emp.status)) };
+}
@@ -0,0 +1,57 @@
+import { supabase } from './supabase';
+import { getOrganizationTimezone } from './settings';
+import { addDays, zonedTimeToInstant } from '../utils/timezone';
+
+/**
+ * Get audit log entries for attendance, leave and correction changes (Admin view)
+ * @param {Object} [filters]
+ * @param {string} [filters.employeeId] - Only changes to this employee's rows
+ * @param {string} [filters.actorId] - Only changes made by this user
+ * @param {string} [filters.startDate] - First business date to include (YYYY-MM-DD)
+ * @param {string} [filters.endDate] - Last business date to include (YYYY-MM-DD)
+ * @param {number} [filters.limit] - Maximum number of entries to fetch
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getAuditLog({ employeeId, actorId, startDate, endDate, limit = 200 } = {}) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    let query = supabase
+      .from('audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (employeeId) {
+      query = query.eq('employee_id', employeeId);
+    }
+
+    if (actorId) {
+      query = query.eq('actor_id', actorId);
+    }
+
+    // Dates are business days in the organization's timezone
+    if (startDate || endDate) {
+      const timeZone = await getOrganizationTimezone();
+      if (startDate) {
+        query = query.gte('created_at', zonedTimeToInstant(startDate, 0, timeZone).toISOString());
+      }
+      if (endDate) {
+        query = query.lt('created_at', zonedTimeToInstant(addDays(endDate, 1), 0, timeZone).toISOString());
+      }
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get audit log'
+    };
+  }
+}
@@ -0,0 +1,77 @@
+import { supabase } from './supabase';
+
+/**
+ * Sign in with email and password (Supabase Auth)
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function signIn(email, password) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+
+    if (error) throw error;
+
+    return { success: true, data: data.user };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to sign in'
+    };
+  }
+}
+
+/**
+ * Sign out of the current session
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function signOut() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = await supabase.auth.signOut();
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to sign out'
+    };
+  }
+}
+
+/**
+ * Get the access role of a signed-in user from user_roles
+ * @param {string} userId - Auth user UUID
+ * @returns {Promise<{success: boolean, data?: string|null, error?: string}>}
+ */
+export async function getUserRole(userId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select('role')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return { success: true, data: data?.role || null };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get user role'
+    };
+  }
+}
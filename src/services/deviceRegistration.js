@@ -0,0 +1,32 @@
+// The scanner device this browser is paired with (see "Scanner Devices and Sites" in README.md).
+// Kept in localStorage so the pairing survives reloads and offline restarts.
+
+const STORAGE_KEY = 'attendance_scanner_device';
+
+/**
+ * Get the device this browser is paired with
+ * @returns {{deviceId: string, deviceName: string, siteName: string|null, token: string}|null}
+ */
+export function getPairedDevice() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the device returned by the pair-device Edge Function
+ * @param {{deviceId: string, deviceName: string, siteName: string|null, token: string}} device
+ */
+export function savePairedDevice(device) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(device));
+}
+
+/**
+ * Forget this browser's pairing (scans are no longer attributed to a site)
+ */
+export function clearPairedDevice() {
+  localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,215 @@
+import { FunctionsHttpError } from '@supabase/supabase-js';
+import { supabase } from './supabase';
+import { savePairedDevice } from './deviceRegistration';
+
+/**
+ * Get all sites
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getSites() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('sites')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get sites'
+    };
+  }
+}
+
+/**
+ * Create or update a site (HR admins only)
+ * @param {Object} site - Site data (id to update an existing site; latitude, longitude and radiusMeters for its geofence)
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function saveSite(site) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    // Leave the coordinates empty for a site without a geofence
+    const hasCoordinates = site.latitude !== '' && site.latitude !== null && site.latitude !== undefined;
+    const row = {
+      name: site.name.trim(),
+      address: site.address?.trim() || null,
+      latitude: hasCoordinates ? Number(site.latitude) : null,
+      longitude: hasCoordinates ? Number(site.longitude) : null,
+      geofence_radius_meters: Number(site.radiusMeters) || 200
+    };
+
+    const query = site.id
+      ? supabase.from('sites').update(row).eq('id', site.id)
+      : supabase.from('sites').insert(row);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to save site'
+    };
+  }
+}
+
+/**
+ * Get all registered scanner devices
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getDevices() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('scanner_devices')
+      .select('id, name, site_id, pairing_code, pairing_expires_at, paired_at, last_seen_at, revoked_at, created_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get devices'
+    };
+  }
+}
+
+/**
+ * Register a scanner device at a site (HR admins only)
+ * @param {string} name - Device name (e.g. "Main entrance tablet")
+ * @param {string} siteId - Site UUID
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function createDevice(name, siteId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('scanner_devices')
+      .insert({ name: name.trim(), site_id: siteId })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to register device'
+    };
+  }
+}
+
+/**
+ * Issue a one-time pairing code for a device (HR admins only).
+ * The code expires after 15 minutes; issuing one unpairs the browser currently using the device.
+ * @param {string} deviceId - Device UUID
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function issuePairingCode(deviceId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase.rpc('issue_device_pairing_code', {
+      p_device_id: deviceId
+    });
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to issue pairing code'
+    };
+  }
+}
+
+/**
+ * Revoke a device: its scans are rejected from now on. Past scans keep their site.
+ * @param {string} deviceId - Device UUID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function revokeDevice(deviceId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = await supabase
+      .from('scanner_devices')
+      .update({
+        revoked_at: new Date().toISOString(),
+        pairing_code: null,
+        pairing_expires_at: null
+      })
+      .eq('id', deviceId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to revoke device'
+    };
+  }
+}
+
+/**
+ * Pair this browser with a registered device using the code from the admin dashboard
+ * @param {string} pairingCode - One-time pairing code
+ * @returns {Promise<{success: boolean, data?: {deviceId: string, deviceName: string, siteName: string|null}, error?: string}>}
+ */
+export async function pairThisDevice(pairingCode) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase.functions.invoke('pair-device', {
+      body: { pairingCode }
+    });
+
+    if (error) {
+      // Non-2xx responses carry the reason in the JSON body
+      const body = error instanceof FunctionsHttpError
+        ? await error.context.json().catch(() => null)
+        : null;
+      throw new Error(body?.error || error.message);
+    }
+
+    savePairedDevice(data.data);
+    const { deviceId, deviceName, siteName } = data.data;
+
+    return { success: true, data: { deviceId, deviceName, siteName } };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to pair device'
+    };
+  }
+}
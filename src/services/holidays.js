@@ -0,0 +1,332 @@
+import { supabase } from './supabase';
+import { getOrganizationTimezone } from './settings';
+import { toDateString } from '../utils/timezone';
+
+export const HOLIDAY_TYPE_LABELS = {
+  national: 'National',
+  regional: 'Regional (one site)',
+  optional: 'Optional'
+};
+
+/**
+ * Get every holiday in a year (Admin view)
+ * @param {number} year - Year
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getHolidays(year) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('holidays')
+      .select('*')
+      .gte('holiday_date', `${year}-01-01`)
+      .lte('holiday_date', `${year}-12-31`)
+      .order('holiday_date', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get holidays'
+    };
+  }
+}
+
+/**
+ * Create or update a holiday (HR admins only)
+ * @param {Object} holiday
+ * @param {string} [holiday.id] - Holiday UUID (omit to create)
+ * @param {string} holiday.date - Date in YYYY-MM-DD format
+ * @param {string} holiday.name - Holiday name
+ * @param {string} holiday.type - 'national', 'regional' or 'optional'
+ * @param {string} [holiday.siteId] - Site UUID (regional holidays only)
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function saveHoliday({ id, date, name, type, siteId }) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const row = {
+      holiday_date: date,
+      name: name.trim(),
+      holiday_type: type,
+      site_id: type === 'regional' ? siteId : null
+    };
+
+    const query = id
+      ? supabase.from('holidays').update(row).eq('id', id)
+      : supabase.from('holidays').insert(row);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to save holiday'
+    };
+  }
+}
+
+/**
+ * Import holidays in bulk, skipping dates that already have a holiday for the same site
+ * @param {Array<{date: string, name: string}>} holidays - Holidays to import
+ * @param {string} type - 'national', 'regional' or 'optional'
+ * @param {string} [siteId] - Site UUID (regional holidays only)
+ * @returns {Promise<{success: boolean, data?: {imported: number, skipped: number}, error?: string}>}
+ */
+export async function importHolidays(holidays, type, siteId = null) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (holidays.length === 0) {
+      return { success: true, data: { imported: 0, skipped: 0 } };
+    }
+
+    const site = type === 'regional' ? siteId : null;
+    const dates = holidays.map(h => h.date).sort();
+
+    let existingQuery = supabase
+      .from('holidays')
+      .select('holiday_date')
+      .gte('holiday_date', dates[0])
+      .lte('holiday_date', dates[dates.length - 1]);
+    existingQuery = site ? existingQuery.eq('site_id', site) : existingQuery.is('site_id', null);
+
+    const { data: existing, error: existingError } = await existingQuery;
+    if (existingError) throw existingError;
+
+    // Calendars can list the same day twice (e.g. two observances)
+    const taken = new Set((existing || []).map(h => h.holiday_date));
+    const rows = [];
+    for (const holiday of holidays) {
+      if (taken.has(holiday.date)) continue;
+      taken.add(holiday.date);
+      rows.push({
+        holiday_date: holiday.date,
+        name: holiday.name,
+        holiday_type: type,
+        site_id: site
+      });
+    }
+
+    if (rows.length > 0) {
+      const { error } = await supabase.from('holidays').insert(rows);
+      if (error) throw error;
+    }
+
+    return { success: true, data: { imported: rows.length, skipped: holidays.length - rows.length } };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to import holidays'
+    };
+  }
+}
+
+/**
+ * Delete a holiday (HR admins only)
+ * @param {string} holidayId - Holiday UUID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteHoliday(holidayId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = await supabase
+      .from('holidays')
+      .delete()
+      .eq('id', holidayId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to delete holiday'
+    };
+  }
+}
+
+/**
+ * Get the holidays an employee has off in a date range: national holidays, their site's
+ * regional holidays and the optional holidays they chose
+ * @param {string} employeeId - Employee UUID
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @returns {Promise<{success: boolean, data?: Map<string, Object>, error?: string}>} Holidays by date
+ */
+export async function getEmployeeHolidays(employeeId, startDate, endDate) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const timeZone = await getOrganizationTimezone();
+    const { data, error } = await supabase.rpc('get_employee_holidays', {
+      p_employee_id: employeeId,
+      p_start_date: toDateString(startDate, timeZone),
+      p_end_date: toDateString(endDate, timeZone)
+    });
+
+    if (error) throw error;
+
+    return { success: true, data: new Map((data || []).map(h => [h.holiday_date, h])) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get holidays'
+    };
+  }
+}
+
+/**
+ * Get a year's optional holidays, marking the ones an employee chose
+ * @param {string} employeeId - Employee UUID
+ * @param {number} year - Year
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getOptionalHolidays(employeeId, year) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('holidays')
+      .select('*, optional_holiday_selections(employee_id)')
+      .eq('holiday_type', 'optional')
+      .eq('optional_holiday_selections.employee_id', employeeId)
+      .gte('holiday_date', `${year}-01-01`)
+      .lte('holiday_date', `${year}-12-31`)
+      .order('holiday_date', { ascending: true });
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: (data || []).map(({ optional_holiday_selections: selections, ...holiday }) => ({
+        ...holiday,
+        selected: (selections || []).length > 0
+      }))
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get optional holidays'
+    };
+  }
+}
+
+/**
+ * Choose or give back an optional holiday (employees, for themselves)
+ * @param {string} employeeId - Employee UUID
+ * @param {string} holidayId - Holiday UUID
+ * @param {boolean} selected - Whether the employee takes the holiday off
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function setOptionalHoliday(employeeId, holidayId, selected) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = selected
+      ? await supabase
+        .from('optional_holiday_selections')
+        .insert({ employee_id: employeeId, holiday_id: holidayId })
+      : await supabase
+        .from('optional_holiday_selections')
+        .delete()
+        .eq('employee_id', employeeId)
+        .eq('holiday_id', holidayId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to update optional holiday'
+    };
+  }
+}
+
+/**
+ * Get every employee's site for regional holidays
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getEmployeeSites() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('employee_sites')
+      .select('*');
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get employee sites'
+    };
+  }
+}
+
+/**
+ * Set (or clear) the site whose regional holidays apply to an employee (HR admins only)
+ * @param {string} employeeId - Employee UUID
+ * @param {string|null} siteId - Site UUID, or null to remove the assignment
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function setEmployeeSite(employeeId, siteId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (!siteId) {
+      const { error } = await supabase
+        .from('employee_sites')
+        .delete()
+        .eq('employee_id', employeeId);
+
+      if (error) throw error;
+
+      return { success: true, data: null };
+    }
+
+    const { data, error } = await supabase
+      .from('employee_sites')
+      .upsert({ employee_id: employeeId, site_id: siteId }, { onConflict: 'employee_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to set employee site'
+    };
+  }
+}
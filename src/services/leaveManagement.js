@@ -1,27 +1,131 @@
 import { supabase } from './supabase';
+import { getOrganizationTimezone } from './settings';
+import { toDateString } from '../utils/timezone';
+
+export const LEAVE_TYPE_LABELS = {
+  full_day: 'Full day',
+  half_day_morning: 'Half day (morning)',
+  half_day_afternoon: 'Half day (afternoon)'
+};
+
+export const LEAVE_STATUS_LABELS = {
+  pending: 'Awaiting manager',
+  pending_hr: 'Awaiting HR',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
 
 /**
- * Create a leave request
+ * Count the days of leave a date range takes: 1 per working day of the employee's
+ * shift, 0.5 for a half day at either end
  * @param {string} employeeId - Employee UUID
- * @param {Date} leaveDate - Date of leave
- * @param {string} leaveType - 'full_day', 'half_day_morning', 'half_day_afternoon'
- * @param {string} reason - Reason for leave
+ * @param {Object} range
+ * @param {string} range.startDate - First day (YYYY-MM-DD)
+ * @param {string} range.endDate - Last day (YYYY-MM-DD)
+ * @param {string} range.leaveType - Leave type of the first day
+ * @param {string} range.endLeaveType - Leave type of the last day
+ * @returns {Promise<{success: boolean, data?: number, error?: string}>}
+ */
+export async function countLeaveDays(employeeId, { startDate, endDate, leaveType, endLeaveType }) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase.rpc('count_leave_days', {
+      p_employee_id: employeeId,
+      p_start_date: startDate,
+      p_end_date: endDate,
+      p_leave_type: leaveType,
+      p_end_leave_type: endDate === startDate ? leaveType : endLeaveType
+    });
+    
+    if (error) throw error;
+    
+    return { success: true, data: Number(data) };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to count leave days'
+    };
+  }
+}
+
+/**
+ * Create a leave request for a single day or a date range, approved as one unit
+ * The database checks the balance again when the request is inserted.
+ * @param {Object} request
+ * @param {string} request.employeeId - Employee UUID
+ * @param {Date|string} request.startDate - First day (or YYYY-MM-DD business date) of leave
+ * @param {Date|string} [request.endDate] - Last day of leave (defaults to startDate)
+ * @param {string} [request.leaveType] - Leave type of the first day: 'full_day', 'half_day_morning',
+ *   'half_day_afternoon' (a range can only start with a full day or in the afternoon)
+ * @param {string} [request.endLeaveType] - Leave type of the last day of a range: 'full_day' or 'half_day_morning'
+ * @param {string} [request.leaveCategory] - 'casual', 'sick', 'earned', 'unpaid' (see leave_categories)
+ * @param {string} [request.reason] - Reason for leave
  * @returns {Promise<{success: boolean, data?: any, error?: string}>}
  */
-export async function createLeaveRequest(employeeId, leaveDate, leaveType, reason = '') {
+export async function createLeaveRequest({
+  employeeId,
+  startDate,
+  endDate,
+  leaveType = 'full_day',
+  endLeaveType = 'full_day',
+  leaveCategory = 'casual',
+  reason = ''
+}) {
   try {
     if (!supabase) {
       return { success: false, error: 'Supabase not configured' };
     }
     
-    const dateStr = leaveDate.toISOString().split('T')[0];
+    const timeZone = await getOrganizationTimezone();
+    const startStr = toDateString(startDate, timeZone);
+    const endStr = endDate ? toDateString(endDate, timeZone) : startStr;
+    
+    if (endStr < startStr) {
+      return { success: false, error: "Leave can't end before it starts" };
+    }
+    
+    const daysResult = await countLeaveDays(employeeId, {
+      startDate: startStr,
+      endDate: endStr,
+      leaveType,
+      endLeaveType
+    });
+    if (!daysResult.success) {
+      return daysResult;
+    }
+    if (daysResult.data === 0) {
+      return { success: false, error: "The selected dates don't include any working days" };
+    }
+    
+    const balances = await getLeaveBalances(employeeId, startStr);
+    if (!balances.success) {
+      return balances;
+    }
+    
+    const balance = balances.data.find(b => b.leave_category === leaveCategory);
+    if (!balance) {
+      return { success: false, error: `Unknown leave category: ${leaveCategory}` };
+    }
+    if (balance.requires_balance && daysResult.data > balance.available) {
+      return {
+        success: false,
+        error: `Not enough ${balance.name} balance: ${Math.max(balance.available, 0)} day(s) available`
+      };
+    }
     
     const { data, error } = await supabase
       .from('leave_requests')
       .insert({
         employee_id: employeeId,
-        leave_date: dateStr,
+        leave_date: startStr,
+        end_date: endStr,
         leave_type: leaveType,
+        end_leave_type: endStr === startStr ? leaveType : endLeaveType,
+        leave_category: leaveCategory,
         reason: reason,
         status: 'pending'
       })
@@ -40,10 +144,10 @@ export async function createLeaveRequest(employeeId, leaveDate, leaveType, reaso
 }
 
 /**
- * Get leave requests for an employee
+ * Get leave requests for an employee that overlap a date range
  * @param {string} employeeId - Employee UUID
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
  * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
  */
 export async function getEmployeeLeaveRequests(employeeId, startDate, endDate) {
@@ -52,12 +156,13 @@ export async function getEmployeeLeaveRequests(employeeId, startDate, endDate) {
       return { success: false, error: 'Supabase not configured' };
     }
     
+    const timeZone = await getOrganizationTimezone();
     const { data, error } = await supabase
       .from('leave_requests')
       .select('*')
       .eq('employee_id', employeeId)
-      .gte('leave_date', startDate.toISOString().split('T')[0])
-      .lte('leave_date', endDate.toISOString().split('T')[0])
+      .lte('leave_date', toDateString(endDate, timeZone))
+      .gte('end_date', toDateString(startDate, timeZone))
       .order('leave_date', { ascending: false });
     
     if (error) throw error;
@@ -72,28 +177,23 @@ export async function getEmployeeLeaveRequests(employeeId, startDate, endDate) {
 }
 
 /**
- * Approve or reject a leave request (Admin only)
+ * Approve or reject a leave request
+ * Managers approve their team's requests; categories that need HR approval then wait for
+ * an HR admin. Final approval deducts the days from the employee's balance.
  * @param {string} leaveRequestId - Leave request UUID
  * @param {string} status - 'approved' or 'rejected'
- * @param {string} approvedBy - Admin/Manager UUID
  * @returns {Promise<{success: boolean, data?: any, error?: string}>}
  */
-export async function updateLeaveRequestStatus(leaveRequestId, status, approvedBy) {
+export async function reviewLeaveRequest(leaveRequestId, status) {
   try {
     if (!supabase) {
       return { success: false, error: 'Supabase not configured' };
     }
     
-    const { data, error } = await supabase
-      .from('leave_requests')
-      .update({
-        status,
-        approved_by: approvedBy,
-        approved_at: new Date().toISOString()
-      })
-      .eq('id', leaveRequestId)
-      .select()
-      .single();
+    const { data, error } = await supabase.rpc('review_leave_request', {
+      p_leave_id: leaveRequestId,
+      p_status: status
+    });
     
     if (error) throw error;
     
@@ -107,7 +207,35 @@ export async function updateLeaveRequestStatus(leaveRequestId, status, approvedB
 }
 
 /**
- * Get all pending leave requests (Admin view)
+ * Cancel a pending or approved leave request
+ * Approved days are returned to the employee's balance.
+ * @param {string} leaveRequestId - Leave request UUID
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function cancelLeaveRequest(leaveRequestId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase.rpc('cancel_leave_request', {
+      p_leave_id: leaveRequestId
+    });
+    
+    if (error) throw error;
+    
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to cancel leave request'
+    };
+  }
+}
+
+/**
+ * Get all leave requests awaiting a manager or HR (Admin view)
+ * Each request includes approver_id, the manager who approves it (null: HR admins)
  * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
  */
 export async function getPendingLeaveRequests() {
@@ -118,8 +246,8 @@ export async function getPendingLeaveRequests() {
     
     const { data, error } = await supabase
       .from('leave_requests')
-      .select('*')
-      .eq('status', 'pending')
+      .select('*, approver_id')
+      .in('status', ['pending', 'pending_hr'])
       .order('leave_date', { ascending: true });
     
     if (error) throw error;
@@ -133,3 +261,99 @@ export async function getPendingLeaveRequests() {
   }
 }
 
+/**
+ * Get an employee's leave balances for the year of a date
+ * Monthly-accruing categories only count the days accrued by that date.
+ * @param {string} employeeId - Employee UUID
+ * @param {Date|string} [date] - Date (or YYYY-MM-DD business date), defaults to today
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getLeaveBalances(employeeId, date = new Date()) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase.rpc('get_leave_balances', {
+      p_employee_id: employeeId,
+      p_date: toDateString(date, await getOrganizationTimezone())
+    });
+    
+    if (error) throw error;
+    
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get leave balances'
+    };
+  }
+}
+
+/**
+ * Get the leave categories and their allowance rules
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getLeaveCategories() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase
+      .from('leave_categories')
+      .select('*')
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get leave categories'
+    };
+  }
+}
+
+/**
+ * Update a leave category's allowance rules (HR admins only)
+ * Balances already opened for the year keep their allowance.
+ * @param {string} category - Category key
+ * @param {Object} rules
+ * @param {number} rules.annualAllowance - Days per year
+ * @param {string} rules.accrual - 'annual' or 'monthly'
+ * @param {number} rules.maxCarryForward - Unused days carried into the next year
+ * @param {boolean} rules.requiresBalance - False for leave that isn't limited (unpaid)
+ * @param {boolean} rules.requiresHrApproval - Approved by the manager, then by HR
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function updateLeaveCategory(category, rules) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase
+      .from('leave_categories')
+      .update({
+        annual_allowance: rules.annualAllowance,
+        accrual: rules.accrual,
+        max_carry_forward: rules.maxCarryForward,
+        requires_balance: rules.requiresBalance,
+        requires_hr_approval: rules.requiresHrApproval
+      })
+      .eq('category', category)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to update leave category'
+    };
+  }
+}
@@ -0,0 +1,53 @@
+// Location of the scanner, sent with each scan when the geofence policy is enabled.
+// The position is watched in the background so scans don't wait for a GPS fix.
+
+// Fixes older than this are not sent (the tablet may have been moved)
+const MAX_FIX_AGE_MS = 2 * 60 * 1000;
+
+let watchId = null;
+let lastFix = null;
+
+/**
+ * Start watching the scanner's location (asks for permission the first time)
+ * @returns {boolean} - False if the browser has no geolocation support
+ */
+export function startLocationWatch() {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) return false;
+  if (watchId !== null) return true;
+
+  watchId = navigator.geolocation.watchPosition(
+    (position) => {
+      lastFix = {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+        capturedAt: position.timestamp
+      };
+    },
+    (error) => {
+      console.log('Could not get scanner location:', error.message);
+    },
+    { enableHighAccuracy: true, maximumAge: 30000 }
+  );
+  return true;
+}
+
+/**
+ * Stop watching the scanner's location
+ */
+export function stopLocationWatch() {
+  if (watchId !== null) {
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  }
+}
+
+/**
+ * Get the scanner's most recent location, if it is recent enough to send with a scan
+ * @returns {{latitude: number, longitude: number, accuracy: number}|null}
+ */
+export function getCurrentLocation() {
+  if (!lastFix || Date.now() - lastFix.capturedAt > MAX_FIX_AGE_MS) return null;
+  const { latitude, longitude, accuracy } = lastFix;
+  return { latitude, longitude, accuracy };
+}
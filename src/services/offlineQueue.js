@@ -0,0 +1,177 @@
+import { markAttendance } from './supabase';
+
+const DB_NAME = 'attendance_scanner';
+const DB_VERSION = 1;
+const STORE_NAME = 'pending_scans';
+
+let dbPromise = null;
+
+/**
+ * Open (or create) the IndexedDB database used for the offline queue
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // Auto-increment keys keep scans in the order they were captured
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('status', 'status', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the queue store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Persist a scan so it can be sent for verification when connectivity returns
+ * @param {string} payload - Raw text decoded from the QR code
+ * @param {Object} qrData - Parsed QR code data (used for display)
+ * @param {Date} scannedAt - Time the QR code was actually scanned
+ * @param {string} [intent] - Scan type declared at the kiosk, if any
+ * @param {Object} [location] - Scanner location at scan time, if captured
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function enqueueScan(payload, qrData, scannedAt = new Date(), intent = null, location = null) {
+  try {
+    const entry = {
+      payload,
+      qrData,
+      scannedAt: scannedAt.toISOString(),
+      intent,
+      location,
+      status: 'pending',
+      error: null,
+      queuedAt: new Date().toISOString()
+    };
+    const id = await withStore('readwrite', store => store.add(entry));
+    return { success: true, data: { ...entry, id } };
+  } catch (error) {
+    console.error('Error queueing offline scan:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to store scan offline'
+    };
+  }
+}
+
+/**
+ * Get all queued scans (pending and rejected) in capture order
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getQueuedScans() {
+  try {
+    return await withStore('readonly', store => store.getAll());
+  } catch (error) {
+    console.error('Error reading offline queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Count scans still waiting to be synced
+ * @returns {Promise<number>}
+ */
+export async function getPendingCount() {
+  try {
+    return await withStore('readonly', store => store.index('status').count('pending'));
+  } catch (error) {
+    console.error('Error counting offline queue:', error);
+    return 0;
+  }
+}
+
+/**
+ * Remove a scan from the queue (e.g. after an admin dismisses a rejection)
+ * @param {number} id - Queue entry ID
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedScan(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+let syncInProgress = null;
+
+/**
+ * Replay pending scans into attendance_records in the order they were captured.
+ * Successful scans are removed from the queue. Duplicates and other server
+ * rejections stay in the queue marked as 'rejected' so they can be reviewed.
+ * Stops at the first network failure and leaves the rest pending.
+ * @returns {Promise<{synced: number, rejected: Array<Object>, remaining: number}>}
+ */
+export function syncQueue() {
+  if (syncInProgress) return syncInProgress;
+
+  syncInProgress = (async () => {
+    let synced = 0;
+    const rejected = [];
+
+    try {
+      const entries = await getQueuedScans();
+
+      for (const entry of entries) {
+        if (entry.status !== 'pending') continue;
+
+        const result = await markAttendance(entry.payload, new Date(entry.scannedAt), {
+          offline: true,
+          intent: entry.intent || null,
+          location: entry.location || null
+        });
+
+        if (result.success) {
+          await removeQueuedScan(entry.id);
+          synced++;
+        } else if (result.networkError || result.authError) {
+          // Still offline (or the session expired) - try again on the next sync
+          break;
+        } else {
+          const updated = { ...entry, status: 'rejected', error: result.error };
+          await withStore('readwrite', store => store.put(updated));
+          rejected.push(updated);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing offline queue:', error);
+    } finally {
+      syncInProgress = null;
+    }
+
+    return { synced, rejected, remaining: await getPendingCount() };
+  })();
+
+  return syncInProgress;
+}
@@ -0,0 +1,96 @@
+import { supabase } from './supabase';
+
+/**
+ * Get every employee's manager
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getReportingLines() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('reporting_lines')
+      .select('*');
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get reporting lines'
+    };
+  }
+}
+
+/**
+ * Set (or clear) an employee's manager (HR admins only)
+ * @param {string} employeeId - Employee UUID
+ * @param {string|null} managerId - Manager's employee UUID, or null to remove the reporting line
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function setManager(employeeId, managerId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (!managerId) {
+      const { error } = await supabase
+        .from('reporting_lines')
+        .delete()
+        .eq('employee_id', employeeId);
+
+      if (error) throw error;
+
+      return { success: true, data: null };
+    }
+
+    const { data, error } = await supabase
+      .from('reporting_lines')
+      .upsert({ employee_id: employeeId, manager_id: managerId }, { onConflict: 'employee_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to update reporting line'
+    };
+  }
+}
+
+/**
+ * Get the signed-in manager's direct and indirect reports.
+ * Each member carries the manager who approves their requests today: the nearest
+ * available manager up the chain, so requests escalate while a team lead is on leave.
+ * @returns {Promise<{success: boolean, data?: Map<string, {depth: number, approverId: string|null}>, error?: string}>}
+ */
+export async function getMyTeam() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase.rpc('get_my_team');
+
+    if (error) throw error;
+
+    const team = new Map();
+    (data || []).forEach(member => {
+      team.set(member.employee_id, { depth: member.depth, approverId: member.approver_id });
+    });
+
+    return { success: true, data: team };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get team'
+    };
+  }
+}
@@ -0,0 +1,29 @@
+import { supabase } from './supabase';
+
+/**
+ * Get recent security events, e.g. replayed QR codes (Admin view)
+ * @param {number} limit - Maximum number of events to fetch
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getSecurityEvents(limit = 100) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+    
+    const { data, error } = await supabase
+      .from('security_events')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get security events'
+    };
+  }
+}
@@ -0,0 +1,90 @@
+import { supabase } from './supabase';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from '../utils/timezone';
+
+let cachedTimezone = null;
+
+/**
+ * Get the organization's timezone from app_settings.
+ * The value is cached for the lifetime of the page; falls back to
+ * VITE_ORG_TIMEZONE (or the browser timezone) if the setting is missing.
+ * @returns {Promise<string>} IANA timezone name
+ */
+export async function getOrganizationTimezone() {
+  if (cachedTimezone) return cachedTimezone;
+  if (!supabase) return DEFAULT_TIMEZONE;
+
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', 'timezone')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (data?.value && isValidTimeZone(data.value)) {
+      cachedTimezone = data.value;
+      return cachedTimezone;
+    }
+  } catch (error) {
+    console.error('Error loading organization timezone:', error);
+  }
+
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get an organization setting from app_settings
+ * @param {string} key - Setting key
+ * @param {string} [fallback] - Value returned if the setting is missing
+ * @returns {Promise<{success: boolean, data?: string, error?: string}>}
+ */
+export async function getSetting(key, fallback = null) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return { success: true, data: data?.value ?? fallback };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get setting'
+    };
+  }
+}
+
+/**
+ * Create or update an organization setting (Admin only)
+ * @param {string} key - Setting key
+ * @param {string} value - New value
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function updateSetting(key, value) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert({ key, value: String(value), updated_at: new Date().toISOString() });
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to update setting'
+    };
+  }
+}
@@ -0,0 +1,193 @@
+import { supabase } from './supabase';
+import { fetchShiftAssignments } from '../../supabase/functions/_shared/shiftRules.js';
+
+export {
+  DEFAULT_SHIFT,
+  timeToMinutes,
+  minutesToTime,
+  normalizeShift,
+  getExpectedHours,
+  applyHalfDayLeave,
+  isWorkingDay,
+  resolveShift,
+  resolveSession,
+  classifyScan
+} from '../../supabase/functions/_shared/shiftRules.js';
+
+/**
+ * Fetch all shift assignments that could apply to an employee
+ * @param {string} employeeId - Employee UUID
+ * @param {string} [department] - Employee department (looked up if omitted)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getShiftAssignments(employeeId, department) {
+  if (!supabase) return [];
+  return fetchShiftAssignments(supabase, employeeId, department);
+}
+
+/**
+ * Get all shift definitions
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getShifts() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('shifts')
+      .select('*')
+      .order('start_time', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get shifts'
+    };
+  }
+}
+
+/**
+ * Create or update a shift definition
+ * @param {Object} shift - Shift fields (include id to update)
+ * @param {string} shift.name - Shift name
+ * @param {string} shift.startTime - Start time 'HH:MM'
+ * @param {string} shift.endTime - End time 'HH:MM'
+ * @param {number} shift.graceMinutes - Minutes allowed after start before marking late
+ * @param {string} [shift.breakStart] - Break window start 'HH:MM'
+ * @param {string} [shift.breakEnd] - Break window end 'HH:MM'
+ * @param {number[]} shift.workingDays - Working days of week (Sunday = 0)
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function saveShift(shift) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const row = {
+      name: shift.name,
+      start_time: shift.startTime,
+      end_time: shift.endTime,
+      grace_minutes: shift.graceMinutes,
+      break_start: shift.breakStart || null,
+      break_end: shift.breakEnd || null,
+      working_days: shift.workingDays
+    };
+
+    const query = shift.id
+      ? supabase.from('shifts').update(row).eq('id', shift.id)
+      : supabase.from('shifts').insert(row);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to save shift'
+    };
+  }
+}
+
+/**
+ * Assign a shift to an employee or department from a date
+ * @param {Object} assignment
+ * @param {string} assignment.shiftId - Shift UUID
+ * @param {string} [assignment.employeeId] - Employee UUID (either this or department)
+ * @param {string} [assignment.department] - Department name
+ * @param {string} assignment.effectiveFrom - Start date YYYY-MM-DD
+ * @param {string} [assignment.effectiveTo] - End date YYYY-MM-DD (open-ended if omitted)
+ * @returns {Promise<{success: boolean, data?: any, error?: string}>}
+ */
+export async function assignShift({ shiftId, employeeId, department, effectiveFrom, effectiveTo }) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    if (!!employeeId === !!department) {
+      return { success: false, error: 'Assign the shift to either an employee or a department' };
+    }
+
+    const { data, error } = await supabase
+      .from('shift_assignments')
+      .insert({
+        shift_id: shiftId,
+        employee_id: employeeId || null,
+        department: department || null,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo || null
+      })
+      .select('*, shifts(*)')
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, data };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to assign shift'
+    };
+  }
+}
+
+/**
+ * Get all shift assignments (Admin view)
+ * @returns {Promise<{success: boolean, data?: any[], error?: string}>}
+ */
+export async function getAllShiftAssignments() {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { data, error } = await supabase
+      .from('shift_assignments')
+      .select('*, shifts(name)')
+      .order('effective_from', { ascending: false });
+
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to get shift assignments'
+    };
+  }
+}
+
+/**
+ * End a shift assignment
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function deleteShiftAssignment(assignmentId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: 'Supabase not configured' };
+    }
+
+    const { error } = await supabase
+      .from('shift_assignments')
+      .delete()
+      .eq('id', assignmentId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Failed to remove shift assignment'
+    };
+  }
+}
@@ -1,4 +1,5 @@
-import { createClient } from '@supabase/supabase-js';
+import { createClient, FunctionsFetchError, FunctionsHttpError } from '@supabase/supabase-js';
+import { getPairedDevice } from './deviceRegistration';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -16,73 +17,29 @@ export const supabase = supabaseUrl && supabaseAnonKey
   : null;
 
 /**
- * Detect scan type based on existing scans for the day
- * @param {string} employeeId - Employee UUID
- * @param {Date} scanTime - Current scan time
- * @returns {Promise<{scanType: string, isLate: boolean, isEarly: boolean}>}
+ * Check whether an error was caused by the network rather than the server
+ * @param {any} error - Error returned by Supabase or thrown by fetch
+ * @returns {boolean}
  */
-async function detectScanType(employeeId, scanTime) {
-  if (!supabase) {
-    return { scanType: 'check_in', isLate: false, isEarly: false };
-  }
-  
-  const today = scanTime.toISOString().split('T')[0];
-  
-  // Get all scans for today
-  const { data: todayScans } = await supabase
-    .from('attendance_records')
-    .select('scan_type, scanned_at')
-    .eq('employee_id', employeeId)
-    .eq('scanned_date', today)
-    .order('scanned_at', { ascending: true });
-  
-  const scanTypes = todayScans?.map(s => s.scan_type) || [];
-  const hour = scanTime.getHours();
-  const minutes = scanTime.getMinutes();
-  const currentTime = hour * 60 + minutes; // Time in minutes from midnight
-  
-  // Define time thresholds (in minutes from midnight)
-  const LUNCH_START = 12 * 60; // 12:00 PM
-  const LUNCH_END = 14 * 60; // 2:00 PM
-  const EXPECTED_CHECK_IN = 9 * 60; // 9:00 AM
-  const EXPECTED_CHECK_OUT = 18 * 60; // 6:00 PM
-  const LATE_THRESHOLD = 15; // 15 minutes late
-  
-  let scanType = 'check_in';
-  let isLate = false;
-  let isEarly = false;
-  
-  // Determine scan type based on existing scans
-  if (!scanTypes.includes('check_in')) {
-    scanType = 'check_in';
-    // Check if late (after 9:15 AM)
-    if (currentTime > EXPECTED_CHECK_IN + LATE_THRESHOLD) {
-      isLate = true;
-    }
-  } else if (!scanTypes.includes('lunch_out') && currentTime >= LUNCH_START) {
-    scanType = 'lunch_out';
-  } else if (scanTypes.includes('lunch_out') && !scanTypes.includes('lunch_in')) {
-    scanType = 'lunch_in';
-  } else if (scanTypes.includes('lunch_in') && !scanTypes.includes('check_out')) {
-    scanType = 'check_out';
-    // Check if early departure (before 6:00 PM)
-    if (currentTime < EXPECTED_CHECK_OUT) {
-      isEarly = true;
-    }
-  } else {
-    // All scans done, but allow re-scanning (will be handled as duplicate)
-    scanType = 'check_out';
-  }
-  
-  return { scanType, isLate, isEarly };
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  const message = error?.message || '';
+  return /Failed to fetch|NetworkError|Network request failed|Load failed/i.test(message);
 }
 
 /**
- * Mark attendance in the database with automatic scan type detection
- * @param {Object} attendanceData - Attendance data from QR code
- * @returns {Promise<{success: boolean, data?: any, error?: string, scanType?: string}>}
+ * Mark attendance by sending the scanned QR payload to the mark-attendance Edge Function.
+ * The function verifies the signature, freshness and replay status and detects the scan type.
+ * If this browser is paired with a scanner device, its token is sent so the scan is attributed to the site.
+ * @param {string} payload - Raw text decoded from the QR code
+ * @param {Date} [scannedAt] - Original scan time (used when replaying offline scans)
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - True when replaying a scan captured while offline
+ * @param {string} [options.intent] - Declared scan type (check_in, lunch_out, lunch_in, check_out); inferred if omitted
+ * @param {Object} [options.location] - Scanner location at scan time ({latitude, longitude, accuracy}), checked against the site's geofence
+ * @returns {Promise<{success: boolean, data?: any, error?: string, scanType?: string, networkError?: boolean, authError?: boolean, deviceRevoked?: boolean}>}
  */
-export async function markAttendance(attendanceData) {
+export async function markAttendance(payload, scannedAt = new Date(), { offline = false, intent = null, location = null } = {}) {
   try {
     if (!supabase) {
       return {
@@ -91,86 +48,65 @@ export async function markAttendance(attendanceData) {
       };
     }
     
-    const { employeeId, firstName, lastName, role, department, checkInTime, signature } = attendanceData;
-    const scanTime = new Date();
-    
-    // Check if employee is on leave today
-    const today = scanTime.toISOString().split('T')[0];
-    const { data: leaveRequest } = await supabase
-      .from('leave_requests')
-      .select('*')
-      .eq('employee_id', employeeId)
-      .eq('leave_date', today)
-      .eq('status', 'approved')
-      .single();
-    
-    if (leaveRequest) {
-      return {
-        success: false,
-        error: `You are on ${leaveRequest.leave_type === 'full_day' ? 'full day' : 'half day'} leave today`
-      };
-    }
-    
-    // Detect scan type automatically
-    const { scanType, isLate, isEarly } = await detectScanType(employeeId, scanTime);
-    
-    // Check if this scan type already exists (prevent duplicates)
-    const { data: existingScan } = await supabase
-      .from('attendance_records')
-      .select('id')
-      .eq('employee_id', employeeId)
-      .eq('scanned_date', today)
-      .eq('scan_type', scanType)
-      .single();
-    
-    if (existingScan) {
+    if (isNetworkError()) {
       return {
         success: false,
-        error: `${scanType.replace('_', ' ')} already recorded for today`
+        error: 'No network connection',
+        networkError: true
       };
     }
     
-    // Determine if half day (only check-in or early check-out)
-    const isHalfDay = scanType === 'check_in' && scanTime.getHours() < 12;
-    
-    // Insert attendance record
-    const { data, error } = await supabase
-      .from('attendance_records')
-      .insert({
-        employee_id: employeeId,
-        employee_name: `${firstName} ${lastName}`,
-        employee_role: role,
-        department: department || null,
-        check_in_time: checkInTime,
-        scanned_at: scanTime.toISOString(),
-        scan_type: scanType,
-        is_late: isLate,
-        is_early_departure: isEarly,
-        is_half_day: isHalfDay,
-        signature_verified: true,
-        qr_data: attendanceData
-      })
-      .select()
-      .single();
+    const { data, error } = await supabase.functions.invoke('mark-attendance', {
+      body: {
+        payload,
+        scannedAt: scannedAt.toISOString(),
+        offline,
+        intent,
+        location,
+        deviceToken: getPairedDevice()?.token || null
+      }
+    });
     
     if (error) {
-      console.error('Error marking attendance:', error);
+      if (error instanceof FunctionsFetchError) {
+        return {
+          success: false,
+          error: 'No network connection',
+          networkError: true
+        };
+      }
+      
+      // Non-2xx responses carry the reason in the JSON body
+      let message = error.message;
+      let authError = false;
+      let deviceRevoked = false;
+      if (error instanceof FunctionsHttpError) {
+        const body = await error.context.json().catch(() => null);
+        message = body?.error || message;
+        authError = error.context.status === 401;
+        deviceRevoked = !!body?.deviceRevoked;
+      }
+      
+      console.error('Error marking attendance:', message);
       return {
         success: false,
-        error: error.message || 'Failed to mark attendance'
+        error: message || 'Failed to mark attendance',
+        authError,
+        deviceRevoked
       };
     }
     
     return {
       success: true,
-      data,
-      scanType
+      data: data.data,
+      scanType: data.scanType
     };
   } catch (error) {
     console.error('Error marking attendance:', error);
     return {
       success: false,
-      error: error.message || 'An unexpected error occurred'
+      error: error.message || 'An unexpected error occurred',
+      networkError: isNetworkError(error)
     };
   }
 }
@@ -0,0 +1,35 @@
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Rows of field values, in header order
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeField).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Download a CSV document from the browser
+ * @param {string} filename - File name, e.g. absentees-2026-01-26.csv
+ * @param {string} csv - CSV document
+ */
+export function downloadCsv(filename, csv) {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,8 @@
+// The scanner uses the same geofence rules as the mark-attendance Edge Function.
+export {
+  GEOFENCE_POLICIES,
+  isValidLocation,
+  distanceInMeters,
+  hasGeofence,
+  checkGeofence
+} from '../../supabase/functions/_shared/geofence.js';
@@ -0,0 +1,83 @@
+import { addDays } from './timezone';
+
+/**
+ * Convert an iCalendar DATE or DATE-TIME value (20260126 or 20260126T000000Z) to YYYY-MM-DD
+ * @param {string} value - Property value
+ * @returns {string|null}
+ */
+function toDateString(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Property value
+ * @returns {string}
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\[nN]/g, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Parse the events of an iCalendar (.ics) file, such as a published public holiday calendar,
+ * into one holiday per day. An all-day event's DTEND is exclusive, so a three-day event
+ * from the 1st has DTEND on the 4th.
+ * @param {string} text - Contents of the .ics file
+ * @returns {Array<{date: string, name: string}>} Holidays sorted by date
+ */
+export function parseIcalHolidays(text) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event?.start && event.summary) {
+        let end = event.start;
+        if (event.end) {
+          end = event.endIsDate ? addDays(event.end, -1) : event.end;
+        }
+        if (end < event.start) end = event.start;
+        for (let d = event.start; d <= end; d = addDays(d, 1)) {
+          holidays.push({ date: d, name: event.summary });
+        }
+      }
+      event = null;
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    if (!event || separator === -1) continue;
+
+    // Property name, parameters (e.g. DTSTART;VALUE=DATE) and value
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+
+    switch (property.toUpperCase()) {
+      case 'DTSTART':
+        event.start = toDateString(value);
+        break;
+      case 'DTEND':
+        event.end = toDateString(value);
+        event.endIsDate = params.includes('VALUE=DATE') || /^\d{8}$/.test(value.trim());
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
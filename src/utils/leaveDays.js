@@ -0,0 +1,2 @@
+// Reports expand leave ranges the same way as the Edge Functions.
+export { getLeaveTypeOn, getLeaveDayValue } from '../../supabase/functions/_shared/leaveDays.js';
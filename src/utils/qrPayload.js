@@ -0,0 +1,3 @@
+// The scanner decodes QR payloads with the same code as the mark-attendance
+// Edge Function, so both accept the compact and legacy JSON formats.
+export { decodeQrPayload, hasEmployeeDetails } from '../../supabase/functions/_shared/qrPayload.js';
@@ -0,0 +1,16 @@
+import { ROLES, MANAGER_ROLES } from '../../supabase/functions/_shared/roles.js';
+
+// The route guards use the same role definitions as the mark-attendance Edge Function.
+export { ROLES, ROLE_LABELS, SCANNER_ROLES, MANAGER_ROLES, hasRole } from '../../supabase/functions/_shared/roles.js';
+
+/**
+ * Get the page a user lands on after signing in
+ * @param {string|null} role - The user's role
+ * @param {string} userId - Auth user UUID
+ * @returns {string}
+ */
+export function getHomePath(role, userId) {
+  if (role === ROLES.KIOSK) return '/kiosk';
+  if (MANAGER_ROLES.includes(role)) return '/admin';
+  return `/employee/${userId}`;
+}
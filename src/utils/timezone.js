@@ -0,0 +1,51 @@
+import {
+  getBusinessDate as getZonedBusinessDate,
+  getMinutesOfDay as getZonedMinutesOfDay,
+  toDateString as toZonedDateString
+} from '../../supabase/functions/_shared/timezone.js';
+
+export {
+  isValidTimeZone,
+  addDays,
+  getDayOfWeek,
+  getMonthRange,
+  zonedTimeToInstant
+} from '../../supabase/functions/_shared/timezone.js';
+
+/**
+ * Timezone used until the organization setting has been loaded from the database
+ */
+export const DEFAULT_TIMEZONE =
+  import.meta.env.VITE_ORG_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone ||
+  'UTC';
+
+/**
+ * Get the business date (YYYY-MM-DD) of an instant in the organization's timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {string}
+ */
+export function getBusinessDate(date, timeZone = DEFAULT_TIMEZONE) {
+  return getZonedBusinessDate(date, timeZone);
+}
+
+/**
+ * Get the wall-clock time of an instant in minutes from midnight
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {number}
+ */
+export function getMinutesOfDay(date, timeZone = DEFAULT_TIMEZONE) {
+  return getZonedMinutesOfDay(date, timeZone);
+}
+
+/**
+ * Normalize a report date argument to a YYYY-MM-DD string
+ * @param {Date|string} value - Date or YYYY-MM-DD string
+ * @param {string} [timeZone] - IANA timezone name
+ * @returns {string}
+ */
+export function toDateString(value, timeZone = DEFAULT_TIMEZONE) {
+  return toZonedDateString(value, timeZone);
+}
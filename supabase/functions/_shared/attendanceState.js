@@ -0,0 +1,114 @@
+// Attendance state machine shared by the mark-attendance Edge Function and the reports.
+// A session is any sequence of in/out intervals: check_in starts work, lunch_out and
+// lunch_in bracket a break (tea break, client visit, ...) and check_out ends work.
+// Checking in again after a check-out starts another interval (split shifts).
+
+export const ATTENDANCE_STATES = {
+  OFF: 'off',
+  WORKING: 'working',
+  ON_BREAK: 'on_break'
+};
+
+// Scan type -> state it is allowed from and the state it leads to
+const TRANSITIONS = {
+  check_in: { from: ATTENDANCE_STATES.OFF, to: ATTENDANCE_STATES.WORKING },
+  lunch_out: { from: ATTENDANCE_STATES.WORKING, to: ATTENDANCE_STATES.ON_BREAK },
+  lunch_in: { from: ATTENDANCE_STATES.ON_BREAK, to: ATTENDANCE_STATES.WORKING },
+  check_out: { from: ATTENDANCE_STATES.WORKING, to: ATTENDANCE_STATES.OFF }
+};
+
+// Why a scan type isn't allowed in a given state
+const TRANSITION_ERRORS = {
+  check_in: {
+    working: 'Already checked in',
+    on_break: 'You are on a break. End your break instead of checking in'
+  },
+  lunch_out: {
+    off: 'Check in before starting a break',
+    on_break: 'Break already started'
+  },
+  lunch_in: {
+    off: 'No break has been started',
+    working: 'No break has been started'
+  },
+  check_out: {
+    off: 'Not checked in',
+    on_break: 'End your break before checking out'
+  }
+};
+
+// Scans that start or end a worked interval
+const WORK_STARTS = ['check_in', 'lunch_in'];
+const WORK_ENDS = ['lunch_out', 'check_out'];
+
+/**
+ * Apply a scan to the current state
+ * @param {string} state - One of ATTENDANCE_STATES
+ * @param {string} scanType - check_in, lunch_out, lunch_in or check_out
+ * @returns {{state?: string, error?: string}}
+ */
+export function nextState(state, scanType) {
+  const transition = TRANSITIONS[scanType];
+  if (!transition) {
+    return { error: 'Unknown scan type' };
+  }
+  if (transition.from !== state) {
+    return { error: TRANSITION_ERRORS[scanType][state] };
+  }
+  return { state: transition.to };
+}
+
+/**
+ * Get the state after the scans already recorded in a session.
+ * Recorded history is replayed leniently (older data may not follow the rules).
+ * @param {string[]} scanTypes - Scan types in the order they were scanned
+ * @returns {string} - One of ATTENDANCE_STATES
+ */
+export function getAttendanceState(scanTypes) {
+  return scanTypes.reduce(
+    (state, scanType) => TRANSITIONS[scanType]?.to ?? state,
+    ATTENDANCE_STATES.OFF
+  );
+}
+
+/**
+ * Summarize a session's scans into worked intervals and breaks.
+ * Every scan that starts work (check_in, lunch_in) followed directly by one that
+ * ends it (lunch_out, check_out) is a worked interval; a lunch_out followed by a
+ * lunch_in is a break. Open intervals are not counted.
+ * @param {Array<Object>} scans - attendance_records rows ordered by scanned_at
+ * @returns {{intervals: Array<Object>, breaks: Array<Object>, workedMinutes: number, breakMinutes: number, state: string, firstCheckIn: Object|null, lastCheckOut: Object|null, isComplete: boolean}}
+ */
+export function summarizeScans(scans) {
+  const intervals = [];
+  const breaks = [];
+
+  for (let i = 0; i < scans.length - 1; i++) {
+    const current = scans[i];
+    const next = scans[i + 1];
+    const minutes = (new Date(next.scanned_at) - new Date(current.scanned_at)) / (1000 * 60);
+    const period = { start: current.scanned_at, end: next.scanned_at, minutes };
+
+    if (WORK_STARTS.includes(current.scan_type) && WORK_ENDS.includes(next.scan_type)) {
+      intervals.push(period);
+    } else if (current.scan_type === 'lunch_out' && next.scan_type === 'lunch_in') {
+      breaks.push(period);
+    }
+  }
+
+  const sum = periods => periods.reduce((total, period) => total + period.minutes, 0);
+  const checkIns = scans.filter(s => s.scan_type === 'check_in');
+  const checkOuts = scans.filter(s => s.scan_type === 'check_out');
+  const lastScan = scans[scans.length - 1];
+
+  return {
+    intervals,
+    breaks,
+    workedMinutes: sum(intervals),
+    breakMinutes: sum(breaks),
+    state: getAttendanceState(scans.map(s => s.scan_type)),
+    firstCheckIn: checkIns[0] || null,
+    lastCheckOut: checkOuts[checkOuts.length - 1] || null,
+    isComplete: checkIns.length > 0 && lastScan?.scan_type === 'check_out'
+  };
+}
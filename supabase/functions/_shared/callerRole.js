@@ -0,0 +1,23 @@
+// Resolve the signed-in user calling an Edge Function.
+// Shared by the functions the scanner website calls with the user's access token.
+
+/**
+ * Get the access role of the signed-in user calling the function
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Request} req - Incoming request
+ * @returns {Promise<string|null>} - Role from user_roles, or null if not signed in
+ */
+export async function getCallerRole(supabase, req) {
+  const token = req.headers.get('Authorization')?.replace(/^Bearer /, '');
+  if (!token) return null;
+
+  const { data: { user } } = await supabase.auth.getUser(token);
+  if (!user) return null;
+
+  const { data } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', user.id)
+    .maybeSingle();
+  return data?.role || null;
+}
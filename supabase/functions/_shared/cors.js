@@ -0,0 +1,19 @@
+// CORS headers so the scanner website can call the Edge Functions from the browser
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+/**
+ * Build a JSON response with CORS headers
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status code
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
@@ -0,0 +1,32 @@
+// Tokens held by paired scanner devices (see migration_devices_sites.sql).
+// The browser keeps the token; the database only stores its SHA-256 hash.
+
+// Device tokens are 32 random bytes, base64url encoded
+const TOKEN_BYTES = 32;
+
+export const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Generate a new random device token
+ * @returns {string} - base64url token
+ */
+export function generateDeviceToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Hash a device token for storage and lookup
+ * @param {string} token - Device token
+ * @returns {Promise<string>} - SHA-256 hash as hex
+ */
+export async function hashDeviceToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
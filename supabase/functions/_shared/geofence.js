@@ -0,0 +1,66 @@
+// Geofence checks for scans at a site (see migration_geofencing.sql).
+// Shared by the mark-attendance Edge Function and the scanner website.
+
+// off: no location is captured, flag: record and flag scans outside the geofence, reject: refuse them
+export const GEOFENCE_POLICIES = ['off', 'flag', 'reject'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Check that a location has valid coordinates
+ * @param {{latitude: number, longitude: number, accuracy?: number}|null} location
+ * @returns {boolean}
+ */
+export function isValidLocation(location) {
+  if (!location) return false;
+  const { latitude, longitude, accuracy } = location;
+  return Number.isFinite(latitude) && latitude >= -90 && latitude <= 90
+    && Number.isFinite(longitude) && longitude >= -180 && longitude <= 180
+    && (accuracy === undefined || accuracy === null || (Number.isFinite(accuracy) && accuracy >= 0));
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} - Distance in meters
+ */
+export function distanceInMeters(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Check whether a site has a geofence configured
+ * @param {Object|null} site - Site row (latitude, longitude, geofence_radius_meters)
+ * @returns {boolean}
+ */
+export function hasGeofence(site) {
+  return site?.latitude !== null && site?.latitude !== undefined
+    && site?.longitude !== null && site?.longitude !== undefined;
+}
+
+/**
+ * Compare a scan location with a site's geofence
+ * @param {Object} site - Site row with a geofence
+ * @param {{latitude: number, longitude: number}|null} location - Scan location, if captured
+ * @returns {{withinGeofence: boolean, distanceMeters: number|null}} - Scans without a location count as outside
+ */
+export function checkGeofence(site, location) {
+  if (!isValidLocation(location)) {
+    return { withinGeofence: false, distanceMeters: null };
+  }
+
+  const distanceMeters = Math.round(distanceInMeters(
+    { latitude: site.latitude, longitude: site.longitude },
+    location
+  ));
+  return {
+    withinGeofence: distanceMeters <= site.geofence_radius_meters,
+    distanceMeters
+  };
+}
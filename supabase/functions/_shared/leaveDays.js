@@ -0,0 +1,29 @@
+// Expanding date-range leave requests into days (see migration_leave_ranges.sql).
+// Shared by the Edge Functions and the website's reports; mirrors leave_type_on in SQL.
+
+/**
+ * Leave type on one day of a leave request.
+ * The first day uses leave_type, the last day end_leave_type and the days between are full days.
+ * @param {{leave_date: string, end_date?: string, leave_type: string, end_leave_type?: string}|null} leave - leave_requests row
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {string|null} 'full_day', 'half_day_morning', 'half_day_afternoon', or null outside the range
+ */
+export function getLeaveTypeOn(leave, dateStr) {
+  if (!leave) return null;
+
+  const endDate = leave.end_date || leave.leave_date;
+  if (dateStr < leave.leave_date || dateStr > endDate) return null;
+  if (dateStr === leave.leave_date) return leave.leave_type;
+  if (dateStr === endDate) return leave.end_leave_type || leave.leave_type;
+  return 'full_day';
+}
+
+/**
+ * Days of leave a leave type takes on a working day
+ * @param {string|null} leaveType - Leave type on the day
+ * @returns {number} 1, 0.5, or 0 without leave
+ */
+export function getLeaveDayValue(leaveType) {
+  if (!leaveType) return 0;
+  return leaveType === 'full_day' ? 1 : 0.5;
+}
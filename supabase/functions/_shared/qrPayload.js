@@ -0,0 +1,142 @@
+// Decoding of the QR payload formats shown by the Flutter app.
+// The original format is verbose JSON. The compact format packs the same claims
+// into a few bytes and Base45 encodes them, so the QR code can use alphanumeric
+// mode and stays readable on small, low-resolution phone screens.
+
+// Prefix identifying the compact format and its version
+export const COMPACT_PREFIX = 'AT1:';
+
+// Compact HMAC signatures are truncated to 128 bits to keep the code small
+export const COMPACT_HMAC_BYTES = 16;
+
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Algorithm byte in the compact header
+const COMPACT_ALGORITHMS = ['HS256', 'EdDSA', 'ES256'];
+
+// Expected signature length in bytes per algorithm
+const COMPACT_SIGNATURE_BYTES = { HS256: COMPACT_HMAC_BYTES, EdDSA: 64, ES256: 64 };
+
+// alg (1) + employee UUID (16) + issued-at seconds (4) + nonce (8) + kid length (1)
+const COMPACT_HEADER_BYTES = 30;
+
+/**
+ * Decode a Base45 string (RFC 9285)
+ * @param {string} text
+ * @returns {Uint8Array|null} - Decoded bytes, or null if the text is not valid Base45
+ */
+export function base45Decode(text) {
+  const values = [];
+  for (const char of text) {
+    const value = BASE45_ALPHABET.indexOf(char);
+    if (value === -1) return null;
+    values.push(value);
+  }
+  if (values.length % 3 === 1) return null;
+
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+      if (n > 0xffff) return null;
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = values[i] + values[i + 1] * 45;
+      if (n > 0xff) return null;
+      bytes.push(n);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Format 16 bytes as a UUID string
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToUuid(bytes) {
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode a compact payload into the same shape as the JSON format.
+ * Layout (after Base45 decoding): alg byte, employee UUID (16 bytes), issued-at
+ * Unix seconds (uint32, big endian), nonce (8 bytes), kid length and kid (ASCII),
+ * then the signature. Names, role and department are not included; the server
+ * looks them up from the employee record.
+ * @param {string} text - QR text starting with COMPACT_PREFIX
+ * @returns {Object|null} - QR data, or null if the payload is malformed
+ */
+function decodeCompactPayload(text) {
+  const bytes = base45Decode(text.slice(COMPACT_PREFIX.length));
+  if (!bytes || bytes.length < COMPACT_HEADER_BYTES) return null;
+
+  const alg = COMPACT_ALGORITHMS[bytes[0]];
+  if (!alg) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const issuedAt = view.getUint32(17);
+  const kidLength = bytes[29];
+  const signature = bytes.slice(COMPACT_HEADER_BYTES + kidLength);
+  if (signature.length !== COMPACT_SIGNATURE_BYTES[alg]) return null;
+
+  return {
+    format: 'compact',
+    alg,
+    employeeId: bytesToUuid(bytes.slice(1, 17)),
+    checkInTime: new Date(issuedAt * 1000).toISOString(),
+    nonce: bytesToBase64Url(bytes.slice(21, 29)),
+    kid: kidLength ? String.fromCharCode(...bytes.slice(COMPACT_HEADER_BYTES, COMPACT_HEADER_BYTES + kidLength)) : undefined,
+    signature: alg === 'HS256'
+      ? Array.from(signature, b => b.toString(16).padStart(2, '0')).join('')
+      : bytesToBase64Url(signature)
+  };
+}
+
+/**
+ * Decode the text read from a QR code.
+ * Accepts the compact format and, for older app versions, the JSON format.
+ * @param {string|Object} payload - Raw QR text (or an already parsed JSON payload)
+ * @returns {Object|null} - QR data, or null if the payload can't be decoded
+ */
+export function decodeQrPayload(payload) {
+  let qrData = payload;
+
+  if (typeof payload === 'string') {
+    const text = payload.trim();
+    if (text.startsWith(COMPACT_PREFIX)) {
+      return decodeCompactPayload(text);
+    }
+
+    try {
+      qrData = JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The format is decided by how the payload was encoded, never by a field inside it
+  return qrData && typeof qrData === 'object' ? { ...qrData, format: 'json' } : null;
+}
+
+/**
+ * Whether the QR data carries the employee's name (only the JSON format does)
+ * @param {Object} qrData
+ * @returns {boolean}
+ */
+export function hasEmployeeDetails(qrData) {
+  return !!(qrData && qrData.firstName && qrData.lastName);
+}
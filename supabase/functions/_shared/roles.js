@@ -0,0 +1,32 @@
+// Access roles stored in the user_roles table (see migration_auth_roles.sql).
+// Shared by the mark-attendance Edge Function and the scanner website's route guards.
+
+export const ROLES = {
+  EMPLOYEE: 'employee',
+  MANAGER: 'manager',
+  HR_ADMIN: 'hr_admin',
+  KIOSK: 'kiosk'
+};
+
+export const ROLE_LABELS = {
+  employee: 'Employee',
+  manager: 'Manager',
+  hr_admin: 'HR Admin',
+  kiosk: 'Kiosk Device'
+};
+
+// Roles that can run the scanner and submit scans
+export const SCANNER_ROLES = [ROLES.KIOSK, ROLES.MANAGER, ROLES.HR_ADMIN];
+
+// Roles that can see everyone's attendance and approve leave and corrections
+export const MANAGER_ROLES = [ROLES.MANAGER, ROLES.HR_ADMIN];
+
+/**
+ * Check whether a role is one of the allowed roles
+ * @param {string|null} role - The user's role
+ * @param {Array<string>} allowedRoles - Roles that are allowed
+ * @returns {boolean}
+ */
+export function hasRole(role, allowedRoles) {
+  return Boolean(role) && allowedRoles.includes(role);
+}
@@ -0,0 +1,283 @@
+// Shift and scan-type rules shared by the scanner website and the Edge Functions.
+// Apart from fetchShiftAssignments (which takes the Supabase client to use) everything
+// here is pure so it runs unchanged in the browser and in Deno.
+import { getDayOfWeek, getBusinessDate, getMinutesOfDay, addDays } from './timezone.js';
+import { ATTENDANCE_STATES, getAttendanceState, nextState } from './attendanceState.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Schedule used when no shift is assigned (matches the original hard-coded thresholds)
+ */
+export const DEFAULT_SHIFT = {
+  id: null,
+  name: 'General',
+  startMinutes: 9 * 60, // 9:00 AM
+  endMinutes: 18 * 60, // 6:00 PM
+  graceMinutes: 15,
+  breakStartMinutes: 12 * 60, // 12:00 PM
+  breakEndMinutes: 14 * 60, // 2:00 PM
+  workingDays: [1, 2, 3, 4, 5], // Sunday = 0
+  isOvernight: false
+};
+
+/**
+ * Convert a Postgres TIME string ('HH:MM' or 'HH:MM:SS') to minutes from midnight
+ * @param {string|null} time - Time string
+ * @returns {number|null}
+ */
+export function timeToMinutes(time) {
+  if (!time) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes from midnight to a 'HH:MM' string
+ * @param {number|null} minutes - Minutes from midnight
+ * @returns {string|null}
+ */
+export function minutesToTime(minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a row from the shifts table to the shape used by scan detection and reports.
+ * Times are minutes from midnight of the day the shift starts, so for an overnight
+ * shift (end time before start time) the end and any break after midnight are > 1440.
+ * @param {Object} row - Shift row
+ * @returns {Object}
+ */
+export function normalizeShift(row) {
+  if (!row) return DEFAULT_SHIFT;
+
+  const startMinutes = timeToMinutes(row.start_time);
+  // Times earlier than the shift start belong to the following day
+  const afterStart = (minutes) => (
+    minutes !== null && minutes < startMinutes ? minutes + MINUTES_PER_DAY : minutes
+  );
+  let endMinutes = timeToMinutes(row.end_time);
+  if (endMinutes <= startMinutes) endMinutes += MINUTES_PER_DAY;
+
+  return {
+    id: row.id,
+    name: row.name,
+    startMinutes,
+    endMinutes,
+    graceMinutes: row.grace_minutes ?? DEFAULT_SHIFT.graceMinutes,
+    breakStartMinutes: afterStart(timeToMinutes(row.break_start)),
+    breakEndMinutes: afterStart(timeToMinutes(row.break_end)),
+    workingDays: row.working_days || DEFAULT_SHIFT.workingDays,
+    isOvernight: endMinutes > MINUTES_PER_DAY
+  };
+}
+
+/**
+ * Expected working hours for a shift, excluding the break window
+ * @param {Object} shift - Normalized shift
+ * @returns {number}
+ */
+export function getExpectedHours(shift) {
+  let minutes = shift.endMinutes - shift.startMinutes;
+  if (shift.breakStartMinutes !== null && shift.breakEndMinutes !== null) {
+    minutes -= shift.breakEndMinutes - shift.breakStartMinutes;
+  }
+  return parseFloat((minutes / 60).toFixed(2));
+}
+
+/**
+ * Adjust a shift for approved half-day leave so only the working half is expected.
+ * The halves meet at the break (or the middle of a shift without one): morning leave
+ * moves the start to the end of the break, afternoon leave moves the end to its start.
+ * Late and early-departure flags, expected hours and auto-close times then follow the
+ * working half. Other leave types return the shift unchanged.
+ * @param {Object} shift - Normalized shift
+ * @param {string|null} leaveType - Approved leave type for the session, if any
+ * @returns {Object} Normalized shift, with halfDayLeave set to 'morning' or 'afternoon'
+ */
+export function applyHalfDayLeave(shift, leaveType) {
+  if (leaveType !== 'half_day_morning' && leaveType !== 'half_day_afternoon') {
+    return shift;
+  }
+
+  const hasBreak = shift.breakStartMinutes !== null && shift.breakEndMinutes !== null;
+  const midpoint = Math.round((shift.startMinutes + shift.endMinutes) / 2);
+  const halfShift = { ...shift, breakStartMinutes: null, breakEndMinutes: null };
+
+  return leaveType === 'half_day_morning'
+    ? { ...halfShift, startMinutes: hasBreak ? shift.breakEndMinutes : midpoint, halfDayLeave: 'morning' }
+    : { ...halfShift, endMinutes: hasBreak ? shift.breakStartMinutes : midpoint, halfDayLeave: 'afternoon' };
+}
+
+/**
+ * Check whether a date is a scheduled working day for a shift
+ * @param {Object} shift - Normalized shift
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+export function isWorkingDay(shift, dateStr) {
+  return shift.workingDays.includes(getDayOfWeek(dateStr));
+}
+
+/**
+ * Pick the shift that applies on a date from a list of assignments.
+ * Employee assignments win over department assignments, then the most recent effective_from.
+ * @param {Array<Object>} assignments - shift_assignments rows joined with shifts
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {Object} Normalized shift
+ */
+export function resolveShift(assignments, dateStr) {
+  const applicable = (assignments || [])
+    .filter(a => a.shifts && a.effective_from <= dateStr && (!a.effective_to || a.effective_to >= dateStr))
+    .sort((a, b) => {
+      if (!!a.employee_id !== !!b.employee_id) return a.employee_id ? -1 : 1;
+      return b.effective_from.localeCompare(a.effective_from);
+    });
+
+  return applicable.length > 0 ? normalizeShift(applicable[0].shifts) : DEFAULT_SHIFT;
+}
+
+/**
+ * Work out which attendance session a scan belongs to.
+ * A session is anchored to the date its shift starts, so a check-out at 06:00 after
+ * a 22:00 check-in is paired with the previous evening. Scans before the midpoint of
+ * an overnight shift's off-duty gap belong to the previous day's session.
+ * @param {Array<Object>} assignments - shift_assignments rows joined with shifts
+ * @param {Date} scanTime - Scan instant
+ * @param {string} timeZone - Organization timezone
+ * @returns {{sessionDate: string, shift: Object, minutesIntoSession: number}}
+ */
+export function resolveSession(assignments, scanTime, timeZone) {
+  const today = getBusinessDate(scanTime, timeZone);
+  const currentTime = getMinutesOfDay(scanTime, timeZone);
+
+  const yesterday = addDays(today, -1);
+  const previousShift = resolveShift(assignments, yesterday);
+  if (previousShift.isOvernight) {
+    const shiftEnd = previousShift.endMinutes - MINUTES_PER_DAY;
+    const cutoff = shiftEnd + (previousShift.startMinutes - shiftEnd) / 2;
+    if (currentTime < cutoff) {
+      return {
+        sessionDate: yesterday,
+        shift: previousShift,
+        minutesIntoSession: currentTime + MINUTES_PER_DAY
+      };
+    }
+  }
+
+  return {
+    sessionDate: today,
+    shift: resolveShift(assignments, today),
+    minutesIntoSession: currentTime
+  };
+}
+
+/**
+ * Late/early flags for a scan: only the first check-in of a session can be late,
+ * and a check-out before the shift ends is an early departure
+ * @param {string[]} scanTypes - Scan types already recorded in the session
+ * @param {Object} shift - Normalized shift
+ * @param {number} currentTime - Minutes from midnight of the session date
+ * @param {string} scanType - Type of the new scan
+ * @returns {{isLate: boolean, isEarly: boolean}}
+ */
+function getScanFlags(scanTypes, shift, currentTime, scanType) {
+  return {
+    isLate: scanType === 'check_in' && !scanTypes.includes('check_in') &&
+      currentTime > shift.startMinutes + shift.graceMinutes,
+    isEarly: scanType === 'check_out' && currentTime < shift.endMinutes
+  };
+}
+
+/**
+ * Decide the scan type for a new scan from the scans already in the session
+ * @param {string[]} scanTypes - Scan types already recorded in the session, in scan order
+ * @param {Object} shift - Normalized shift
+ * @param {number} currentTime - Minutes from midnight of the session date
+ * @returns {{scanType: string, isLate: boolean, isEarly: boolean}}
+ */
+export function classifyScan(scanTypes, shift, currentTime) {
+  // Time thresholds come from the employee's shift (in minutes from midnight of the session date)
+  const HAS_BREAK = shift.breakStartMinutes !== null;
+  const LUNCH_START = shift.breakStartMinutes;
+
+  let scanType;
+
+  // Determine scan type from the current attendance state
+  switch (getAttendanceState(scanTypes)) {
+    case ATTENDANCE_STATES.ON_BREAK:
+      scanType = 'lunch_in';
+      break;
+    case ATTENDANCE_STATES.WORKING:
+      // The first scan inside the shift's break window starts the break; anything
+      // else ends work (use an explicit intent for extra breaks)
+      scanType = HAS_BREAK && !scanTypes.includes('lunch_out') && currentTime >= LUNCH_START
+        ? 'lunch_out'
+        : 'check_out';
+      break;
+    default:
+      // Not checked in yet, or back after a check-out (split shift)
+      scanType = 'check_in';
+  }
+
+  return { scanType, ...getScanFlags(scanTypes, shift, currentTime, scanType) };
+}
+
+// Scan intents an employee can declare instead of having the type inferred
+export const SCAN_INTENTS = ['check_in', 'lunch_out', 'lunch_in', 'check_out'];
+
+/**
+ * Validate a declared scan intent against the scans already in the session
+ * @param {string[]} scanTypes - Scan types already recorded in the session, in scan order
+ * @param {Object} shift - Normalized shift
+ * @param {number} currentTime - Minutes from midnight of the session date
+ * @param {string} intent - One of SCAN_INTENTS
+ * @returns {{scanType?: string, isLate?: boolean, isEarly?: boolean, error?: string}}
+ */
+export function validateScanIntent(scanTypes, shift, currentTime, intent) {
+  const { error } = nextState(getAttendanceState(scanTypes), intent);
+  if (error) {
+    return { error };
+  }
+
+  return { scanType: intent, ...getScanFlags(scanTypes, shift, currentTime, intent) };
+}
+
+/**
+ * Fetch all shift assignments that could apply to an employee
+ * @param {import('@supabase/supabase-js').SupabaseClient} client - Supabase client to query with
+ * @param {string} employeeId - Employee UUID
+ * @param {string} [department] - Employee department (looked up if omitted)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchShiftAssignments(client, employeeId, department) {
+  let dept = department;
+  if (dept === undefined) {
+    const { data: employee } = await client
+      .from('employees')
+      .select('department')
+      .eq('id', employeeId)
+      .maybeSingle();
+    dept = employee?.department || null;
+  }
+
+  // Two .eq() queries rather than one .or() filter, so any department name is matched as-is
+  const assignments = (column, value) => client
+    .from('shift_assignments')
+    .select('*, shifts(*)')
+    .eq(column, value);
+
+  const results = await Promise.all([
+    assignments('employee_id', employeeId),
+    dept ? assignments('department', dept) : { data: [] }
+  ]);
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error('Error fetching shift assignments:', failed.error);
+    return [];
+  }
+  return results.flatMap(result => result.data || []);
+}
@@ -0,0 +1,286 @@
+// QR payload checks shared by the Edge Functions and the scanner website.
+// Signature verification needs the configured keys, so it only ever runs server-side;
+// the website only uses validateQrDataStructure for quick feedback.
+
+import { COMPACT_PREFIX, COMPACT_HMAC_BYTES } from './qrPayload.js';
+
+const encoder = new TextEncoder();
+
+// Signature algorithms a payload can declare in its `alg` field.
+// HS256 is the legacy shared-secret mode and the default when `alg` is absent.
+export const SIGNATURE_ALGORITHMS = {
+  HS256: null,
+  EdDSA: { name: 'Ed25519' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' }
+};
+
+// Order of the P-256 group, for normalizing ECDSA signatures
+const P256_ORDER = 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+
+/**
+ * Decode a base64 or base64url string
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Compute a hex encoded HMAC-SHA256 using Web Crypto
+ * @param {string} key - Secret key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>}
+ */
+async function hmacSha256Hex(key, message) {
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(key),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compare two strings without leaking where they differ through timing
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Parse the signing key configuration.
+ * Expects a JSON array of { kid, alg?, secret?, publicKey?, notBefore?, retiresAt? }.
+ * HS256 keys (the default) need a shared `secret`; EdDSA and ES256 keys need a
+ * `publicKey`, either a JWK object or a base64 raw public key. The optional dates
+ * are ISO 8601 timestamps. Invalid entries are dropped, so a broken configuration
+ * leaves no usable keys and verification fails closed.
+ * @param {string|undefined} json - Raw configuration (e.g. the QR_SIGNING_KEYS secret)
+ * @returns {Array<{kid: string, alg: string, secret: string|null, publicKey: Object|string|null, notBefore: Date|null, retiresAt: Date|null}>}
+ */
+export function parseSigningKeys(json) {
+  if (!json) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(json);
+  } catch (error) {
+    console.error('Invalid signing key configuration:', error);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .filter(entry => {
+      if (!entry || typeof entry.kid !== 'string' || !entry.kid) return false;
+      const alg = entry.alg || 'HS256';
+      if (!(alg in SIGNATURE_ALGORITHMS)) return false;
+      return alg === 'HS256'
+        ? typeof entry.secret === 'string' && !!entry.secret
+        : !!entry.publicKey && (typeof entry.publicKey === 'string' || typeof entry.publicKey === 'object');
+    })
+    .map(entry => ({
+      kid: entry.kid,
+      alg: entry.alg || 'HS256',
+      secret: entry.secret || null,
+      publicKey: entry.publicKey || null,
+      notBefore: entry.notBefore ? new Date(entry.notBefore) : null,
+      retiresAt: entry.retiresAt ? new Date(entry.retiresAt) : null
+    }));
+}
+
+/**
+ * Find the signing key a payload refers to, if it is active at the given time
+ * and matches the algorithm the payload declares
+ * @param {Array<Object>} keys - Parsed signing keys
+ * @param {string|undefined} kid - Key ID from the payload
+ * @param {Date} [at] - Time the key must be active at (the scan time)
+ * @param {string} [alg] - Algorithm from the payload
+ * @returns {{key?: Object, error?: string}}
+ */
+export function resolveSigningKey(keys, kid, at = new Date(), alg = 'HS256') {
+  const key = keys.find(k => k.kid === kid);
+
+  if (!key) {
+    return { error: 'Unknown QR signing key' };
+  }
+  // Never let the payload pick a different algorithm than the key was issued for
+  if (key.alg !== alg) {
+    return { error: 'QR signature algorithm does not match its key' };
+  }
+  if (key.notBefore && at < key.notBefore) {
+    return { error: 'QR signing key is not active yet' };
+  }
+  if (key.retiresAt && at >= key.retiresAt) {
+    return { error: 'QR signing key has been retired. Please update the app.' };
+  }
+
+  return { key };
+}
+
+/**
+ * Build the string the mobile app signs for a QR payload.
+ * Payloads with a nonce sign it as an extra trailing field. Compact payloads
+ * only carry the employee ID, so they sign `AT1|employeeId|checkInTime|nonce`.
+ * @param {Object} qrData - The QR code data object
+ * @returns {string}
+ */
+export function buildSignedData(qrData) {
+  const { employeeId, firstName, lastName, role, department, checkInTime, nonce } = qrData;
+  if (qrData.format === 'compact') {
+    return `${COMPACT_PREFIX.slice(0, -1)}|${employeeId}|${checkInTime}|${nonce}`;
+  }
+  const dataToSign = `${employeeId}|${firstName}|${lastName}|${role}|${department || ''}|${checkInTime}`;
+  return nonce ? `${dataToSign}|${nonce}` : dataToSign;
+}
+
+/**
+ * Import a public key for signature verification
+ * @param {Object} key - Parsed signing key with alg and publicKey
+ * @returns {Promise<CryptoKey>}
+ */
+function importPublicKey(key) {
+  const algorithm = SIGNATURE_ALGORITHMS[key.alg];
+  return typeof key.publicKey === 'string'
+    ? crypto.subtle.importKey('raw', base64ToBytes(key.publicKey), algorithm, false, ['verify'])
+    : crypto.subtle.importKey('jwk', key.publicKey, algorithm, false, ['verify']);
+}
+
+/**
+ * Verify the signature of QR code data.
+ * HS256 payloads carry a hex HMAC-SHA256; EdDSA and ES256 payloads carry a
+ * base64url signature (raw r||s for ES256) made with the issuing app's private key.
+ * @param {Object} qrData - The QR code data object
+ * @param {Object|string} key - Parsed signing key (a plain string is treated as an HS256 secret)
+ * @returns {Promise<boolean>} - True if signature is valid
+ */
+export async function verifyQrSignature(qrData, key) {
+  try {
+    const { signature } = qrData;
+    const signingKey = typeof key === 'string' ? { alg: 'HS256', secret: key } : key;
+
+    // Recreate the data string (same format as Flutter app)
+    const dataToSign = buildSignedData(qrData);
+
+    if (signingKey.alg === 'HS256') {
+      // Generate HMAC-SHA256 signature (truncated in the compact format)
+      const fullSignature = await hmacSha256Hex(signingKey.secret, dataToSign);
+      const expectedSignature = qrData.format === 'compact'
+        ? fullSignature.slice(0, COMPACT_HMAC_BYTES * 2)
+        : fullSignature;
+
+      // Compare signatures
+      return timingSafeEqual(expectedSignature, String(signature).toLowerCase());
+    }
+
+    const publicKey = await importPublicKey(signingKey);
+    return await crypto.subtle.verify(
+      SIGNATURE_ALGORITHMS[signingKey.alg],
+      publicKey,
+      base64ToBytes(String(signature)),
+      encoder.encode(dataToSign)
+    );
+  } catch (error) {
+    console.error('Error verifying signature:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the one canonical spelling of a payload's signature, used as its replay ledger key.
+ * A verified signature can also be sent in other forms that verify the same way:
+ * upper-case hex, base64 instead of base64url, with or without padding, and for ES256
+ * the mirrored s value. All of them map to the same key.
+ * @param {Object} qrData - The QR code data object (already verified)
+ * @returns {string} - Lowercase hex for HS256, unpadded base64url for EdDSA and ES256
+ */
+export function canonicalSignature(qrData) {
+  const signature = String(qrData.signature);
+  const alg = qrData.alg || 'HS256';
+  if (alg === 'HS256') {
+    return signature.toLowerCase();
+  }
+
+  const bytes = base64ToBytes(signature);
+  if (alg === 'ES256' && bytes.length === 64) {
+    // (r, s) and (r, n - s) are both valid; keep the lower s
+    const s = BigInt('0x' + Array.from(bytes.slice(32), b => b.toString(16).padStart(2, '0')).join(''));
+    const lowS = s > P256_ORDER / 2n ? P256_ORDER - s : s;
+    const hex = lowS.toString(16).padStart(64, '0');
+    for (let i = 0; i < 32; i++) {
+      bytes[32 + i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+  }
+  return bytesToBase64Url(bytes);
+}
+
+/**
+ * Check if QR code timestamp is fresh (within 60 seconds of the scan)
+ * @param {string} checkInTime - ISO 8601 timestamp string
+ * @param {Date} [scanTime] - When the QR code was scanned
+ * @param {number} [clockSkewSeconds] - Tolerance for clock differences between phone and server
+ * @returns {boolean} - True if timestamp is fresh
+ */
+export function isTimestampFresh(checkInTime, scanTime = new Date(), clockSkewSeconds = 0) {
+  try {
+    const qrTime = new Date(checkInTime);
+    const ageInSeconds = (scanTime - qrTime) / 1000;
+
+    // QR code is valid for 60 seconds
+    return ageInSeconds >= -clockSkewSeconds && ageInSeconds <= 60 + clockSkewSeconds;
+  } catch (error) {
+    console.error('Error checking timestamp:', error);
+    return false;
+  }
+}
+
+/**
+ * Validate QR code data structure
+ * @param {Object} qrData - The QR code data object
+ * @returns {boolean} - True if structure is valid
+ */
+export function validateQrDataStructure(qrData) {
+  if (qrData && qrData.format === 'compact') {
+    return !!(qrData.employeeId && qrData.checkInTime && qrData.nonce && qrData.signature);
+  }
+  return !!(
+    qrData &&
+    typeof qrData === 'object' &&
+    qrData.employeeId &&
+    qrData.firstName &&
+    qrData.lastName &&
+    qrData.role &&
+    qrData.checkInTime &&
+    qrData.signature
+  );
+}
@@ -0,0 +1,152 @@
+// Date helpers shared by the scanner website and the Edge Functions.
+// Everything here is pure so it runs unchanged in the browser and in Deno.
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter that splits a date into parts in the given timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Get the year/month/day/hour/minute of an instant as seen in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: string, month: string, day: string, hour: number, minute: number}}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+/**
+ * Check whether a string is a timezone name the browser understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return !!timeZone;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the business date (YYYY-MM-DD) of an instant in the organization's timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string}
+ */
+export function getBusinessDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the wall-clock time of an instant in minutes from midnight
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number}
+ */
+export function getMinutesOfDay(date, timeZone) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Get the instant of a wall-clock time on a business date.
+ * Minutes past 24:00 fall on the following day (e.g. an overnight shift end).
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} minutes - Minutes from midnight of that date
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ */
+export function zonedTimeToInstant(dateStr, minutes, timeZone) {
+  const wallClock = Date.parse(`${dateStr}T00:00:00Z`) + minutes * 60 * 1000;
+  let instant = wallClock;
+
+  // Shift by the timezone offset; the second pass settles DST transitions
+  for (let i = 0; i < 2; i++) {
+    const { year, month, day, hour, minute } = getZonedParts(new Date(instant), timeZone);
+    const seen = Date.parse(`${year}-${month}-${day}T00:00:00Z`) + (hour * 60 + minute) * 60 * 1000;
+    instant += wallClock - seen;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Normalize a report date argument to a YYYY-MM-DD string.
+ * Strings are taken as business dates already; Date objects are converted
+ * using the given timezone.
+ * @param {Date|string} value - Date or YYYY-MM-DD string
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string}
+ */
+export function toDateString(value, timeZone) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  return getBusinessDate(value, timeZone);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the day of week for a YYYY-MM-DD date string (Sunday = 0)
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {number}
+ */
+export function getDayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Get the first and last date of a month as YYYY-MM-DD strings
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {{startDate: string, endDate: string, daysInMonth: number}}
+ */
+export function getMonthRange(year, month) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const mm = String(month).padStart(2, '0');
+  return {
+    startDate: `${year}-${mm}-01`,
+    endDate: `${year}-${mm}-${String(daysInMonth).padStart(2, '0')}`,
+    daysInMonth
+  };
+}
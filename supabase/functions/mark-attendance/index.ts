@@ -0,0 +1,496 @@
+// Mark attendance from a scanned QR payload.
+// The scanner website (signed in as a kiosk device, manager or HR admin) posts the
+// raw QR text here, plus its device token once the scanner is paired to a site.
+// This function verifies the QR signature, freshness and replay status (via the
+// qr_nonce_ledger) and then inserts the attendance record, tagged with the device
+// and site, with the service role. Browsers can no longer insert directly.
+// When the geofence policy is on, the scanner's location is checked against the
+// site's geofence and out-of-fence scans are rejected or flagged for review.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+import {
+  verifyQrSignature,
+  isTimestampFresh,
+  validateQrDataStructure,
+  parseSigningKeys,
+  resolveSigningKey,
+  canonicalSignature
+} from '../_shared/signatureVerification.js';
+import { decodeQrPayload } from '../_shared/qrPayload.js';
+import {
+  fetchShiftAssignments,
+  resolveSession,
+  applyHalfDayLeave,
+  classifyScan,
+  validateScanIntent,
+  SCAN_INTENTS
+} from '../_shared/shiftRules.js';
+import { getMinutesOfDay, isValidTimeZone } from '../_shared/timezone.js';
+import { SCANNER_ROLES, hasRole } from '../_shared/roles.js';
+import { getCallerRole } from '../_shared/callerRole.js';
+import { DEVICE_TOKEN_PATTERN, hashDeviceToken } from '../_shared/deviceToken.js';
+import { GEOFENCE_POLICIES, isValidLocation, hasGeofence, checkGeofence } from '../_shared/geofence.js';
+import { getLeaveTypeOn } from '../_shared/leaveDays.js';
+
+// Versioned signing keys (HMAC secrets or public keys). There is deliberately no
+// fallback: without keys every scan is rejected.
+const SIGNING_KEYS = parseSigningKeys(Deno.env.get('QR_SIGNING_KEYS'));
+
+// Key used for payloads from older app versions that don't send a kid (unset to reject them)
+const LEGACY_KID = Deno.env.get('QR_LEGACY_KID') || null;
+
+// Offline scans are replayed with their original scan time, but only from paired scanners
+// and only within this window, long enough for a scanner to stay offline for a whole
+// working day. The scan time comes from the scanner, so a longer window lets a captured
+// QR code be replayed for longer.
+const OFFLINE_MAX_AGE_MINUTES = Number(Deno.env.get('OFFLINE_SCAN_MAX_AGE_MINUTES') ?? 720);
+
+// Allowed difference between the phone, kiosk and server clocks
+const CLOCK_SKEW_SECONDS = 30;
+
+// Once every phone signs a nonce, set this to reject legacy payloads without one
+const REQUIRE_QR_NONCE = Deno.env.get('REQUIRE_QR_NONCE') === 'true';
+
+// Nonces are random URL-safe strings (e.g. a UUID or base64url bytes)
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Once every scanner is paired, set this to reject scans from unregistered browsers
+const REQUIRE_REGISTERED_DEVICE = Deno.env.get('REQUIRE_REGISTERED_DEVICE') === 'true';
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  { auth: { persistSession: false } }
+);
+
+/**
+ * Get the organization timezone from app_settings (defaults to UTC)
+ */
+async function getOrganizationTimezone() {
+  const { data } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', 'timezone')
+    .maybeSingle();
+  return data?.value && isValidTimeZone(data.value) ? data.value : 'UTC';
+}
+
+/**
+ * Get the geofence policy from app_settings (defaults to off)
+ */
+async function getGeofencePolicy() {
+  const { data } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', 'geofence_policy')
+    .maybeSingle();
+  return GEOFENCE_POLICIES.includes(data?.value) ? data.value : 'off';
+}
+
+/**
+ * Look up the registered scanner device that sent the scan
+ * @returns {Promise<Object|null>} - Device row (with its site), or null if the token is unknown
+ */
+async function findDevice(deviceToken) {
+  if (!DEVICE_TOKEN_PATTERN.test(deviceToken)) return null;
+
+  const { data } = await supabase
+    .from('scanner_devices')
+    .select('id, name, site_id, revoked_at, sites(name, latitude, longitude, geofence_radius_meters)')
+    .eq('token_hash', await hashDeviceToken(deviceToken))
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Fill in the name, role and department of a compact QR payload from the employee record
+ * @returns {Promise<Object|null>} - Complete QR data, or null if the employee doesn't exist
+ */
+async function withEmployeeDetails(qrData) {
+  if (qrData.format !== 'compact') return qrData;
+
+  const { data: employee } = await supabase
+    .from('employees')
+    .select('role, department, users(first_name, last_name)')
+    .eq('id', qrData.employeeId)
+    .maybeSingle();
+
+  if (!employee) return null;
+
+  return {
+    ...qrData,
+    firstName: employee.users?.first_name || '',
+    lastName: employee.users?.last_name || '',
+    role: employee.role,
+    department: employee.department || null
+  };
+}
+
+/**
+ * Consume a QR payload in the nonce ledger.
+ * The unique constraints make this atomic, so concurrent scans of the same
+ * payload on different kiosks can't both succeed. The signature is stored in its
+ * canonical form, so re-encoding it doesn't make a new payload.
+ * @returns {Promise<{consumed: boolean, ledgerId?: string, firstUse?: Object}>}
+ */
+async function consumePayload(qrData) {
+  const signature = canonicalSignature(qrData);
+  const { data, error } = await supabase
+    .from('qr_nonce_ledger')
+    .insert({
+      signature,
+      nonce: qrData.nonce || null,
+      employee_id: qrData.employeeId,
+      qr_issued_at: qrData.checkInTime
+    })
+    .select('id')
+    .single();
+
+  if (!error) {
+    return { consumed: true, ledgerId: data.id };
+  }
+
+  if (error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+
+  const findFirstUse = (column, value) => supabase
+    .from('qr_nonce_ledger')
+    .select('id, consumed_at, attendance_record_id')
+    .eq(column, value);
+
+  let { data: firstUse } = await findFirstUse('signature', signature).maybeSingle();
+  if (!firstUse && qrData.nonce) {
+    ({ data: firstUse } = await findFirstUse('nonce', qrData.nonce).eq('employee_id', qrData.employeeId).maybeSingle());
+  }
+
+  return { consumed: false, firstUse };
+}
+
+/**
+ * Record a replayed payload as a security event for admins to review
+ */
+async function logReplay(req, qrData, firstUse, offline) {
+  const { error } = await supabase
+    .from('security_events')
+    .insert({
+      event_type: 'qr_replay',
+      employee_id: qrData.employeeId,
+      details: {
+        employee_name: `${qrData.firstName} ${qrData.lastName}`,
+        nonce: qrData.nonce || null,
+        signature: qrData.signature,
+        qr_issued_at: qrData.checkInTime,
+        first_consumed_at: firstUse?.consumed_at || null,
+        first_attendance_record_id: firstUse?.attendance_record_id || null,
+        offline
+      },
+      ip_address: req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null,
+      user_agent: req.headers.get('user-agent')
+    });
+
+  if (error) {
+    console.error('Error logging replay:', error);
+  }
+}
+
+/**
+ * Record a scan outside its site's geofence as a security event for admins to review
+ */
+async function logOutsideGeofence(req, record, site, location, geofence) {
+  const { error } = await supabase
+    .from('security_events')
+    .insert({
+      event_type: 'outside_geofence',
+      employee_id: record.employee_id,
+      details: {
+        employee_name: record.employee_name,
+        attendance_record_id: record.id,
+        scan_type: record.scan_type,
+        site_name: site.name,
+        distance_meters: geofence.distanceMeters,
+        radius_meters: site.geofence_radius_meters,
+        accuracy_meters: location?.accuracy ?? null,
+        location_missing: !isValidLocation(location)
+      },
+      ip_address: req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null,
+      user_agent: req.headers.get('user-agent')
+    });
+
+  if (error) {
+    console.error('Error logging geofence event:', error);
+  }
+}
+
+/**
+ * Record a backdated offline scan as a security event for admins to review
+ */
+async function logOfflineScan(req, record, device, receivedAt) {
+  const { error } = await supabase
+    .from('security_events')
+    .insert({
+      event_type: 'offline_scan',
+      employee_id: record.employee_id,
+      details: {
+        employee_name: record.employee_name,
+        attendance_record_id: record.id,
+        scan_type: record.scan_type,
+        device_name: device.name,
+        scanned_at: record.scanned_at,
+        received_at: receivedAt.toISOString(),
+        delay_seconds: Math.round((receivedAt.getTime() - new Date(record.scanned_at).getTime()) / 1000)
+      },
+      ip_address: req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null,
+      user_agent: req.headers.get('user-agent')
+    });
+
+  if (error) {
+    console.error('Error logging offline scan:', error);
+  }
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    // Only kiosk devices and signed-in managers / HR admins may submit scans
+    const callerRole = await getCallerRole(supabase, req);
+    if (!callerRole) {
+      return jsonResponse({ success: false, error: 'Sign in to record attendance' }, 401);
+    }
+    if (!hasRole(callerRole, SCANNER_ROLES)) {
+      return jsonResponse({ success: false, error: 'This account is not allowed to record attendance' }, 403);
+    }
+
+    const {
+      payload,
+      scannedAt,
+      offline = false,
+      intent: requestIntent = null,
+      location = null,
+      deviceToken = null
+    } = await req.json();
+    const now = new Date();
+
+    // Paired scanners identify themselves so the scan is attributed to their site
+    let device = null;
+    if (deviceToken) {
+      device = await findDevice(deviceToken);
+      if (!device) {
+        return jsonResponse({ success: false, error: 'This scanner is not registered. Pair it again.', deviceRevoked: true }, 403);
+      }
+      if (device.revoked_at) {
+        return jsonResponse({ success: false, error: 'This scanner has been revoked', deviceRevoked: true }, 403);
+      }
+    } else if (REQUIRE_REGISTERED_DEVICE) {
+      return jsonResponse({ success: false, error: 'This scanner is not registered. Ask an HR admin for a pairing code.' }, 403);
+    }
+
+    // Decode the QR code (compact or legacy JSON format)
+    let qrData = decodeQrPayload(payload);
+    if (!qrData) {
+      return jsonResponse({ success: false, error: 'Invalid QR code format' }, 400);
+    }
+
+    // Validate structure
+    if (!validateQrDataStructure(qrData)) {
+      return jsonResponse({ success: false, error: 'QR code missing required fields' }, 400);
+    }
+
+    if (REQUIRE_QR_NONCE && !qrData.nonce) {
+      return jsonResponse({ success: false, error: 'QR code is missing a nonce. Please update the app.' }, 400);
+    }
+    if (qrData.nonce && !NONCE_PATTERN.test(qrData.nonce)) {
+      return jsonResponse({ success: false, error: 'Invalid QR code nonce' }, 400);
+    }
+
+    // Intent picked at the kiosk wins over one declared in the QR payload; otherwise it's inferred
+    const intent = requestIntent || qrData.intent || null;
+    if (intent && !SCAN_INTENTS.includes(intent)) {
+      return jsonResponse({ success: false, error: 'Unknown scan type' }, 400);
+    }
+
+    // Live scans use the server clock; offline replays from a paired scanner keep their
+    // original scan time. Anyone else could backdate a captured QR code past its freshness check.
+    if (offline && !device) {
+      return jsonResponse({ success: false, error: 'Offline scans can only be recorded by a paired scanner' }, 403);
+    }
+    const scanTime = offline && scannedAt ? new Date(scannedAt) : now;
+    if (Number.isNaN(scanTime.getTime()) || scanTime - now > CLOCK_SKEW_SECONDS * 1000) {
+      return jsonResponse({ success: false, error: 'Invalid scan time' }, 400);
+    }
+    if (now - scanTime > OFFLINE_MAX_AGE_MINUTES * 60 * 1000) {
+      return jsonResponse({ success: false, error: 'Offline scan is too old to be recorded' }, 410);
+    }
+
+    if (location && !isValidLocation(location)) {
+      return jsonResponse({ success: false, error: 'Invalid scan location' }, 400);
+    }
+
+    // Check the scan location against the site's geofence (scans without a location count as outside)
+    const site = device?.sites || null;
+    const geofencePolicy = hasGeofence(site) ? await getGeofencePolicy() : 'off';
+    const geofence = geofencePolicy === 'off' ? null : checkGeofence(site, location);
+    if (geofencePolicy === 'reject' && !geofence.withinGeofence) {
+      return jsonResponse({
+        success: false,
+        error: geofence.distanceMeters === null
+          ? `Location is required to scan at ${site.name}. Allow location access on this scanner.`
+          : `This scanner is ${geofence.distanceMeters} m from ${site.name}, outside its geofence`
+      }, 403);
+    }
+
+    // Pick the signing key named by the payload (fail closed if none is configured)
+    if (SIGNING_KEYS.length === 0) {
+      console.error('QR_SIGNING_KEYS is not configured');
+      return jsonResponse({ success: false, error: 'QR verification is not configured' }, 503);
+    }
+    const kid = qrData.kid || LEGACY_KID;
+    if (!kid) {
+      return jsonResponse({ success: false, error: 'QR code is missing a key ID. Please update the app.' }, 400);
+    }
+    const { key, error: keyError } = resolveSigningKey(SIGNING_KEYS, kid, scanTime, qrData.alg || 'HS256');
+    if (keyError) {
+      return jsonResponse({ success: false, error: keyError }, 401);
+    }
+
+    // Verify signature
+    if (!(await verifyQrSignature(qrData, key))) {
+      return jsonResponse({ success: false, error: 'Invalid QR code signature. Code may be tampered with.' }, 401);
+    }
+
+    // Check timestamp freshness
+    if (!isTimestampFresh(qrData.checkInTime, scanTime, CLOCK_SKEW_SECONDS)) {
+      return jsonResponse({ success: false, error: 'QR code expired. Please generate a new one.' }, 410);
+    }
+
+    // Compact payloads only carry the employee ID
+    qrData = await withEmployeeDetails(qrData);
+    if (!qrData) {
+      return jsonResponse({ success: false, error: 'Employee not found' }, 404);
+    }
+
+    // Each payload is accepted exactly once; replays are logged for admins
+    const { consumed, ledgerId, firstUse } = await consumePayload(qrData);
+    if (!consumed) {
+      await logReplay(req, qrData, firstUse, !!offline);
+      return jsonResponse({ success: false, error: 'QR code has already been used. Please generate a new one.' }, 409);
+    }
+
+    const { employeeId, firstName, lastName, role, department, checkInTime } = qrData;
+    const timeZone = await getOrganizationTimezone();
+
+    // Detect scan type and the session (shift start date) it belongs to
+    const assignments = await fetchShiftAssignments(supabase, employeeId, department);
+    const session = resolveSession(assignments, scanTime, timeZone);
+    const { sessionDate, minutesIntoSession } = session;
+
+    // Check if employee is on leave for this session (anywhere in an approved range)
+    const { data: leaveRequest } = await supabase
+      .from('leave_requests')
+      .select('leave_date, end_date, leave_type, end_leave_type')
+      .eq('employee_id', employeeId)
+      .lte('leave_date', sessionDate)
+      .gte('end_date', sessionDate)
+      .eq('status', 'approved')
+      .maybeSingle();
+    const leaveType = getLeaveTypeOn(leaveRequest, sessionDate);
+
+    if (leaveType === 'full_day') {
+      return jsonResponse({ success: false, error: 'You are on full day leave today' }, 409);
+    }
+
+    // On half-day leave only the working half is expected, so late/early flags follow it
+    const shift = applyHalfDayLeave(session.shift, leaveType);
+
+    const { data: sessionScans } = await supabase
+      .from('attendance_records')
+      .select('scan_type')
+      .eq('employee_id', employeeId)
+      .eq('session_date', sessionDate)
+      .order('scanned_at', { ascending: true });
+
+    const scanTypes = sessionScans?.map(s => s.scan_type) || [];
+    const classification = intent
+      ? validateScanIntent(scanTypes, shift, minutesIntoSession, intent)
+      : classifyScan(scanTypes, shift, minutesIntoSession);
+    if (classification.error) {
+      return jsonResponse({ success: false, error: classification.error }, 409);
+    }
+    const { scanType, isLate, isEarly } = classification;
+
+    // Half day: the session is on half-day leave, or (only check-in or early check-out)
+    const isHalfDay = !!shift.halfDayLeave ||
+      (scanType === 'check_in' && getMinutesOfDay(scanTime, timeZone) < 12 * 60);
+
+    // Insert attendance record
+    const { data, error } = await supabase
+      .from('attendance_records')
+      .insert({
+        employee_id: employeeId,
+        employee_name: `${firstName} ${lastName}`,
+        employee_role: role,
+        department: department || null,
+        check_in_time: checkInTime,
+        scanned_at: scanTime.toISOString(),
+        session_date: sessionDate,
+        scan_type: scanType,
+        is_late: isLate,
+        is_early_departure: isEarly,
+        is_half_day: isHalfDay,
+        signature_verified: true,
+        recorded_offline: !!offline,
+        device_id: device?.id || null,
+        site_id: device?.site_id || null,
+        scan_latitude: location?.latitude ?? null,
+        scan_longitude: location?.longitude ?? null,
+        scan_location_accuracy: location?.accuracy ?? null,
+        geofence_distance_meters: geofence?.distanceMeters ?? null,
+        within_geofence: geofence ? geofence.withinGeofence : null,
+        qr_data: qrData
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error marking attendance:', error);
+      return jsonResponse({ success: false, error: error.message || 'Failed to mark attendance' }, 500);
+    }
+
+    await supabase
+      .from('qr_nonce_ledger')
+      .update({ attendance_record_id: data.id })
+      .eq('id', ledgerId);
+
+    // Flag policy: the scan is recorded but listed for review
+    if (geofence && !geofence.withinGeofence) {
+      await logOutsideGeofence(req, data, site, location, geofence);
+    }
+
+    // Backdated scans are listed for review too
+    if (offline) {
+      await logOfflineScan(req, data, device, now);
+    }
+
+    if (device) {
+      await supabase
+        .from('scanner_devices')
+        .update({ last_seen_at: now.toISOString() })
+        .eq('id', device.id);
+    }
+
+    return jsonResponse({ success: true, data, scanType });
+  } catch (error) {
+    console.error('Error marking attendance:', error);
+    return jsonResponse({ success: false, error: error.message || 'An unexpected error occurred' }, 500);
+  }
+});
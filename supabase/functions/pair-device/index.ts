@@ -0,0 +1,85 @@
+// Pair a scanner browser with a registered device.
+// An HR admin creates the device in the dashboard and issues a one-time pairing code
+// (issue_device_pairing_code). The scanner, signed in as a kiosk device, manager or
+// HR admin, posts the code here and receives a device token that it sends with every
+// scan. Only the token's hash is stored, and the code can't be used again.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+import { SCANNER_ROLES, hasRole } from '../_shared/roles.js';
+import { getCallerRole } from '../_shared/callerRole.js';
+import { generateDeviceToken, hashDeviceToken } from '../_shared/deviceToken.js';
+
+// Pairing codes are 8 hex characters (see migration_devices_sites.sql)
+const PAIRING_CODE_PATTERN = /^[0-9A-F]{8}$/;
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  { auth: { persistSession: false } }
+);
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    // Only accounts that can run the scanner may pair it
+    const callerRole = await getCallerRole(supabase, req);
+    if (!callerRole) {
+      return jsonResponse({ success: false, error: 'Sign in to pair this scanner' }, 401);
+    }
+    if (!hasRole(callerRole, SCANNER_ROLES)) {
+      return jsonResponse({ success: false, error: 'This account is not allowed to pair scanners' }, 403);
+    }
+
+    const { pairingCode } = await req.json();
+    const code = String(pairingCode || '').trim().toUpperCase();
+    if (!PAIRING_CODE_PATTERN.test(code)) {
+      return jsonResponse({ success: false, error: 'Invalid pairing code' }, 400);
+    }
+
+    const token = generateDeviceToken();
+
+    // Matching on the code makes this single-use: a second request finds no row
+    const { data: device, error } = await supabase
+      .from('scanner_devices')
+      .update({
+        token_hash: await hashDeviceToken(token),
+        pairing_code: null,
+        pairing_expires_at: null,
+        paired_at: new Date().toISOString()
+      })
+      .eq('pairing_code', code)
+      .gt('pairing_expires_at', new Date().toISOString())
+      .is('revoked_at', null)
+      .select('id, name, sites(name)')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error pairing device:', error);
+      return jsonResponse({ success: false, error: error.message || 'Failed to pair device' }, 500);
+    }
+
+    if (!device) {
+      return jsonResponse({ success: false, error: 'Pairing code is invalid or has expired' }, 404);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: {
+        deviceId: device.id,
+        deviceName: device.name,
+        siteName: device.sites?.name || null,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Error pairing device:', error);
+    return jsonResponse({ success: false, error: error.message || 'An unexpected error occurred' }, 500);
+  }
+});
@@ -0,0 +1,248 @@
+// Flag attendance sessions that were never checked out.
+// Run on a schedule (see "Missed Check-outs" in README.md). Every session from the
+// last few days that is still open once its shift has ended (plus a grace period)
+// gets an attendance exception, the configured policy is applied and the employee
+// is notified. The exception is unique per session, so running the job again never
+// flags a session twice.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { corsHeaders, jsonResponse } from '../_shared/cors.js';
+import { fetchShiftAssignments, resolveShift, applyHalfDayLeave } from '../_shared/shiftRules.js';
+import { getLeaveTypeOn } from '../_shared/leaveDays.js';
+import { ATTENDANCE_STATES, getAttendanceState } from '../_shared/attendanceState.js';
+import { getBusinessDate, addDays, zonedTimeToInstant, isValidTimeZone } from '../_shared/timezone.js';
+
+const SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+
+// How many past session dates to check (covers overnight shifts and missed runs)
+const LOOKBACK_DAYS = 3;
+
+const POLICIES = ['auto_close', 'missing_punch', 'leave_open'];
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+// PostgREST returns at most 1000 rows per request (max_rows)
+const PAGE_SIZE = 1000;
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  SERVICE_ROLE_KEY,
+  { auth: { persistSession: false } }
+);
+
+/**
+ * Load the timezone and missed check-out settings from app_settings
+ */
+async function getSettings() {
+  const { data } = await supabase
+    .from('app_settings')
+    .select('key, value')
+    .in('key', ['timezone', 'missed_checkout_policy', 'missed_checkout_grace_minutes']);
+
+  const settings = Object.fromEntries((data || []).map(row => [row.key, row.value]));
+  const graceMinutes = Number(settings.missed_checkout_grace_minutes ?? 120);
+
+  return {
+    timeZone: isValidTimeZone(settings.timezone) ? settings.timezone : 'UTC',
+    policy: POLICIES.includes(settings.missed_checkout_policy) ? settings.missed_checkout_policy : 'missing_punch',
+    graceMinutes: Number.isFinite(graceMinutes) ? graceMinutes : 120
+  };
+}
+
+/**
+ * Fetch every row of a query, one page at a time
+ * @param {() => Object} buildQuery - Builds the query; it must have a stable order
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Build the notification sent to the employee for a flagged session
+ */
+function buildNotification(policy, sessionDate, closeAt, timeZone) {
+  const time = closeAt.toLocaleTimeString('en-US', { timeZone, hour: '2-digit', minute: '2-digit' });
+  const messages = {
+    auto_close: `You didn't scan out on ${sessionDate}. A check-out was recorded at ${time}. If that's wrong, submit a correction.`,
+    missing_punch: `You didn't scan out on ${sessionDate}. The day is marked as a missing punch until a correction is approved.`,
+    leave_open: `You didn't scan out on ${sessionDate}. Please submit a correction with your check-out time.`
+  };
+  return { title: 'Missed check-out', message: messages[policy] };
+}
+
+/**
+ * Record the exception for an open session, apply the policy and notify the employee
+ * @returns {Promise<boolean>} - False if the session had already been flagged
+ */
+async function flagSession(lastScan, closeAt, policy, timeZone) {
+  const { employee_id: employeeId, session_date: sessionDate } = lastScan;
+
+  const { data: exception, error } = await supabase
+    .from('attendance_exceptions')
+    .insert({
+      employee_id: employeeId,
+      session_date: sessionDate,
+      exception_type: 'missed_check_out',
+      policy_applied: policy,
+      expected_check_out: closeAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return false;
+    throw error;
+  }
+
+  let recordId = null;
+  if (policy === 'auto_close') {
+    const { data: record, error: insertError } = await supabase
+      .from('attendance_records')
+      .insert({
+        employee_id: employeeId,
+        employee_name: lastScan.employee_name,
+        employee_role: lastScan.employee_role,
+        department: lastScan.department,
+        check_in_time: closeAt.toISOString(),
+        scanned_at: closeAt.toISOString(),
+        session_date: sessionDate,
+        scan_type: 'check_out',
+        signature_verified: false,
+        source: 'auto_close',
+        notes: 'Closed automatically: no check-out was scanned'
+      })
+      .select('id')
+      .single();
+
+    if (insertError) throw insertError;
+    recordId = record.id;
+  }
+
+  const { title, message } = buildNotification(policy, sessionDate, closeAt, timeZone);
+  const { error: notifyError } = await supabase
+    .from('notifications')
+    .insert({
+      employee_id: employeeId,
+      notification_type: 'missed_check_out',
+      title,
+      message,
+      data: { exception_id: exception.id, session_date: sessionDate, policy }
+    });
+
+  if (notifyError) {
+    console.error('Error notifying employee:', notifyError);
+  }
+
+  await supabase
+    .from('attendance_exceptions')
+    .update({
+      attendance_record_id: recordId,
+      notified_at: notifyError ? null : new Date().toISOString()
+    })
+    .eq('id', exception.id);
+
+  return true;
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  // Only the scheduler (with the service role key) may run the job
+  if (req.headers.get('Authorization') !== `Bearer ${SERVICE_ROLE_KEY}`) {
+    return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  try {
+    const now = new Date();
+    const { timeZone, policy, graceMinutes } = await getSettings();
+    const today = getBusinessDate(now, timeZone);
+
+    const records = await fetchAllRows(() => supabase
+      .from('attendance_records')
+      .select('employee_id, employee_name, employee_role, department, scan_type, scanned_at, session_date')
+      .gte('session_date', addDays(today, -LOOKBACK_DAYS))
+      .lte('session_date', today)
+      .order('scanned_at', { ascending: true })
+      .order('id', { ascending: true }));
+
+    // Approved half-day leave shortens the session to the working half
+    const leaves = await fetchAllRows(() => supabase
+      .from('leave_requests')
+      .select('employee_id, leave_date, end_date, leave_type, end_leave_type')
+      .eq('status', 'approved')
+      .lte('leave_date', today)
+      .gte('end_date', addDays(today, -LOOKBACK_DAYS))
+      .order('id', { ascending: true }));
+    const leavesByEmployee = new Map();
+    for (const leave of leaves) {
+      if (!leavesByEmployee.has(leave.employee_id)) leavesByEmployee.set(leave.employee_id, []);
+      leavesByEmployee.get(leave.employee_id).push(leave);
+    }
+    const getLeaveType = (employeeId, dateStr) => {
+      const leave = (leavesByEmployee.get(employeeId) || []).find(l => getLeaveTypeOn(l, dateStr));
+      return getLeaveTypeOn(leave, dateStr);
+    };
+
+    // Group scans into sessions
+    const sessions = new Map();
+    for (const record of records) {
+      const key = `${record.employee_id}|${record.session_date}`;
+      if (!sessions.has(key)) sessions.set(key, []);
+      sessions.get(key).push(record);
+    }
+
+    const assignmentsByEmployee = new Map();
+    let flagged = 0;
+
+    for (const scans of sessions.values()) {
+      const state = getAttendanceState(scans.map(s => s.scan_type));
+      if (state === ATTENDANCE_STATES.OFF) continue;
+
+      const lastScan = scans[scans.length - 1];
+      if (!assignmentsByEmployee.has(lastScan.employee_id)) {
+        assignmentsByEmployee.set(
+          lastScan.employee_id,
+          await fetchShiftAssignments(supabase, lastScan.employee_id, lastScan.department)
+        );
+      }
+      const shift = applyHalfDayLeave(
+        resolveShift(assignmentsByEmployee.get(lastScan.employee_id), lastScan.session_date),
+        getLeaveType(lastScan.employee_id, lastScan.session_date)
+      );
+
+      // Close at the shift end, or at the last scan for people who stayed late
+      const shiftEnd = zonedTimeToInstant(lastScan.session_date, shift.endMinutes, timeZone);
+      const lastScanTime = new Date(lastScan.scanned_at);
+      const closeAt = lastScanTime > shiftEnd ? lastScanTime : shiftEnd;
+
+      if (now - closeAt < graceMinutes * 60 * 1000) continue;
+
+      // A check-out can't follow a break start, so sessions left on a break become a missing punch
+      const sessionPolicy = policy === 'auto_close' && state === ATTENDANCE_STATES.ON_BREAK
+        ? 'missing_punch'
+        : policy;
+
+      if (await flagSession(lastScan, closeAt, sessionPolicy, timeZone)) {
+        flagged++;
+      }
+    }
+
+    return jsonResponse({ success: true, data: { sessions: sessions.size, flagged, policy } });
+  } catch (error) {
+    console.error('Error processing missed check-outs:', error);
+    return jsonResponse({ success: false, error: error.message || 'An unexpected error occurred' }, 500);
+  }
+});
@@ -0,0 +1,36 @@
+-- Local development seed
+-- The employees and users tables belong to the Flutter app's schema. This file creates
+-- a minimal version of them so the scanner migrations can be applied to a local
+-- Supabase stack (`supabase start`). Do not run it against a hosted project.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    email TEXT UNIQUE
+);
+
+CREATE TABLE IF NOT EXISTS employees (
+    id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'employee',
+    department TEXT
+);
+
+-- Test employee for signing QR payloads locally
+INSERT INTO users (id, first_name, last_name, email)
+VALUES ('00000000-0000-0000-0000-000000000001', 'Test', 'Employee', 'test.employee@example.com')
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO employees (id, role, department)
+VALUES ('00000000-0000-0000-0000-000000000001', 'employee', 'Engineering')
+ON CONFLICT (id) DO NOTHING;